@@ -16,6 +16,7 @@ import { GroupManagerWindow } from './src/GroupManagerWindow.js';
 import { GMMonitorWindow } from './src/GMMonitorWindow.js';
 import { SettingsWindow } from './src/SettingsWindow.js';
 import { GMModWindow } from './src/GMModWindow.js';
+import { LanguageManager } from './src/LanguageManager.js';
 
 // Expose RNKCyphur globally for other modules
 globalThis.RNKCyphur = RNKCyphur;
@@ -41,6 +42,7 @@ async function activateCyphur() {
     // 2. Preload templates
     const templates = [
         `modules/${MODULE_ID}/templates/chat-window.hbs`,
+        `modules/${MODULE_ID}/templates/chat-message.hbs`,
         `modules/${MODULE_ID}/templates/group-manager.hbs`,
         `modules/${MODULE_ID}/templates/player-hub.hbs`,
         `modules/${MODULE_ID}/templates/settings-window.hbs`,
@@ -52,7 +54,7 @@ async function activateCyphur() {
     await loadTemplatesFunc(templates);
 
     // 3. Initialize core system
-    RNKCyphur.initialize();
+    await RNKCyphur.initialize();
 
     // 4. Apply global theme
     const globalTheme = game.settings.get(MODULE_ID, 'globalTheme') || 'neon';
@@ -108,6 +110,7 @@ function registerSettingsAndAPI() {
     // WORLD SETTINGS (GM only can modify)
     // ════════════════════════════════════════════════════════════════════════
 
+    // Legacy conversation storage, migrated into the message archive journal
     game.settings.register(MODULE_ID, 'privateChats', {
         scope: 'world',
         config: false,
@@ -161,6 +164,94 @@ function registerSettingsAndAPI() {
         default: DEFAULTS.NOTIFICATION_SOUND
     });
 
+    game.settings.register(MODULE_ID, 'allowUnencrypted', {
+        name: 'CYPHUR.SettingAllowUnencrypted',
+        hint: 'CYPHUR.SettingAllowUnencryptedHint',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, 'retainExpiredMessages', {
+        name: 'CYPHUR.SettingRetainExpired',
+        hint: 'CYPHUR.SettingRetainExpiredHint',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, 'playerGroupCreation', {
+        name: 'CYPHUR.SettingPlayerGroupCreation',
+        hint: 'CYPHUR.SettingPlayerGroupCreationHint',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, 'signalLag', {
+        name: 'CYPHUR.SettingSignalLag',
+        hint: 'CYPHUR.SettingSignalLagHint',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: () => SocketHandler.flushOutbox()
+    });
+
+    game.settings.register(MODULE_ID, 'signalLagRate', {
+        name: 'CYPHUR.SettingSignalLagRate',
+        hint: 'CYPHUR.SettingSignalLagRateHint',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 1
+    });
+
+    game.settings.register(MODULE_ID, 'attachmentFolder', {
+        name: 'CYPHUR.SettingAttachmentFolder',
+        hint: 'CYPHUR.SettingAttachmentFolderHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        filePicker: 'folder',
+        default: ''
+    });
+
+    game.settings.register(MODULE_ID, 'languages', {
+        name: 'CYPHUR.SettingLanguages',
+        hint: 'CYPHUR.SettingLanguagesHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: '',
+        onChange: () => LanguageManager.refresh()
+    });
+
+    game.settings.register(MODULE_ID, 'languagePath', {
+        name: 'CYPHUR.SettingLanguagePath',
+        hint: 'CYPHUR.SettingLanguagePathHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: '',
+        onChange: () => LanguageManager.refresh()
+    });
+
+    // Languages the GM has taught each character, by actor ID: [names]
+    game.settings.register(MODULE_ID, 'languageTable', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {},
+        onChange: () => {
+            LanguageManager.refresh();
+            UIManager.updateGMModWindow();
+        }
+    });
+
     // ════════════════════════════════════════════════════════════════════════
     // CLIENT SETTINGS (Per user)
     // ════════════════════════════════════════════════════════════════════════
@@ -193,6 +284,32 @@ function registerSettingsAndAPI() {
         default: {}
     });
 
+    // Actor each conversation is spoken in, per conversation ID
+    game.settings.register(MODULE_ID, 'speakerIdentities', {
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    game.settings.register(MODULE_ID, 'sendReadReceipts', {
+        name: 'CYPHUR.SettingSendReadReceipts',
+        hint: 'CYPHUR.SettingSendReadReceiptsHint',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, 'mentionAlerts', {
+        name: 'CYPHUR.SettingMentionAlerts',
+        hint: 'CYPHUR.SettingMentionAlertsHint',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
     game.settings.register(MODULE_ID, 'enableDesktopNotifications', {
         name: 'CYPHUR.SettingDesktopNotifications',
         hint: 'CYPHUR.SettingDesktopNotificationsHint',
@@ -290,6 +407,71 @@ function registerSettingsAndAPI() {
         default: {}
     });
 
+    game.settings.register(MODULE_ID, 'idleTimeout', {
+        name: 'CYPHUR.SettingIdleTimeout',
+        hint: 'CYPHUR.SettingIdleTimeoutHint',
+        scope: 'client',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 60, step: 1 },
+        default: 5
+    });
+
+    // Own status and custom status text, per user ID
+    game.settings.register(MODULE_ID, 'presence', {
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    game.settings.register(MODULE_ID, 'lastSeen', {
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // Outgoing messages awaiting delivery or GM storage
+    game.settings.register(MODULE_ID, 'outbox', {
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // This user's conversations whose messages the GM holds for review, as the GM last said
+    game.settings.register(MODULE_ID, 'interceptedConversations', {
+        scope: 'client',
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Own messages a GM held for review, as written, since the GM's history may differ
+    game.settings.register(MODULE_ID, 'heldCopies', {
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // Edits, deletions and burns made while no GM was online, sent to the next GM
+    game.settings.register(MODULE_ID, 'pendingChanges', {
+        scope: 'client',
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Private keys, per user ID - never leaves this browser
+    game.settings.register(MODULE_ID, 'cryptoKeys', {
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {}
+    });
+
     // Register hooks for reactive settings
     Hooks.on('updateSetting', (setting) => {
         if (setting.key === `${MODULE_ID}.globalTheme` && _cyphurInitialized) {
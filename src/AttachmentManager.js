@@ -0,0 +1,207 @@
+/**
+ * RNK Cyphur - Attachment Manager
+ * Files sent with messages: handouts, PDFs, audio clips and anything else
+ *
+ * Files are uploaded through Foundry into the attachment folder, and messages
+ * carry only their paths, sealed with the rest of the message. GMs can hide
+ * each attachment from players; the IDs of hidden attachments are kept in the
+ * clear in `hiddenAttachments`. The hidden attachments themselves are sealed
+ * apart, for GMs and the sender only (see CryptoManager.sealHidden), so players
+ * never receive their paths until a GM reveals them.
+ */
+
+import { MODULE_ID, MAX_ATTACHMENT_SIZE } from './Constants.js';
+
+const DEFAULT_FOLDER = 'cyphur-attachments';
+
+export class AttachmentManager {
+    /** Folders created or found this session */
+    static _readyFolders = new Set();
+
+    /**
+     * Folder attachments are uploaded to
+     * @returns {string}
+     */
+    static getFolder() {
+        const folder = game.settings.get(MODULE_ID, 'attachmentFolder').trim().replace(/\/+$/, '');
+        return folder || `worlds/${game.world.id}/${DEFAULT_FOLDER}`;
+    }
+
+    /**
+     * How an attachment is shown
+     * @param {object} attachment - { name, type }
+     * @returns {string} 'audio', 'pdf' or 'file'
+     */
+    static getKind({ name, type }) {
+        if (type?.startsWith('audio/')) return 'audio';
+        if (type === 'application/pdf' || /\.pdf$/i.test(name ?? '')) return 'pdf';
+        return 'file';
+    }
+
+    /**
+     * Check a file before uploading it
+     * @param {File} file - File to check
+     * @returns {object} { valid, error }
+     */
+    static validate(file) {
+        if (!game.user.can('FILES_UPLOAD')) {
+            return { valid: false, error: game.i18n.localize('CYPHUR.Attachments.NoPermission') };
+        }
+        if (file.size > MAX_ATTACHMENT_SIZE) {
+            return {
+                valid: false,
+                error: game.i18n.format('CYPHUR.Attachments.TooLarge', { name: file.name, size: this.formatSize(MAX_ATTACHMENT_SIZE) })
+            };
+        }
+
+        // The server refuses extensions it does not know, so say so before trying
+        const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+        const allowed = CONST.UPLOADABLE_FILE_EXTENSIONS;
+        if (allowed && !(extension in allowed)) {
+            return { valid: false, error: game.i18n.format('CYPHUR.Attachments.BadType', { name: file.name, extension }) };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Upload a file into the attachment folder
+     * @param {File} file - File to upload
+     * @returns {Promise<object|null>} Attachment { id, name, path, type, size }, or null if it failed
+     */
+    static async upload(file) {
+        const validation = this.validate(file);
+        if (!validation.valid) {
+            ui.notifications.error(validation.error);
+            return null;
+        }
+
+        const id = foundry.utils.randomID();
+        const folder = this.getFolder();
+        // Prefix the ID so files with the same name never overwrite each other
+        const safeName = file.name.replace(/[^\w.-]+/g, '_');
+        const upload = new File([file], `${id}-${safeName}`, { type: file.type });
+
+        try {
+            await this._ensureFolder(folder);
+            const result = await FilePicker.upload('data', folder, upload, {}, { notify: false });
+            if (!result?.path) throw new Error(result?.message || 'No path returned');
+            return { id, name: file.name, path: result.path, type: file.type, size: file.size };
+        } catch (e) {
+            console.error('Cyphur | Failed to upload attachment:', e);
+            ui.notifications.error(game.i18n.format('CYPHUR.Attachments.UploadFailed', { name: file.name }));
+            return null;
+        }
+    }
+
+    /**
+     * Create the attachment folder and any missing parents
+     * @param {string} folder - Folder path
+     */
+    static async _ensureFolder(folder) {
+        if (this._readyFolders.has(folder)) return;
+
+        let path = '';
+        for (const part of folder.split('/')) {
+            path = path ? `${path}/${part}` : part;
+            try {
+                await FilePicker.createDirectory('data', path, {});
+            } catch {
+                // Already there, or not ours to create: the upload reports real failures
+            }
+        }
+        this._readyFolders.add(folder);
+    }
+
+    /**
+     * Add attachments to a message being written
+     * Only GMs can send attachments already hidden from players.
+     * @param {object} messageData - Message (modified in place)
+     * @param {Array<object>} attachments - Pending attachments, with { hidden } set by the GM
+     */
+    static apply(messageData, attachments) {
+        if (!attachments?.length) return;
+
+        messageData.attachments = attachments.map(({ id, name, path, type, size }) => ({ id, name, path, type, size }));
+        const hidden = attachments.filter(a => a.hidden).map(a => a.id);
+        if (game.user.isGM && hidden.length) messageData.hiddenAttachments = hidden;
+    }
+
+    /**
+     * Whether an attachment is hidden from players
+     * @param {object} message - Message
+     * @param {string} attachmentId - Attachment ID
+     * @returns {boolean}
+     */
+    static isHidden(message, attachmentId) {
+        return Boolean(message?.hiddenAttachments?.includes(attachmentId));
+    }
+
+    /**
+     * Attachments of a message that are shown to a user
+     * GMs and the sender see hidden attachments too.
+     * @param {object} message - Message
+     * @param {User} user - User, the current user by default
+     * @returns {Array<object>}
+     */
+    static getVisible(message, user = game.user) {
+        const attachments = (message?.attachments ?? []).filter(a => this.isSafePath(a?.path));
+        if (user.isGM || message.senderId === user.id) return attachments;
+        return attachments.filter(a => !this.isHidden(message, a.id));
+    }
+
+    /**
+     * Whether a path can be linked to: a relative path, or an http(s) URL
+     * @param {string} path - Attachment path
+     * @returns {boolean}
+     */
+    static isSafePath(path) {
+        if (typeof path !== 'string' || !path) return false;
+        const scheme = path.match(/^([a-z][a-z\d+.-]*):/i)?.[1]?.toLowerCase();
+        return !scheme || scheme === 'http' || scheme === 'https';
+    }
+
+    /**
+     * Display data for a message's attachments, for the current user
+     * @param {object} message - Message
+     * @returns {Array<object>}
+     */
+    static getCards(message) {
+        const icons = { audio: 'fa-file-audio', pdf: 'fa-file-pdf', file: 'fa-file' };
+        return this.getVisible(message).map(attachment => {
+            const kind = this.getKind(attachment);
+            const hidden = this.isHidden(message, attachment.id);
+            return {
+                ...attachment,
+                kind,
+                icon: icons[kind],
+                isAudio: kind === 'audio',
+                sizeLabel: this.formatSize(attachment.size),
+                hidden,
+                canToggle: game.user.isGM,
+                toggleLabel: game.i18n.localize(hidden ? 'CYPHUR.Attachments.Show' : 'CYPHUR.Attachments.Hide')
+            };
+        });
+    }
+
+    /**
+     * Short text for a message that has attachments, such as "📎 map.pdf"
+     * @param {object} message - Message
+     * @returns {string} Empty if the user sees no attachments
+     */
+    static describe(message) {
+        const names = this.getVisible(message).map(a => a.name);
+        return names.length ? `📎 ${names.join(', ')}` : '';
+    }
+
+    /**
+     * Human-readable file size
+     * @param {number} bytes - Size in bytes
+     * @returns {string}
+     */
+    static formatSize(bytes) {
+        if (!Number.isFinite(bytes)) return '';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+}
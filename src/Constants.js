@@ -20,13 +20,52 @@ export const SOCKET_EVENTS = {
     GROUP_UPDATE: 'groupUpdate',
     GROUP_DELETE: 'groupDelete',
     GROUP_SYNC: 'groupSync',
+    GROUP_INVITE: 'groupInvite',
+    MESSAGE_BURN: 'messageBurn',
+    CONVERSATION_EXPIRY: 'conversationExpiry',
+    MESSAGE_SCHEDULE: 'messageSchedule',
+    MESSAGE_DECIPHER: 'messageDecipher',
+    MESSAGE_HOLD: 'messageHold',
+    MESSAGE_TRANSMIT: 'messageTransmit',
+    ATTACHMENT_VISIBILITY: 'attachmentVisibility',
+    INTERCEPT_UPDATE: 'interceptUpdate',
     PRIVATE_SYNC: 'privateSync',
     BACKGROUND_SHARE: 'backgroundShare',
     PRESENCE_UPDATE: 'presenceUpdate',
     MESSAGE_READ: 'messageRead',
     CHANNEL_INVITE: 'channelInvite',
     IMAGE_SHARE: 'imageShare',
-    GM_INTERCEPT: 'gmIntercept'
+    GM_INTERCEPT: 'gmIntercept',
+    MESSAGE_DELIVERED: 'messageDelivered',
+    CLIENT_ONLINE: 'clientOnline',
+    SYNC_REQUEST: 'syncRequest',
+    OLDER_MESSAGES_REQUEST: 'olderMessagesRequest',
+    OLDER_MESSAGES: 'olderMessages',
+    CHANNEL_UPDATE: 'channelUpdate',
+    IMPERSONATION_REVEAL: 'impersonationReveal',
+    REJECTED_EVENT: 'rejectedEvent'
+};
+
+// Who can see and join a channel (GMs always keep oversight)
+export const CHANNEL_VISIBILITY = {
+    EVERYONE: 'everyone',
+    PLAYERS: 'players',
+    GM: 'gm'
+};
+
+// What a member may do in a group, highest first
+export const GROUP_ROLES = {
+    OWNER: 'owner',
+    MODERATOR: 'moderator',
+    MEMBER: 'member',
+    READ_ONLY: 'readOnly'
+};
+
+// Who sees the result of an inline [[roll]] (GMs always do)
+export const ROLL_VISIBILITY = {
+    PUBLIC: 'public',
+    GM: 'gm',
+    BLIND: 'blind'
 };
 
 // Message types for different content
@@ -40,6 +79,26 @@ export const MESSAGE_TYPES = {
     FILE: 'file'
 };
 
+// Delivery states for outgoing messages held in the outbox; lost messages were dropped in transit
+export const DELIVERY_STATE = {
+    TRANSMITTING: 'transmitting',
+    QUEUED: 'queued',
+    SENT: 'sent',
+    DELIVERED: 'delivered',
+    READ: 'read',
+    LOST: 'lost'
+};
+
+// GM control over a private link while signal lag is on: jammed links hold messages, dropped links lose them
+export const SIGNAL_LINK_STATES = {
+    OPEN: 'open',
+    JAMMED: 'jammed',
+    DROPPED: 'dropped'
+};
+
+// Message fields that are end-to-end encrypted into message.cipher
+export const ENCRYPTED_FIELDS = ['messageContent', 'imageUrl', 'attachments', 'rolls', 'links', 'mentions'];
+
 // Default settings values
 export const DEFAULTS = {
     theme: 'neon',
@@ -52,7 +111,17 @@ export const DEFAULTS = {
     compactMode: false,
     maxMessageHistory: 500,
     typingTimeout: 5000,
-    maxIntercepted: 1000
+    maxIntercepted: 1000,
+    burnDelay: 30
+};
+
+// Disappearing message timers in seconds; 0 burns the message shortly after it is read
+export const EXPIRY_TIMERS = [0, 60, 300, 900, 3600, 86400];
+
+// What a scheduled message waits for: a real-world time, or a world time (game.time.worldTime)
+export const SCHEDULE_TRIGGERS = {
+    REAL: 'real',
+    WORLD: 'world'
 };
 
 // Theme definitions
@@ -94,3 +163,6 @@ export const STATUS = {
 export const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 export const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
 
+// Largest file that can be sent as an attachment
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024; // 25MB
+
@@ -0,0 +1,489 @@
+/**
+ * RNK Cyphur - Crypto Manager
+ * WebCrypto key management and end-to-end message encryption
+ *
+ * Every user owns an ECDH P-256 keypair. The private key never leaves the
+ * browser (client setting); the public key is published on the User document
+ * as a flag, which acts as the public-key directory.
+ *
+ * Two envelope formats are used:
+ *  - Reader envelopes: a fresh AES-GCM content key per message, wrapped for
+ *    every reader with the ECDH-derived key shared between sender and reader.
+ *  - Conversation envelopes: encrypted with a per-conversation AES-GCM key,
+ *    which is itself distributed to members through a wrapped keyring.
+ *
+ * Attachments a GM hides from players are left out of message.cipher and
+ * sealed in message.hiddenCipher, a reader envelope for GMs and the sender.
+ */
+
+import { MODULE_ID, ENCRYPTED_FIELDS } from './Constants.js';
+
+const ECDH_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+const AES_PARAMS = { name: 'AES-GCM', length: 256 };
+const ENVELOPE_VERSION = 1;
+
+export class CryptoManager {
+    static _keyPair = null;
+    static _publicKeys = new Map();
+    static _pairKeys = new Map();
+    static conversationKeys = new Map();
+
+    /**
+     * Whether WebCrypto is usable in this browser (requires a secure context)
+     * @returns {boolean}
+     */
+    static get isAvailable() {
+        return Boolean(globalThis.crypto?.subtle);
+    }
+
+    /**
+     * Whether this client holds a usable keypair
+     * @returns {boolean}
+     */
+    static get isReady() {
+        return Boolean(this._keyPair);
+    }
+
+    /**
+     * Whether plaintext fallback is allowed by the GM
+     * @returns {boolean}
+     */
+    static get allowUnencrypted() {
+        return game.settings.get(MODULE_ID, 'allowUnencrypted') ?? false;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // INITIALIZATION & KEY DIRECTORY
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Load or generate this user's keypair and publish the public key
+     */
+    static async initialize() {
+        if (!this.isAvailable) {
+            console.warn('Cyphur | WebCrypto unavailable (insecure context), encryption disabled');
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Crypto.Unavailable'));
+            return;
+        }
+
+        try {
+            const stored = game.settings.get(MODULE_ID, 'cryptoKeys') || {};
+            const own = stored[game.user.id];
+
+            if (own?.publicKey && own?.privateKey) {
+                this._keyPair = {
+                    publicKey: await crypto.subtle.importKey('jwk', own.publicKey, ECDH_PARAMS, true, []),
+                    privateKey: await crypto.subtle.importKey('jwk', own.privateKey, ECDH_PARAMS, false, ['deriveKey'])
+                };
+            } else {
+                const pair = await crypto.subtle.generateKey(ECDH_PARAMS, true, ['deriveKey']);
+                stored[game.user.id] = {
+                    publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey),
+                    privateKey: await crypto.subtle.exportKey('jwk', pair.privateKey)
+                };
+                await game.settings.set(MODULE_ID, 'cryptoKeys', stored);
+                this._keyPair = pair;
+                console.debug('Cyphur | Generated new encryption keypair');
+            }
+
+            await this._publishPublicKey(stored[game.user.id].publicKey);
+        } catch (e) {
+            console.error('Cyphur | Failed to initialize encryption keys:', e);
+            this._keyPair = null;
+        }
+
+        Hooks.on('updateUser', (user, changes) => {
+            if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.publicKey`)) {
+                this._publicKeys.delete(user.id);
+                this._pairKeys.delete(user.id);
+            }
+        });
+    }
+
+    /**
+     * Publish the public key to the directory if it changed
+     * @param {object} jwk - Public key JWK
+     */
+    static async _publishPublicKey(jwk) {
+        const current = game.user.getFlag(MODULE_ID, 'publicKey');
+        if (current?.x === jwk.x && current?.y === jwk.y) return;
+        await game.user.setFlag(MODULE_ID, 'publicKey', {
+            kty: jwk.kty,
+            crv: jwk.crv,
+            x: jwk.x,
+            y: jwk.y
+        });
+    }
+
+    /**
+     * Check whether a user has published a public key
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    static hasPublicKey(userId) {
+        return Boolean(game.users.get(userId)?.getFlag(MODULE_ID, 'publicKey'));
+    }
+
+    /**
+     * Short identifier of a user's current public key, used to detect stale keyring entries
+     * @param {string} userId - User ID
+     * @returns {string|null}
+     */
+    static getKeyId(userId) {
+        return game.users.get(userId)?.getFlag(MODULE_ID, 'publicKey')?.x?.slice(0, 16) ?? null;
+    }
+
+    /**
+     * Get a user's imported public key from the directory
+     * @param {string} userId - User ID
+     * @returns {Promise<CryptoKey|null>}
+     */
+    static async getPublicKey(userId) {
+        if (this._publicKeys.has(userId)) return this._publicKeys.get(userId);
+
+        const jwk = game.users.get(userId)?.getFlag(MODULE_ID, 'publicKey');
+        if (!jwk) return null;
+
+        try {
+            const key = await crypto.subtle.importKey('jwk', jwk, ECDH_PARAMS, true, []);
+            this._publicKeys.set(userId, key);
+            return key;
+        } catch (e) {
+            console.warn(`Cyphur | Invalid public key for user ${userId}:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Derive the symmetric key shared between this user and another user
+     * @param {string} userId - Other user ID
+     * @returns {Promise<CryptoKey|null>}
+     */
+    static async _getPairKey(userId) {
+        if (this._pairKeys.has(userId)) return this._pairKeys.get(userId);
+        if (!this._keyPair) return null;
+
+        const publicKey = await this.getPublicKey(userId);
+        if (!publicKey) return null;
+
+        const key = await crypto.subtle.deriveKey(
+            { name: 'ECDH', public: publicKey },
+            this._keyPair.privateKey,
+            AES_PARAMS,
+            false,
+            ['encrypt', 'decrypt']
+        );
+        this._pairKeys.set(userId, key);
+        return key;
+    }
+
+    /**
+     * IDs of all GM users, who act as readers for moderation and persistence
+     * @returns {Array<string>}
+     */
+    static getGMIds() {
+        return game.users.filter(u => u.isGM).map(u => u.id);
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // KEY WRAPPING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Wrap a raw symmetric key for each reader
+     * @param {ArrayBuffer} rawKey - Raw key bytes
+     * @param {Array<string>} userIds - Reader user IDs
+     * @returns {Promise<object>} Map of userId -> { from, iv, key }
+     */
+    static async _wrapForUsers(rawKey, userIds) {
+        const wrapped = {};
+        for (const userId of new Set(userIds)) {
+            const pairKey = await this._getPairKey(userId);
+            if (!pairKey) continue;
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const key = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, pairKey, rawKey);
+            wrapped[userId] = {
+                from: game.user.id,
+                kid: this.getKeyId(userId),
+                iv: this._toBase64(iv),
+                key: this._toBase64(key)
+            };
+        }
+        return wrapped;
+    }
+
+    /**
+     * Unwrap this user's entry of a keyring
+     * @param {object} entry - { from, iv, key }
+     * @returns {Promise<CryptoKey|null>}
+     */
+    static async _unwrap(entry) {
+        if (!entry) return null;
+        const pairKey = await this._getPairKey(entry.from);
+        if (!pairKey) return null;
+
+        const raw = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this._fromBase64(entry.iv) },
+            pairKey,
+            this._fromBase64(entry.key)
+        );
+        return crypto.subtle.importKey('raw', raw, AES_PARAMS, true, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Create a new conversation key and wrap it for the given members
+     * @param {string} conversationId - Conversation ID
+     * @param {Array<string>} userIds - Member user IDs
+     * @returns {Promise<object|null>} Keyring
+     */
+    static async createKeyring(conversationId, userIds) {
+        if (!this.isReady) return null;
+
+        const key = await crypto.subtle.generateKey(AES_PARAMS, true, ['encrypt', 'decrypt']);
+        this.conversationKeys.set(conversationId, key);
+
+        const raw = await crypto.subtle.exportKey('raw', key);
+        return this._wrapForUsers(raw, [game.user.id, ...userIds]);
+    }
+
+    /**
+     * Add entries for new members (or members whose key changed) to an existing keyring
+     * @param {string} conversationId - Conversation ID
+     * @param {object} keyring - Existing keyring
+     * @param {Array<string>} userIds - User IDs that need access
+     * @returns {Promise<object>} Updated keyring (unchanged if the key is not held)
+     */
+    static async extendKeyring(conversationId, keyring, userIds) {
+        const missing = userIds.filter(id => this.hasPublicKey(id) && keyring?.[id]?.kid !== this.getKeyId(id));
+        if (!missing.length) return keyring;
+
+        const key = await this.getConversationKey(conversationId, keyring);
+        if (!key) return keyring;
+
+        const raw = await crypto.subtle.exportKey('raw', key);
+        return { ...keyring, ...(await this._wrapForUsers(raw, missing)) };
+    }
+
+    /**
+     * Get (and cache) the symmetric key for a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {object} keyring - Conversation keyring
+     * @returns {Promise<CryptoKey|null>}
+     */
+    static async getConversationKey(conversationId, keyring) {
+        if (this.conversationKeys.has(conversationId)) return this.conversationKeys.get(conversationId);
+        if (!this.isReady || !keyring?.[game.user.id]) return null;
+
+        try {
+            const key = await this._unwrap(keyring[game.user.id]);
+            if (key) this.conversationKeys.set(conversationId, key);
+            return key;
+        } catch (e) {
+            console.warn(`Cyphur | Failed to unwrap key for ${conversationId}:`, e);
+            return null;
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // ENVELOPES
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Encrypt a body for a set of readers
+     * @param {object} body - Plain data to encrypt
+     * @param {Array<string>} readerIds - User IDs allowed to read
+     * @returns {Promise<object|null>} Envelope
+     */
+    static async encryptFor(body, readerIds) {
+        if (!this.isReady) return null;
+
+        const contentKey = await crypto.subtle.generateKey(AES_PARAMS, true, ['encrypt', 'decrypt']);
+        const envelope = await this._encryptWith(contentKey, body);
+        const raw = await crypto.subtle.exportKey('raw', contentKey);
+        envelope.keys = await this._wrapForUsers(raw, [game.user.id, ...readerIds]);
+        return envelope;
+    }
+
+    /**
+     * Encrypt a body with a conversation key
+     * @param {object} body - Plain data to encrypt
+     * @param {string} conversationId - Conversation ID
+     * @param {object} keyring - Conversation keyring
+     * @returns {Promise<object|null>} Envelope
+     */
+    static async encryptForConversation(body, conversationId, keyring) {
+        const key = await this.getConversationKey(conversationId, keyring);
+        if (!key) return null;
+
+        const envelope = await this._encryptWith(key, body);
+        envelope.conv = conversationId;
+        return envelope;
+    }
+
+    /**
+     * Decrypt an envelope
+     * @param {object} envelope - Envelope produced by encryptFor/encryptForConversation
+     * @param {object} keyring - Conversation keyring (for conversation envelopes)
+     * @returns {Promise<object|null>} Decrypted body
+     */
+    static async decrypt(envelope, keyring = null) {
+        if (!envelope || !this.isReady) return null;
+
+        try {
+            const key = envelope.conv
+                ? await this.getConversationKey(envelope.conv, keyring)
+                : await this._unwrap(envelope.keys?.[game.user.id]);
+            if (!key) return null;
+
+            const plain = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this._fromBase64(envelope.iv) },
+                key,
+                this._fromBase64(envelope.data)
+            );
+            return JSON.parse(new TextDecoder().decode(plain));
+        } catch (e) {
+            console.warn('Cyphur | Failed to decrypt envelope:', e);
+            return null;
+        }
+    }
+
+    static async _encryptWith(key, body) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encoded = new TextEncoder().encode(JSON.stringify(body));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoded);
+        return { v: ENVELOPE_VERSION, iv: this._toBase64(iv), data: this._toBase64(data) };
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // MESSAGE HELPERS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Encrypt the secret fields of a message into message.cipher
+     * @param {object} message - Message data (modified in place)
+     * @param {object} target - { readers } for reader envelopes or { conversationId, keyring }
+     * @returns {Promise<boolean>} True if sealed (or plaintext fallback allowed)
+     */
+    static async seal(message, { readers = [], conversationId = null, keyring = null } = {}) {
+        const body = {};
+        for (const field of ENCRYPTED_FIELDS) {
+            if (message[field] !== undefined) body[field] = message[field];
+        }
+        if (body.attachments) {
+            body.attachments = this._withoutHidden(message);
+            if (!body.attachments.length) delete body.attachments;
+        }
+
+        const envelope = conversationId
+            ? await this.encryptForConversation(body, conversationId, keyring)
+            : await this.encryptFor(body, readers);
+
+        if (!envelope) return this.allowUnencrypted;
+
+        message.cipher = envelope;
+        return true;
+    }
+
+    /**
+     * Decrypt message.cipher back into the message's secret fields
+     * @param {object} message - Message data (modified in place)
+     * @param {object} keyring - Conversation keyring (for group messages)
+     * @returns {Promise<boolean>} True if the message is readable
+     */
+    static async open(message, keyring = null) {
+        if (message?.cipher) {
+            const body = await this.decrypt(message.cipher, keyring);
+            if (!body) {
+                message.messageContent = game.i18n.localize('CYPHUR.Crypto.Undecryptable');
+                message.undecryptable = true;
+                return false;
+            }
+
+            Object.assign(message, body);
+            delete message.undecryptable;
+        }
+        await this.openHidden(message);
+        return true;
+    }
+
+    /**
+     * Seal a message's hidden attachments for GMs and its sender only
+     * Players get the IDs in message.hiddenAttachments, never the files.
+     * @param {object} message - Message data (modified in place)
+     * @returns {Promise<boolean>} False if it has hidden attachments that could not be sealed
+     */
+    static async sealHidden(message) {
+        delete message.hiddenCipher;
+        const hiddenIds = message.hiddenAttachments ?? [];
+        const hidden = (message.attachments ?? []).filter(a => hiddenIds.includes(a.id));
+        if (!hidden.length) return true;
+
+        const envelope = await this.encryptFor({ attachments: hidden }, [...this.getGMIds(), message.senderId]);
+        if (!envelope) return false;
+        message.hiddenCipher = envelope;
+        return true;
+    }
+
+    /**
+     * Add a message's hidden attachments back to it, for those who can read them
+     * @param {object} message - Message data (modified in place)
+     */
+    static async openHidden(message) {
+        if (!message?.hiddenCipher) return;
+
+        const body = await this.decrypt(message.hiddenCipher);
+        if (!Array.isArray(body?.attachments)) return;
+        const ids = new Set(body.attachments.map(a => a.id));
+        message.attachments = [...(message.attachments ?? []).filter(a => !ids.has(a.id)), ...body.attachments];
+    }
+
+    /**
+     * Copy of a message with plaintext secret fields removed, safe to emit or persist
+     * Hidden attachments are removed from unsealed messages too.
+     * @param {object} message - Message data
+     * @returns {object}
+     */
+    static strip(message) {
+        if (!message?.cipher && !message?.hiddenAttachments?.length) return message;
+
+        const copy = { ...message };
+        if (copy.cipher) {
+            for (const field of ENCRYPTED_FIELDS) delete copy[field];
+            delete copy.undecryptable;
+        } else if (copy.attachments) {
+            copy.attachments = this._withoutHidden(copy);
+            if (!copy.attachments.length) delete copy.attachments;
+        }
+        return copy;
+    }
+
+    /**
+     * A message's attachments that are not hidden from players
+     * @param {object} message - Message data
+     * @returns {Array<object>}
+     */
+    static _withoutHidden(message) {
+        const hiddenIds = message.hiddenAttachments ?? [];
+        return (message.attachments ?? []).filter(a => !hiddenIds.includes(a.id));
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // ENCODING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    static _toBase64(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static _fromBase64(str) {
+        const binary = atob(str);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+}
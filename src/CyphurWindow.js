@@ -8,9 +8,49 @@ import { DataManager } from './DataManager.js';
 import { UIManager } from './UIManager.js';
 import { SocketHandler } from './SocketHandler.js';
 import { Utils } from './Utils.js';
+import { PresenceManager } from './PresenceManager.js';
+import { DiceManager } from './DiceManager.js';
 import { RNKCyphur } from './RNKCyphur.js';
 import { QuantumPortal } from './QuantumPortal.js';
-import { REACTION_EMOJIS } from './Constants.js';
+import { SearchIndex } from './SearchIndex.js';
+import { ExpiryManager } from './ExpiryManager.js';
+import { LanguageManager } from './LanguageManager.js';
+import { AttachmentManager } from './AttachmentManager.js';
+import { REACTION_EMOJIS, DELIVERY_STATE, ROLL_VISIBILITY, GROUP_ROLES } from './Constants.js';
+
+const DELIVERY_ICONS = {
+    [DELIVERY_STATE.TRANSMITTING]: 'fa-satellite-dish',
+    [DELIVERY_STATE.QUEUED]: 'fa-clock',
+    [DELIVERY_STATE.SENT]: 'fa-check',
+    [DELIVERY_STATE.DELIVERED]: 'fa-check-double',
+    [DELIVERY_STATE.READ]: 'fa-check-double',
+    [DELIVERY_STATE.LOST]: 'fa-times-circle'
+};
+
+// Markdown inserted by the composer toolbar; '#' in a prefix is the line number
+const FORMAT_MARKERS = {
+    bold: { wrap: '**' },
+    italic: { wrap: '*' },
+    strike: { wrap: '~~' },
+    code: { wrap: '`' },
+    spoiler: { wrap: '||' },
+    codeBlock: { fence: true },
+    quote: { prefix: '> ' },
+    list: { prefix: '- ' },
+    numbered: { prefix: '#. ' }
+};
+
+const FORMAT_ICONS = {
+    bold: 'fa-bold',
+    italic: 'fa-italic',
+    strike: 'fa-strikethrough',
+    code: 'fa-code',
+    codeBlock: 'fa-file-code',
+    quote: 'fa-quote-right',
+    list: 'fa-list-ul',
+    numbered: 'fa-list-ol',
+    spoiler: 'fa-eye-slash'
+};
 
 // Version-compatible Application class
 let AppClass;
@@ -34,6 +74,29 @@ export class CyphurWindow extends AppClass {
         this._isRendering = false;
         this._renderScheduled = false;
         this._pendingImage = null; // For image upload preview
+        this._pendingAttachments = []; // Uploaded files waiting to be sent
+        this._olderMessages = []; // Archived history loaded on demand
+        this._scrollAnchorId = null;
+        this._rollVisibility = ROLL_VISIBILITY.PUBLIC;
+        this._expiry = undefined; // Message timer override; undefined follows the conversation
+        this._language = null; // Language new messages are written in
+        this._resolvedRolls = new Map(); // Message ID -> rolls as this client sees them
+        this._showPreview = false;
+        this._focusMessageId = null;
+        this._mentionQuery = null; // Open autocomplete: { start, end, options, index }
+        this._threadId = null; // Root message of the open thread
+        this._threadCollapsed = false;
+        this._threadInputValue = '';
+        this._threadInputActive = false;
+    }
+
+    /**
+     * Users taking part in this conversation
+     * @returns {Array<string>}
+     */
+    get participantIds() {
+        if (this.options.groupId) return DataManager.groupChats.get(this.options.groupId)?.members ?? [];
+        return [game.user.id, this.options.otherUserId];
     }
 
     get id() {
@@ -46,6 +109,8 @@ export class CyphurWindow extends AppClass {
     get title() {
         if (this.options.groupId) {
             const group = DataManager.groupChats.get(this.options.groupId);
+            if (DataManager.isChannel(group)) return game.i18n.format('CYPHUR.Channels.WindowTitle', { name: group.name });
+            if (DataManager.isActorConversation(group)) return DataManager.getActorConversationName(group);
             return group 
                 ? game.i18n.format('CYPHUR.GroupChat', { name: group.name }) 
                 : game.i18n.localize('CYPHUR.GroupChatDefault');
@@ -93,86 +158,269 @@ export class CyphurWindow extends AppClass {
         const context = {
             currentUser: game.user,
             isGM: game.user.isGM,
-            reactionEmojis: REACTION_EMOJIS
+            reactionEmojis: REACTION_EMOJIS,
+            rollVisibilities: Object.values(ROLL_VISIBILITY).map(value => ({
+                value,
+                label: game.i18n.localize(`CYPHUR.Dice.Visibility.${value}`),
+                selected: value === this._rollVisibility
+            })),
+            formatButtons: Object.entries(FORMAT_ICONS).map(([format, icon]) => ({
+                format,
+                icon,
+                label: game.i18n.localize(`CYPHUR.Format.${format}`)
+            }))
         };
         
-        // GM speaker selection
-        if (context.isGM) {
+        const conversationId = this.options.groupId || 
+            DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+
+        // In-character identity, remembered per conversation
+        const ownedActors = DataManager.getOwnedActors();
+        if (ownedActors.length) {
+            const speakerId = DataManager.getSpeakerIdentity(conversationId)?.id ?? game.user.id;
             context.speakers = [
                 { id: game.user.id, name: game.user.name, isActor: false },
-                ...game.actors.filter(a => a.isOwner).map(a => ({
+                ...ownedActors.map(a => ({
                     id: a.id,
                     name: a.name,
                     isActor: true
                 }))
-            ];
+            ].map(speaker => ({ ...speaker, selected: speaker.id === speakerId }));
         }
         
-        const conversationId = this.options.groupId || 
-            DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
-        
         context.isFavorite = DataManager.isFavorite(conversationId);
         context.isMuted = DataManager.isMuted(conversationId);
         context.isGroup = !!this.options.groupId;
         context.conversationId = conversationId;
         
-        // Get messages
+        // Get messages - enriched as copies so display-only fields (including
+        // decrypted previews) never end up on stored or persisted messages
         let messages = [];
         
         if (this.options.otherUserId) {
             const chatKey = DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
             const chat = DataManager.privateChats.get(chatKey);
-            messages = chat ? [...(chat.history || [])] : [];
+            messages = chat ? (chat.history || []).map(msg => ({ ...msg })) : [];
             
             // Mark as read
             DataManager.markAsRead(chatKey);
             
             context.otherUser = game.users.get(this.options.otherUserId);
             context.isOnline = Utils.isUserOnline(this.options.otherUserId);
+            context.presence = PresenceManager.describe(this.options.otherUserId);
             
         } else if (this.options.groupId) {
             const group = DataManager.groupChats.get(this.options.groupId);
-            messages = group ? [...(group.history || [])] : [];
+            messages = group ? (group.history || []).map(msg => ({ ...msg })) : [];
             
             // Mark as read
+            const hadUnread = DataManager.getUnreadCount(this.options.groupId) > 0;
             DataManager.markAsRead(this.options.groupId);
             
             context.group = group;
             context.memberCount = group?.members?.length || 0;
+            context.isChannel = DataManager.isChannel(group);
+            context.isActorConversation = DataManager.isActorConversation(group);
+            if (context.isActorConversation) {
+                const actor = DataManager.getConversationActor(group);
+                context.addressedActor = {
+                    name: DataManager.getActorConversationName(group),
+                    img: actor?.img,
+                    answersAs: !!DataManager.getActorSpeaker(group, game.user.id)
+                };
+                if (context.addressedActor.answersAs) delete context.speakers;
+                if (hadUnread && game.user.isGM) UIManager.updateGMModWindow();
+            }
+
+            const role = context.isChannel || context.isActorConversation ? null : DataManager.getGroupRole(group, game.user.id);
+            context.groupRole = role && {
+                value: role,
+                label: game.i18n.localize(`CYPHUR.GroupRoles.Role.${role}`)
+            };
+            context.readOnly = !!group && !DataManager.canPostInGroup(group, game.user.id);
+        }
+
+        // Prepend archived history loaded with "Load older messages"
+        if (this._olderMessages.length) {
+            const shown = new Set(messages.map(m => m.id));
+            const older = this._olderMessages.filter(m => !shown.has(m.id)).map(msg => ({ ...msg }));
+            messages = [...older, ...messages];
         }
+        if (messages.length) {
+            context.hasOlderMessages = DataManager.hasOlderMessages(conversationId, messages[0].timestamp || 0);
+        }
+
+        // Quotes and threads resolve against everything loaded, not just what is shown
+        const allMessages = messages;
+        const byId = new Map(allMessages.map(m => [m.id, m]));
+        const threads = DataManager.getThreadSummaries(conversationId, allMessages);
+
+        // Thread replies live in the thread pane, unless their root is gone
+        messages = allMessages.filter(m => !m.threadId || !byId.has(m.threadId));
         
-        // Apply search filter
+        // Apply search filter, which also finds thread replies. Loaded archive history is not indexed.
         if (this._searchQuery) {
-            const lowerQuery = this._searchQuery.toLowerCase();
-            messages = messages.filter(msg => {
-                const content = (msg.messageContent || '').toLowerCase();
-                const sender = (msg.senderName || '').toLowerCase();
-                return content.includes(lowerQuery) || sender.includes(lowerQuery);
-            });
+            const hits = new Set(SearchIndex.search(this._searchQuery, { conversationId, limit: Infinity }).map(r => r.messageId));
+            const older = new Set(this._olderMessages.map(m => m.id));
+            messages = allMessages.filter(msg => hits.has(msg.id)
+                || (older.has(msg.id) && SearchIndex.matches(msg, this._searchQuery, conversationId, context.isGroup)));
             context.searchActive = true;
             context.searchResultCount = messages.length;
         }
+
+        // Message timers
+        const conversationExpiry = DataManager.getConversationExpiry(conversationId, context.isGroup);
+        const group = context.isGroup ? DataManager.groupChats.get(conversationId) : null;
+        context.conversationExpiry = conversationExpiry === null ? null : ExpiryManager.getLabel(conversationExpiry);
+        context.canSetExpiry = !group || game.user.isGM || DataManager.canManageGroup(group, game.user.id);
+        context.languageOptions = LanguageManager.getOptions(this._language);
+        context.expiryOptions = [
+            {
+                value: '',
+                label: game.i18n.format('CYPHUR.Expiry.Default', { timer: ExpiryManager.getLabel(conversationExpiry) }),
+                selected: this._expiry === undefined
+            },
+            ...ExpiryManager.getOptions(this._expiry)
+        ];
+
+        this._resolvedRolls.clear();
+        const env = { conversationId, isGroup: context.isGroup, byId, participantIds: this.participantIds };
+        await this._prepareMessages(messages, env);
+        for (const msg of messages) {
+            const thread = threads.get(msg.id);
+            if (thread) msg.thread = this._formatThreadSummary(thread);
+            msg.inThread = Boolean(msg.threadId && byId.has(msg.threadId));
+        }
+        context.messages = messages;
+
+        // Open thread, or the thread of a reply being jumped to
+        const focused = this._focusMessageId ? byId.get(this._focusMessageId) : null;
+        if (focused?.threadId && byId.has(focused.threadId)) {
+            this._threadId = focused.threadId;
+            this._threadCollapsed = false;
+        }
+        const root = this._threadId ? byId.get(this._threadId) : null;
+        if (root) {
+            const replies = DataManager.getThreadReplies(allMessages, root.id).map(msg => ({ ...msg }));
+            const threadMessages = [{ ...root }, ...replies];
+            await this._prepareMessages(threadMessages, env);
+            threadMessages.forEach(msg => { msg.inThreadPane = true; });
+
+            context.thread = {
+                root: threadMessages[0],
+                replies,
+                collapsed: this._threadCollapsed,
+                label: game.i18n.format('CYPHUR.Threads.Replies', { count: replies.length })
+            };
+            if (replies.length && !this._threadCollapsed) {
+                DataManager.markThreadRead(conversationId, root.id, replies[replies.length - 1].timestamp || 0);
+            }
+        } else {
+            this._threadId = null;
+        }
         
-        // Enrich messages with display data
+        // Typing users
+        const typingNames = DataManager.getTypingUsers(conversationId);
+        if (typingNames.length > 0) {
+            context.typingText = typingNames.length === 1
+                ? game.i18n.format('CYPHUR.TypingSingle', { name: typingNames[0] })
+                : game.i18n.format('CYPHUR.TypingMultiple', { names: typingNames.join(', ') });
+        }
+        
+        // Reply preview
+        const replyToId = DataManager.getReplyTo();
+        if (replyToId) {
+            const replyMsg = byId.get(replyToId);
+            if (replyMsg) {
+                context.replyingTo = Utils.formatReplyQuote(this._asReadable(replyMsg));
+            }
+        }
+        
+        return context;
+    }
+
+    /**
+     * Add display data to message copies
+     * @param {Array} messages - Message copies, modified in place
+     * @param {object} env - { conversationId, isGroup, byId, participantIds }
+     */
+    async _prepareMessages(messages, { conversationId, isGroup, byId, participantIds }) {
+        // Inline roll results, decrypting hidden ones where this user may see them
+        for (const msg of messages) {
+            if (msg.rolls?.length) this._resolvedRolls.set(msg.id, await DiceManager.resolve(msg));
+        }
+
         messages.forEach(msg => {
             msg.relativeTime = Utils.formatRelativeTime(msg.timestamp);
             msg.fullTime = Utils.formatFullTimestamp(msg.timestamp);
             msg.isOwn = Utils.isOwnMessage(msg.senderId);
-            msg.displayContent = Utils.highlightMentions(msg.messageContent || '');
+            msg.displayContent = Utils.highlightMentions(LanguageManager.getReadableContent(msg), participantIds);
+            if (msg.language) {
+                const ciphered = !LanguageManager.canRead(msg);
+                msg.languageBadge = {
+                    label: msg.language,
+                    ciphered,
+                    hint: game.i18n.format(ciphered ? 'CYPHUR.Languages.Unknown' : 'CYPHUR.Languages.WrittenIn', { language: msg.language }),
+                    canGrant: game.user.isGM && participantIds.some(id => game.users.has(id) && !LanguageManager.canRead(msg, game.users.get(id)))
+                };
+            }
+            msg.attachmentCards = AttachmentManager.getCards(msg);
+            if (this._resolvedRolls.has(msg.id)) {
+                msg.displayContent = DiceManager.render(msg.displayContent, this._resolvedRolls.get(msg.id));
+            }
             msg.isPinned = DataManager.isPinned(conversationId, msg.id);
+
+            // Delivery state - own messages no longer in the outbox have been delivered,
+            // private messages past the other user's read position have been read
+            if (msg.isOwn) {
+                const readBy = DataManager.getReadBy(conversationId, msg);
+                let deliveryState = DataManager.getDeliveryState(msg.id) ?? DELIVERY_STATE.DELIVERED;
+                if (readBy.length && !isGroup) deliveryState = DELIVERY_STATE.READ;
+                if (msg.signalLost) deliveryState = DELIVERY_STATE.LOST;
+                if (readBy.length && isGroup) {
+                    msg.seenBy = {
+                        count: readBy.length,
+                        label: game.i18n.format('CYPHUR.Delivery.SeenBy', { count: readBy.length }),
+                        names: readBy.map(id => game.users.get(id)?.name).filter(Boolean).join(', ')
+                    };
+                }
+                msg.delivery = {
+                    state: deliveryState,
+                    icon: DELIVERY_ICONS[deliveryState],
+                    label: game.i18n.localize(`CYPHUR.Delivery.${deliveryState.charAt(0).toUpperCase()}${deliveryState.slice(1)}`)
+                };
+            }
             
             // Reply context
             if (msg.replyToId) {
-                const replyToMsg = messages.find(m => m.id === msg.replyToId);
+                const replyToMsg = byId.get(msg.replyToId) ?? DataManager.getMessage(conversationId, msg.replyToId, isGroup);
                 if (replyToMsg) {
-                    msg.replyTo = Utils.formatReplyQuote(replyToMsg);
+                    msg.replyTo = Utils.formatReplyQuote(this._asReadable(replyToMsg));
                 }
             }
             
+            // Countdown, including burn clocks that started when this render marked the message read
+            const expiresAt = msg.expiresAt
+                ?? (msg.expiry === 0 ? DataManager.getMessage(conversationId, msg.id, isGroup)?.expiresAt : null);
+            if (expiresAt) {
+                msg.expiresAt = expiresAt;
+                msg.expiryCountdown = ExpiryManager.formatRemaining(expiresAt - Date.now());
+            } else if (msg.expiry === 0) {
+                msg.burnAfterReading = true;
+            }
+
             // Edit timestamp
             if (msg.edited) {
                 msg.editedTime = Utils.formatFullTimestamp(msg.editedAt);
             }
+
+            // Tombstone, naming a moderator who removed someone else's message
+            if (msg.deleted) {
+                const remover = msg.deletedBy !== msg.senderId ? game.users.get(msg.deletedBy)?.name : null;
+                msg.tombstone = remover
+                    ? game.i18n.format('CYPHUR.Revisions.DeletedBy', { name: remover })
+                    : game.i18n.localize('CYPHUR.Revisions.Deleted');
+            }
             
             // Format reactions
             if (msg.reactions && Object.keys(msg.reactions).length > 0) {
@@ -184,8 +432,10 @@ export class CyphurWindow extends AppClass {
                 }));
             }
             
-            // Avatar
-            const avatar = Utils.getUserAvatar(msg.senderId);
+            // Avatar - in-character messages show the actor's portrait
+            const avatar = msg.actorId && msg.senderImg
+                ? { type: 'image', value: msg.senderImg }
+                : Utils.getUserAvatar(msg.senderId);
             if (avatar.type === 'initials') {
                 msg.avatarInitials = avatar.value;
                 msg.useInitials = true;
@@ -197,27 +447,24 @@ export class CyphurWindow extends AppClass {
             // User color for visual identification
             msg.userColor = Utils.getUserColor(msg.senderId);
         });
-        
-        context.messages = messages;
-        
-        // Typing users
-        const typingNames = DataManager.getTypingUsers(conversationId);
-        if (typingNames.length > 0) {
-            context.typingText = typingNames.length === 1
-                ? game.i18n.format('CYPHUR.TypingSingle', { name: typingNames[0] })
-                : game.i18n.format('CYPHUR.TypingMultiple', { names: typingNames.join(', ') });
-        }
-        
-        // Reply preview
-        const replyToId = DataManager.getReplyTo();
-        if (replyToId) {
-            const replyMsg = messages.find(m => m.id === replyToId);
-            if (replyMsg) {
-                context.replyingTo = Utils.formatReplyQuote(replyMsg);
-            }
+
+        // Clickable document links
+        for (const msg of messages) {
+            msg.displayContent = await Utils.enrichContent(msg.displayContent);
         }
-        
-        return context;
+    }
+
+    /**
+     * Display data for a thread's reply count
+     * @param {object} summary - From DataManager.getThreadSummaries
+     * @returns {object} { label, unread, lastReply }
+     */
+    _formatThreadSummary(summary) {
+        return {
+            label: game.i18n.format('CYPHUR.Threads.Replies', { count: summary.count }),
+            unread: summary.unread,
+            lastReply: game.i18n.format('CYPHUR.Threads.LastReply', { time: Utils.formatRelativeTime(summary.lastTimestamp) })
+        };
     }
 
     /**
@@ -288,8 +535,20 @@ export class CyphurWindow extends AppClass {
             QuantumPortal.addLogoDisplay(content, 'corner');
         }
         
-        // Scroll to bottom
-        this._scrollToBottom(this._shouldScrollToBottom);
+        // Jump to a requested message, keep the previous first message in place after
+        // loading older history, otherwise scroll to bottom
+        const focused = this._focusMessageId
+            && element.querySelector(`.cyphur-message[data-message-id="${this._focusMessageId}"]`);
+        this._focusMessageId = null;
+        if (focused) {
+            focused.classList.add('focused');
+            focused.scrollIntoView({ block: 'center' });
+        } else if (this._scrollAnchorId) {
+            element.querySelector(`.cyphur-message[data-message-id="${this._scrollAnchorId}"]`)?.scrollIntoView({ block: 'start' });
+            this._scrollAnchorId = null;
+        } else {
+            this._scrollToBottom(this._shouldScrollToBottom);
+        }
         
         // Form submit handler
         element.removeEventListener('submit', this._boundSubmitHandler);
@@ -306,11 +565,47 @@ export class CyphurWindow extends AppClass {
             }, 300));
         }
         
+        element.querySelector('.cyphur-load-older')?.addEventListener('click', () => this._onLoadOlder());
+
+        // Inline rolls
+        element.querySelectorAll('.cyphur-dice-roll[data-roll-index]').forEach(el => {
+            el.addEventListener('click', (e) => this._onDiceClick(e));
+        });
+        element.querySelector('select[name="rollVisibility"]')?.addEventListener('change', (e) => {
+            this._rollVisibility = e.target.value;
+        });
+        element.querySelector('select[name="language"]')?.addEventListener('change', (e) => {
+            this._language = e.target.value || null;
+        });
+        element.querySelector('select[name="expiry"]')?.addEventListener('change', (e) => {
+            this._expiry = e.target.value === '' ? undefined : ExpiryManager.parse(e.target.value);
+        });
+        element.querySelector('select[name="speaker"]')?.addEventListener('change', (e) => {
+            const conversationId = this.options.groupId || DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+            DataManager.setSpeakerIdentity(conversationId, e.target.value === game.user.id ? null : e.target.value);
+        });
+
+        // Formatting
+        element.querySelectorAll('.cyphur-format-btn[data-format]').forEach(btn => {
+            btn.addEventListener('click', () => this._onFormat(btn.dataset.format));
+        });
+        element.querySelector('.cyphur-preview-btn')?.addEventListener('click', () => {
+            this._showPreview = !this._showPreview;
+            this._updatePreview();
+        });
+        element.querySelectorAll('.cyphur-msg-content .cyphur-spoiler').forEach(el => {
+            el.title = game.i18n.localize('CYPHUR.Format.SpoilerHint');
+            el.addEventListener('click', () => el.classList.toggle('revealed'));
+        });
+
         // Toolbar buttons
         element.querySelector('.cyphur-favorite-btn')?.addEventListener('click', () => this._onToggleFavorite());
         element.querySelector('.cyphur-mute-btn')?.addEventListener('click', () => this._onToggleMute());
         element.querySelector('.cyphur-export-btn')?.addEventListener('click', () => this._onExport());
+        element.querySelector('.cyphur-manage-group')?.addEventListener('click', () => this._onManageGroup());
+        element.querySelector('.cyphur-expiry-btn')?.addEventListener('click', () => this._onSetConversationExpiry());
         element.querySelector('.cyphur-image-btn')?.addEventListener('click', () => this._onImageUpload());
+        element.querySelector('.cyphur-schedule-btn')?.addEventListener('click', () => this._onScheduleMessage());
         element.querySelector('.cyphur-background-btn')?.addEventListener('click', () => this._onSetBackground());
 
 
@@ -320,6 +615,12 @@ export class CyphurWindow extends AppClass {
             imageInput.addEventListener('change', (e) => this._onImageSelected(e));
         }
 
+        // File attachments via hidden input
+        element.querySelector('.cyphur-file-btn')?.addEventListener('click', () => {
+            element.querySelector('.cyphur-attachment-input')?.click();
+        });
+        element.querySelector('.cyphur-attachment-input')?.addEventListener('change', (e) => this._onAttachmentsSelected(e));
+
         // Cancel pending image
         element.querySelector('.cyphur-cancel-image')?.addEventListener('click', () => {
             this._pendingImage = null;
@@ -328,10 +629,12 @@ export class CyphurWindow extends AppClass {
         
         // Message input
         const textarea = element.querySelector('textarea[name="message"]');
+        this._mentionQuery = null;
         if (textarea) {
             textarea.value = this._preservedInputValue;
             
             textarea.addEventListener('keydown', (event) => {
+                if (this._onMentionKeydown(event)) return;
                 if (event.key === 'Enter' && !event.shiftKey) {
                     event.preventDefault();
                     this._handleFormSubmit(event);
@@ -345,10 +648,55 @@ export class CyphurWindow extends AppClass {
             textarea.addEventListener('input', () => {
                 this._preservedInputValue = textarea.value;
                 this._onTyping();
+                this._updatePreview();
+                this._updateMentionPopup(textarea);
             });
+            textarea.addEventListener('blur', () => this._closeMentionPopup());
+
+            // Drop documents from the sidebar or compendiums to link them
+            textarea.addEventListener('dragover', (event) => event.preventDefault());
+            textarea.addEventListener('drop', (event) => this._onDropDocument(event, textarea));
             
             textarea.focus();
+            textarea.addEventListener('focus', () => { this._threadInputActive = false; });
+            this._updatePreview();
+        }
+        
+        // Threads
+        element.querySelectorAll('.cyphur-msg-thread').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onOpenThread(e.currentTarget.closest('[data-message-id]')?.dataset.messageId));
+        });
+        element.querySelectorAll('.cyphur-thread-link').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onOpenThread(e.currentTarget.dataset.threadId));
+        });
+        element.querySelector('.cyphur-thread-collapse')?.addEventListener('click', () => {
+            this._threadCollapsed = !this._threadCollapsed;
+            this.render(false);
+        });
+        element.querySelector('.cyphur-thread-close')?.addEventListener('click', () => {
+            this._threadId = null;
+            this.render(false);
+        });
+        const threadInput = element.querySelector('textarea[name="threadMessage"]');
+        if (threadInput) {
+            threadInput.value = this._threadInputValue;
+            // Keep typing in the thread across re-renders
+            if (this._threadInputActive) threadInput.focus();
+            threadInput.addEventListener('focus', () => { this._threadInputActive = true; });
+            threadInput.addEventListener('input', () => {
+                this._threadInputValue = threadInput.value;
+                this._onTyping();
+            });
+            threadInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' && !event.shiftKey) {
+                    event.preventDefault();
+                    this._onSendThreadReply();
+                }
+            });
         }
+        element.querySelector('.cyphur-thread-send')?.addEventListener('click', () => this._onSendThreadReply());
+        const threadList = element.querySelector('.cyphur-thread-messages');
+        if (threadList) threadList.scrollTop = threadList.scrollHeight;
         
         // Message action buttons
         element.querySelectorAll('.cyphur-msg-reply').forEach(btn => {
@@ -370,6 +718,18 @@ export class CyphurWindow extends AppClass {
         element.querySelectorAll('.cyphur-msg-delete').forEach(btn => {
             btn.addEventListener('click', (e) => this._onDeleteMessage(e));
         });
+
+        element.querySelectorAll('.cyphur-language-grant').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onGrantLanguage(e));
+        });
+
+        element.querySelectorAll('.cyphur-attachment-visibility').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onToggleAttachment(e));
+        });
+
+        element.querySelectorAll('.cyphur-edited').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onShowRevisions(e));
+        });
         
         // Reaction clicks
         element.querySelectorAll('.cyphur-reaction').forEach(item => {
@@ -397,6 +757,7 @@ export class CyphurWindow extends AppClass {
 
         // Update image preview if there's a pending image
         this._updateImagePreview();
+        this._updateAttachmentPreview();
     }
 
     /**
@@ -445,6 +806,82 @@ export class CyphurWindow extends AppClass {
         }
     }
 
+    /**
+     * Update the list of files waiting to be sent
+     * GMs can mark each one hidden from players before sending.
+     */
+    _updateAttachmentPreview() {
+        const previewArea = this.element?.querySelector('.cyphur-attachment-preview');
+        if (!previewArea) return;
+
+        if (!this._pendingAttachments.length) {
+            previewArea.innerHTML = '';
+            previewArea.style.display = 'none';
+            return;
+        }
+
+        previewArea.innerHTML = this._pendingAttachments.map(attachment => {
+            const hideLabel = game.i18n.localize(attachment.hidden ? 'CYPHUR.Attachments.Show' : 'CYPHUR.Attachments.Hide');
+            return `
+                <div class="cyphur-pending-attachment ${attachment.hidden ? 'hidden-from-players' : ''}" data-attachment-id="${attachment.id}">
+                    <i class="fas fa-paperclip"></i>
+                    <span class="cyphur-attachment-name">${Utils.sanitizeHTML(attachment.name)}</span>
+                    <span class="cyphur-attachment-size">${AttachmentManager.formatSize(attachment.size)}</span>
+                    ${game.user.isGM ? `
+                    <button type="button" class="cyphur-pending-attachment-visibility" title="${hideLabel}">
+                        <i class="fas ${attachment.hidden ? 'fa-eye-slash' : 'fa-eye'}"></i>
+                    </button>` : ''}
+                    <button type="button" class="cyphur-cancel-attachment" title="${game.i18n.localize('CYPHUR.Attachments.Remove')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>`;
+        }).join('');
+        previewArea.style.display = 'block';
+
+        previewArea.querySelectorAll('.cyphur-pending-attachment').forEach(el => {
+            const attachment = this._pendingAttachments.find(a => a.id === el.dataset.attachmentId);
+            el.querySelector('.cyphur-pending-attachment-visibility')?.addEventListener('click', () => {
+                attachment.hidden = !attachment.hidden;
+                this._updateAttachmentPreview();
+            });
+            el.querySelector('.cyphur-cancel-attachment')?.addEventListener('click', () => {
+                this._pendingAttachments = this._pendingAttachments.filter(a => a !== attachment);
+                this._updateAttachmentPreview();
+            });
+        });
+    }
+
+    /**
+     * Upload the chosen files as attachments for the next message
+     * @param {Event} event
+     */
+    async _onAttachmentsSelected(event) {
+        const files = Array.from(event.target.files ?? []);
+        event.target.value = '';
+        if (!files.length) return;
+
+        for (const file of files) {
+            const attachment = await AttachmentManager.upload(file);
+            if (attachment) this._pendingAttachments.push(attachment);
+        }
+        this._updateAttachmentPreview();
+    }
+
+    /**
+     * GM: Hide an attachment from players, or show it again
+     * @param {Event} event - Click on the attachment's eye button
+     */
+    async _onToggleAttachment(event) {
+        const attachmentId = event.currentTarget.closest('[data-attachment-id]')?.dataset.attachmentId;
+        const messageId = event.currentTarget.closest('.cyphur-message')?.dataset.messageId;
+        const conversationId = this.options.groupId || DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+        const isGroup = !!this.options.groupId;
+        const message = DataManager.getMessage(conversationId, messageId, isGroup);
+        if (!message || !attachmentId) return;
+
+        await RNKCyphur.setAttachmentHidden(conversationId, messageId, isGroup, attachmentId, !AttachmentManager.isHidden(message, attachmentId));
+    }
+
     /**
      * Handle image upload button click
      */
@@ -508,6 +945,28 @@ export class CyphurWindow extends AppClass {
         picker.render(true);
     }
 
+    /**
+     * Load the previous page of archived history into this window
+     */
+    async _onLoadOlder() {
+        const conversationId = this.options.groupId || 
+            DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+        const first = this.element?.querySelector('.cyphur-message[data-message-id]');
+        const chat = this.options.groupId
+            ? DataManager.groupChats.get(conversationId)
+            : DataManager.privateChats.get(conversationId);
+        const oldest = this._olderMessages[0] ?? chat?.history?.[0];
+        if (!oldest) return;
+
+        const older = await DataManager.loadOlderMessages(conversationId, !!this.options.groupId, oldest.timestamp || 0);
+        // Nothing older: re-render so the button reflects what the GM reported
+        if (!older.length) return this.render(false);
+
+        this._olderMessages = [...older, ...this._olderMessages];
+        this._scrollAnchorId = first?.dataset.messageId ?? null;
+        this.render(true);
+    }
+
     _scrollToBottom(smooth = true) {
         const messageList = this.element?.querySelector('.cyphur-message-list');
         if (messageList) {
@@ -528,42 +987,34 @@ export class CyphurWindow extends AppClass {
         const textarea = this.element.querySelector('textarea[name="message"]');
         const message = textarea?.value?.trim();
         
-        // Need either message or image
-        if (!message && !this._pendingImage) return;
-        
-        // Get speaker data if GM selected an actor
-        let speakerData = null;
-        const speakerSelect = this.element.querySelector('select[name="speaker"]');
-        if (speakerSelect && game.user.isGM) {
-            const speakerId = speakerSelect.value;
-            if (speakerId !== game.user.id) {
-                const actor = game.actors.get(speakerId);
-                if (actor) {
-                    speakerData = {
-                        name: actor.name,
-                        img: actor.img || game.user.avatar
-                    };
-                }
-            }
-        }
+        // Need a message, an image or an attachment
+        if (!message && !this._pendingImage && !this._pendingAttachments.length) return;
+        
+        // In-character identity chosen for this conversation
+        const speakerData = this._getSpeakerData();
 
         // Build message options
         const messageOptions = {
             speakerData,
-            imageUrl: this._pendingImage || null
+            imageUrl: this._pendingImage || null,
+            attachments: this._pendingAttachments,
+            rollVisibility: this._rollVisibility,
+            expiry: this._expiry,
+            language: this._language
         };
         
         // Send the message
         if (this.options.groupId) {
-            RNKCyphur.sendGroupMessage(this.options.groupId, message || '', speakerData, messageOptions.imageUrl);
+            RNKCyphur.sendGroupMessage(this.options.groupId, message || '', speakerData, messageOptions.imageUrl, messageOptions);
         } else {
-            RNKCyphur.sendMessage(this.options.otherUserId, message || '', speakerData, messageOptions.imageUrl);
+            RNKCyphur.sendMessage(this.options.otherUserId, message || '', speakerData, messageOptions.imageUrl, messageOptions);
         }
         
         // Clear input and image
         if (textarea) textarea.value = '';
         this._preservedInputValue = '';
         this._pendingImage = null;
+        this._pendingAttachments = [];
         
         // Clear typing indicator
         this._clearTyping();
@@ -573,6 +1024,310 @@ export class CyphurWindow extends AppClass {
         this.render(false);
     }
 
+    /**
+     * Schedule the composed message for a later real or world time
+     */
+    async _onScheduleMessage() {
+        const textarea = this.element.querySelector('textarea[name="message"]');
+        const message = textarea?.value?.trim();
+        if (!message && !this._pendingImage && !this._pendingAttachments.length) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Schedule.Empty'));
+            return;
+        }
+
+        const result = await UIManager.promptSchedule();
+        if (!result) return;
+
+        const conversationId = this.options.groupId || DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+        const scheduled = await RNKCyphur.scheduleMessage(conversationId, !!this.options.groupId, message || '', result.trigger, {
+            speakerData: this._getSpeakerData(),
+            imageUrl: this._pendingImage || null,
+            attachments: this._pendingAttachments,
+            rollVisibility: this._rollVisibility,
+            expiry: this._expiry,
+            language: this._language
+        });
+        if (!scheduled) return;
+
+        // Clear input and image - the window may have re-rendered while the dialog was open
+        const input = this.element.querySelector('textarea[name="message"]');
+        if (input) input.value = '';
+        this._preservedInputValue = '';
+        this._pendingImage = null;
+        this._pendingAttachments = [];
+        this._clearTyping();
+        this.render(false);
+    }
+
+    /**
+     * The actor this user speaks as in this conversation
+     * @returns {object|null} { actorId, name, img }
+     */
+    _getSpeakerData() {
+        const conversationId = this.options.groupId || DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+        const actor = DataManager.getSpeakerIdentity(conversationId);
+        return actor ? { actorId: actor.id, name: actor.name, img: actor.img || game.user.avatar } : null;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // THREADS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Open the thread pane for a message
+     * @param {string} messageId - The thread root, or a reply in the thread
+     */
+    _onOpenThread(messageId) {
+        if (!messageId) return;
+        const conversationId = this.options.groupId ||
+            DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+        const message = DataManager.getMessage(conversationId, messageId, !!this.options.groupId)
+            ?? this._olderMessages.find(m => m.id === messageId);
+
+        this._threadId = message?.threadId ?? messageId;
+        this._threadCollapsed = false;
+        this._shouldScrollToBottom = false;
+        this.render(false);
+    }
+
+    _onSendThreadReply() {
+        const textarea = this.element?.querySelector('textarea[name="threadMessage"]');
+        const content = textarea?.value?.trim();
+        if (!content || !this._threadId) return;
+
+        const options = { rollVisibility: this._rollVisibility, threadId: this._threadId, expiry: this._expiry, language: this._language };
+        if (this.options.groupId) {
+            RNKCyphur.sendGroupMessage(this.options.groupId, content, this._getSpeakerData(), null, options);
+        } else {
+            RNKCyphur.sendMessage(this.options.otherUserId, content, this._getSpeakerData(), null, options);
+        }
+
+        textarea.value = '';
+        this._threadInputValue = '';
+        this._clearTyping();
+        this.render(false);
+    }
+
+    /**
+     * Insert a link to a dropped document at the cursor
+     * @param {DragEvent} event - Drop event
+     * @param {HTMLTextAreaElement} textarea - Message input
+     */
+    async _onDropDocument(event, textarea) {
+        event.preventDefault();
+        const link = await Utils.getDroppedDocumentLink(event);
+        if (!link) return;
+
+        const start = textarea.selectionStart ?? textarea.value.length;
+        const end = textarea.selectionEnd ?? start;
+        textarea.value = `${textarea.value.slice(0, start)}${link}${textarea.value.slice(end)}`;
+        textarea.selectionStart = textarea.selectionEnd = start + link.length;
+        this._preservedInputValue = textarea.value;
+        textarea.focus();
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // FORMATTING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Wrap the selected text of the message input in Markdown
+     * @param {string} format - Key of FORMAT_MARKERS
+     */
+    _onFormat(format) {
+        const textarea = this.element?.querySelector('textarea[name="message"]');
+        const marker = FORMAT_MARKERS[format];
+        if (!textarea || !marker) return;
+
+        const { value } = textarea;
+        const start = textarea.selectionStart ?? value.length;
+        const end = textarea.selectionEnd ?? start;
+        const selected = value.slice(start, end);
+
+        let before = marker.wrap ?? '';
+        let after = marker.wrap ?? '';
+        let inner = selected;
+        if (marker.fence) {
+            before = '```\n';
+            after = '\n```';
+        } else if (marker.prefix) {
+            inner = selected.split('\n').map((line, i) => marker.prefix.replace('#', i + 1) + line).join('\n');
+        }
+
+        // Blocks must start on a line of their own
+        if (!marker.wrap && start > 0 && value[start - 1] !== '\n') before = `\n${before}`;
+
+        textarea.value = `${value.slice(0, start)}${before}${inner}${after}${value.slice(end)}`;
+        const cursor = start + before.length;
+        textarea.setSelectionRange(cursor, cursor + inner.length);
+        textarea.focus();
+
+        this._preservedInputValue = textarea.value;
+        this._updatePreview();
+    }
+
+    /**
+     * Show the message input rendered as it will be sent, when the preview is on
+     */
+    _updatePreview() {
+        const preview = this.element?.querySelector('.cyphur-composer-preview');
+        if (!preview) return;
+
+        const text = this.element.querySelector('textarea[name="message"]')?.value ?? '';
+        this.element.querySelector('.cyphur-preview-btn')?.classList.toggle('active', this._showPreview);
+        preview.style.display = this._showPreview && text.trim() ? '' : 'none';
+        if (this._showPreview) preview.innerHTML = Utils.parseRichContent(text);
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // MENTION AUTOCOMPLETE
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Show suggestions for the @mention being typed at the cursor
+     * @param {HTMLTextAreaElement} textarea - Message input
+     */
+    _updateMentionPopup(textarea) {
+        const end = textarea.selectionStart ?? textarea.value.length;
+        const match = textarea.value.slice(0, end).match(/(?:^|\s)@(?:\[([^\]\n]*)|([\w-]*))$/);
+        if (!match) {
+            this._closeMentionPopup();
+            return;
+        }
+
+        const query = (match[1] ?? match[2]).toLowerCase();
+        const options = this._getMentionOptions().filter(o => o.name.toLowerCase().includes(query)).slice(0, 8);
+        if (!options.length) {
+            this._closeMentionPopup();
+            return;
+        }
+
+        const start = end - (match[1] ?? match[2]).length - (match[1] !== undefined ? 2 : 1);
+        this._mentionQuery = { start, end, options, index: 0 };
+        this._renderMentionPopup();
+    }
+
+    /**
+     * Everything that can be mentioned here: @gm, @everyone, members and visible actors
+     * @returns {Array} Entries of { name, label, icon }
+     */
+    _getMentionOptions() {
+        const users = this.participantIds
+            .filter(id => id !== game.user.id)
+            .map(id => game.users.get(id))
+            .filter(Boolean)
+            .map(u => ({ name: u.name, label: u.name, icon: 'fa-user' }));
+        const actors = (game.actors?.filter(a => a.visible && a.hasPlayerOwner) ?? [])
+            .map(a => ({ name: a.name, label: a.name, icon: 'fa-user-ninja' }));
+
+        return [
+            { name: 'gm', label: game.i18n.localize('CYPHUR.Mentions.GM'), icon: 'fa-crown' },
+            { name: 'everyone', label: game.i18n.localize('CYPHUR.Mentions.Everyone'), icon: 'fa-users' },
+            ...users,
+            ...actors
+        ];
+    }
+
+    _renderMentionPopup() {
+        const popup = this.element?.querySelector('.cyphur-mention-popup');
+        if (!popup || !this._mentionQuery) return;
+
+        popup.replaceChildren(...this._mentionQuery.options.map((option, index) => {
+            const item = document.createElement('div');
+            item.className = `cyphur-mention-option${index === this._mentionQuery.index ? ' active' : ''}`;
+            item.innerHTML = `<i class="fas ${option.icon}"></i> `;
+            item.append(option.label);
+            // Keep focus in the textarea
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this._insertMention(index);
+            });
+            return item;
+        }));
+        popup.style.display = '';
+    }
+
+    _closeMentionPopup() {
+        this._mentionQuery = null;
+        const popup = this.element?.querySelector('.cyphur-mention-popup');
+        if (popup) popup.style.display = 'none';
+    }
+
+    /**
+     * Keyboard navigation of the open suggestions
+     * @param {KeyboardEvent} event - Keydown event
+     * @returns {boolean} Whether the key was handled
+     */
+    _onMentionKeydown(event) {
+        const query = this._mentionQuery;
+        if (!query) return false;
+
+        const count = query.options.length;
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                query.index = (query.index + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                this._renderMentionPopup();
+                break;
+            case 'Enter':
+            case 'Tab':
+                this._insertMention(query.index);
+                break;
+            case 'Escape':
+                this._closeMentionPopup();
+                break;
+            default:
+                return false;
+        }
+        event.preventDefault();
+        return true;
+    }
+
+    /**
+     * Replace the @mention being typed with a suggestion
+     * @param {number} index - Index into the current suggestions
+     */
+    _insertMention(index) {
+        const textarea = this.element?.querySelector('textarea[name="message"]');
+        const query = this._mentionQuery;
+        const option = query?.options[index];
+        if (!textarea || !option) return;
+
+        const mention = `${Utils.formatMention(option.name)} `;
+        textarea.value = `${textarea.value.slice(0, query.start)}${mention}${textarea.value.slice(query.end)}`;
+        const cursor = query.start + mention.length;
+        textarea.setSelectionRange(cursor, cursor);
+        textarea.focus();
+
+        this._preservedInputValue = textarea.value;
+        this._closeMentionPopup();
+        this._updatePreview();
+    }
+
+    /**
+     * Show or hide the dice breakdown of an inline roll
+     * @param {Event} event - Click event
+     */
+    async _onDiceClick(event) {
+        event.preventDefault();
+        const el = event.currentTarget;
+        const existing = el.nextElementSibling;
+        if (existing?.classList.contains('cyphur-dice-tooltip')) {
+            existing.remove();
+            return;
+        }
+
+        const messageId = el.closest('.cyphur-message')?.dataset.messageId;
+        const roll = this._resolvedRolls.get(messageId)?.[Number(el.dataset.rollIndex)];
+        const tooltip = await DiceManager.getTooltip(roll);
+        if (!tooltip) return;
+
+        const container = document.createElement('div');
+        container.className = 'cyphur-dice-tooltip dice-roll expanded';
+        container.innerHTML = tooltip;
+        el.after(container);
+    }
+
     _onTyping() {
         const now = Date.now();
         const conversationId = this.options.groupId || 
@@ -622,7 +1377,7 @@ export class CyphurWindow extends AppClass {
             ? DataManager.groupChats.get(conversationId) 
             : DataManager.privateChats.get(conversationId);
         
-        const messages = chat?.history || [];
+        const messages = (chat?.history || []).map(msg => this._asReadable(msg));
         const filename = isGroup 
             ? `cyphur-${chat?.name || 'group'}-${Date.now()}.txt`
             : `cyphur-chat-${Date.now()}.txt`;
@@ -630,6 +1385,45 @@ export class CyphurWindow extends AppClass {
         Utils.exportMessages(messages, filename);
     }
 
+    /**
+     * Copy of a message with its content as this user can read it
+     * @param {object} message - Message
+     * @returns {object}
+     */
+    _asReadable(message) {
+        return message.language ? { ...message, messageContent: LanguageManager.getReadableContent(message) } : message;
+    }
+
+    /**
+     * GM: Let participants read a message written in a language they do not know
+     * @param {Event} event - Click on the language badge
+     */
+    async _onGrantLanguage(event) {
+        const messageId = event.currentTarget.closest('.cyphur-message')?.dataset.messageId;
+        const conversationId = this.options.groupId || DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+        const isGroup = !!this.options.groupId;
+        const message = DataManager.getMessage(conversationId, messageId, isGroup);
+        if (!message?.language) return;
+
+        const candidates = this.participantIds
+            .map(id => game.users.get(id))
+            .filter(user => user && !LanguageManager.canRead(message, user));
+        if (!candidates.length) return;
+
+        const checkboxes = candidates
+            .map(u => `<label><input type="checkbox" name="grant" value="${u.id}" checked> ${Utils.sanitizeHTML(u.name)}</label>`)
+            .join('<br>');
+
+        const userIds = await Dialog.prompt({
+            title: game.i18n.format('CYPHUR.Languages.GrantTitle', { language: message.language }),
+            content: `<p>${game.i18n.localize('CYPHUR.Languages.GrantHint')}</p><div style="max-height:200px;overflow-y:auto;padding:5px;">${checkboxes}</div>`,
+            callback: (html) => Array.from(html.find('[name="grant"]:checked')).map(el => el.value),
+            rejectClose: false
+        });
+
+        if (userIds?.length) await RNKCyphur.decipherMessage(conversationId, messageId, isGroup, userIds);
+    }
+
     _onReplyMessage(event) {
         const messageId = event.currentTarget.closest('[data-message-id]')?.dataset.messageId;
         if (messageId) {
@@ -698,13 +1492,13 @@ export class CyphurWindow extends AppClass {
         const message = chat?.history?.find(m => m.id === messageId);
         if (!message) return;
         
-        // Strip HTML for editing
-        const plainContent = (message.messageContent || '').replace(/<[^>]*>/g, '');
+        // Edit the Markdown source rather than the rendered HTML
+        const plainContent = Utils.htmlToText(message.messageContent || '');
         
         // Show edit dialog
         const newContent = await Dialog.prompt({
             title: game.i18n.localize('CYPHUR.EditMessage'),
-            content: `<textarea name="content" style="width:100%;height:100px;">${plainContent}</textarea>`,
+            content: `<textarea name="content" style="width:100%;height:100px;">${Utils.sanitizeHTML(plainContent)}</textarea>`,
             callback: (html) => html.find('[name="content"]').val(),
             rejectClose: false
         });
@@ -731,6 +1525,203 @@ export class CyphurWindow extends AppClass {
         }
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // GROUP MANAGEMENT
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Show the group's members, roles and invitations
+     * Owners and moderators can rename the group, change roles below their own,
+     * kick and invite; everyone else can only leave.
+     */
+    async _onManageGroup() {
+        const group = DataManager.groupChats.get(this.options.groupId);
+        if (!group || DataManager.isChannel(group)) return;
+
+        const me = game.user.id;
+        const myRole = DataManager.getGroupRole(group, me);
+        const canManage = DataManager.canManageGroup(group, me);
+        const isOwner = game.user.isGM || myRole === GROUP_ROLES.OWNER;
+        const ranks = Object.values(GROUP_ROLES);
+        const assignable = isOwner ? ranks : ranks.filter(r => r === GROUP_ROLES.MEMBER || r === GROUP_ROLES.READ_ONLY);
+        const roleLabel = (role) => game.i18n.localize(`CYPHUR.GroupRoles.Role.${role}`);
+        const name = (id) => Utils.sanitizeHTML(game.users.get(id)?.name ?? '?');
+
+        const members = group.members.map(id => {
+            const role = DataManager.getGroupRole(group, id);
+            const editable = canManage && id !== me && assignable.includes(role);
+            const options = (editable ? assignable : [role])
+                .map(r => `<option value="${r}" ${r === role ? 'selected' : ''}>${roleLabel(r)}</option>`).join('');
+            return `<div class="cyphur-group-member">
+                <span class="cyphur-group-member-name">${name(id)}</span>
+                <select name="role" data-user-id="${id}" ${editable ? '' : 'disabled'}>${options}</select>
+                ${editable ? `<label title="${game.i18n.localize('CYPHUR.GroupRoles.Kick')}"><input type="checkbox" name="kick" value="${id}"> <i class="fas fa-user-slash"></i></label>` : ''}
+            </div>`;
+        }).join('');
+
+        const pending = (group.invited ?? []).map(id => canManage
+            ? `<label><input type="checkbox" name="uninvite" value="${id}"> ${name(id)}</label>`
+            : `<span>${name(id)}</span>`).join('<br>');
+        const candidates = canManage
+            ? game.users.filter(u => !group.members.includes(u.id) && !group.invited?.includes(u.id))
+                .map(u => `<label><input type="checkbox" name="invite" value="${u.id}"> ${name(u.id)}</label>`).join('<br>')
+            : '';
+
+        const content = `<div class="cyphur-group-manage">
+            <label>${game.i18n.localize('CYPHUR.Groups.GroupName')}
+                <input type="text" name="name" value="${Utils.sanitizeHTML(group.name)}" ${canManage ? '' : 'disabled'}>
+            </label>
+            <h4>${game.i18n.localize('CYPHUR.Groups.Members')}</h4>
+            ${members}
+            ${pending ? `<h4>${game.i18n.localize(canManage ? 'CYPHUR.GroupRoles.Withdraw' : 'CYPHUR.GroupRoles.Pending')}</h4>${pending}` : ''}
+            ${candidates ? `<h4>${game.i18n.localize('CYPHUR.GroupRoles.Invite')}</h4><div class="cyphur-group-candidates">${candidates}</div>` : ''}
+        </div>`;
+
+        const buttons = {};
+        if (canManage) {
+            buttons.save = {
+                icon: '<i class="fas fa-save"></i>',
+                label: game.i18n.localize('CYPHUR.Buttons.Save'),
+                callback: (html) => this._onSaveGroup(group, html)
+            };
+        }
+        if (myRole) {
+            buttons.leave = {
+                icon: '<i class="fas fa-sign-out-alt"></i>',
+                label: game.i18n.localize('CYPHUR.GroupRoles.Leave'),
+                callback: () => RNKCyphur.leaveGroup(group.id)
+            };
+        }
+        buttons.cancel = { icon: '<i class="fas fa-times"></i>', label: game.i18n.localize('CYPHUR.Buttons.Cancel') };
+
+        new Dialog({
+            title: game.i18n.format('CYPHUR.GroupRoles.ManageTitle', { name: group.name }),
+            content,
+            buttons,
+            default: canManage ? 'save' : 'cancel'
+        }).render(true);
+    }
+
+    /**
+     * Turn the management dialog into one group update
+     * @param {object} group - Group object
+     * @param {jQuery} html - Dialog content
+     */
+    async _onSaveGroup(group, html) {
+        const checked = (field) => Array.from(html.find(`[name="${field}"]:checked`)).map(el => el.value);
+        const updates = {};
+
+        const name = html.find('[name="name"]').val()?.trim();
+        if (name && name !== group.name) updates.name = name;
+
+        // Roles, handing ownership over when someone else is made owner
+        const roles = { ...group.roles };
+        let reroled = false;
+        html.find('select[name="role"]:not(:disabled)').each((i, el) => {
+            if (el.value === DataManager.getGroupRole(group, el.dataset.userId)) return;
+            roles[el.dataset.userId] = el.value;
+            reroled = true;
+        });
+        if (Object.entries(roles).some(([id, role]) => role === GROUP_ROLES.OWNER && DataManager.getGroupRole(group, id) !== GROUP_ROLES.OWNER)) {
+            for (const id of group.members) {
+                if (DataManager.getGroupRole(group, id) === GROUP_ROLES.OWNER) roles[id] = GROUP_ROLES.MODERATOR;
+            }
+        }
+
+        const kicked = checked('kick');
+        if (kicked.length) {
+            updates.members = group.members.filter(id => !kicked.includes(id));
+            for (const id of kicked) delete roles[id];
+        }
+        if (reroled || kicked.length) updates.roles = roles;
+
+        const withdrawn = checked('uninvite');
+        const invites = checked('invite');
+        if (withdrawn.length || invites.length) {
+            updates.invited = [...(group.invited ?? []).filter(id => !withdrawn.includes(id)), ...invites];
+        }
+
+        if (Object.keys(updates).length) await RNKCyphur.updateGroup(group.id, updates);
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // MESSAGE TIMERS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Choose the timer new messages in this conversation get, for everyone in it
+     */
+    async _onSetConversationExpiry() {
+        const conversationId = this.options.groupId || DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+        const isGroup = !!this.options.groupId;
+        const current = DataManager.getConversationExpiry(conversationId, isGroup);
+
+        const options = ExpiryManager.getOptions(current)
+            .map(o => `<option value="${o.value}" ${o.selected ? 'selected' : ''}>${o.label}</option>`)
+            .join('');
+
+        const value = await Dialog.prompt({
+            title: game.i18n.localize('CYPHUR.Expiry.Title'),
+            content: `<p>${game.i18n.localize('CYPHUR.Expiry.Hint')}</p><select name="expiry" style="width:100%;">${options}</select>`,
+            callback: (html) => html.find('[name="expiry"]').val(),
+            rejectClose: false
+        });
+        if (value === undefined || value === null) return;
+
+        await RNKCyphur.setConversationExpiry(conversationId, isGroup, ExpiryManager.parse(value));
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // REVISIONS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Toggle the edit history popover of a message, each version diffed against the one before
+     * @param {Event} event - Click on the "edited" label
+     */
+    async _onShowRevisions(event) {
+        const body = event.currentTarget.closest('.cyphur-msg-body');
+        const messageId = event.currentTarget.closest('[data-message-id]')?.dataset.messageId;
+        if (!body || !messageId) return;
+
+        const open = body.querySelector('.cyphur-revisions-popover');
+        if (open) {
+            open.remove();
+            return;
+        }
+
+        const conversationId = this.options.groupId ||
+            DataManager.getPrivateChatKey(game.user.id, this.options.otherUserId);
+        const versions = await DataManager.getRevisions(conversationId, messageId, !!this.options.groupId);
+        if (!versions.length) return;
+
+        const entries = versions.map((version, index) => {
+            const previous = versions[index - 1];
+            let content;
+            if (version.undecryptable) content = Utils.sanitizeHTML(game.i18n.localize('CYPHUR.Crypto.Undecryptable'));
+            else if (!previous || previous.undecryptable) content = Utils.sanitizeHTML(version.text);
+            else content = Utils.diffText(previous.text, version.text);
+
+            const label = index === 0
+                ? game.i18n.localize('CYPHUR.Revisions.Original')
+                : game.i18n.format('CYPHUR.Revisions.EditedBy', { name: game.users.get(version.editedBy)?.name ?? '?' });
+            return `<div class="cyphur-revision">
+                <div class="cyphur-revision-meta">${Utils.sanitizeHTML(label)} · ${Utils.formatFullTimestamp(version.editedAt)}</div>
+                <div class="cyphur-revision-content">${content}</div>
+            </div>`;
+        });
+
+        const popover = document.createElement('div');
+        popover.className = 'cyphur-revisions-popover';
+        popover.innerHTML = `<div class="cyphur-revisions-header">
+                <span>${game.i18n.localize('CYPHUR.Revisions.Title')}</span>
+                <button type="button" class="cyphur-revisions-close" title="${game.i18n.localize('CYPHUR.Buttons.Close')}"><i class="fas fa-times"></i></button>
+            </div>
+            ${entries.reverse().join('')}`;
+        popover.querySelector('.cyphur-revisions-close').addEventListener('click', () => popover.remove());
+        body.querySelector('.cyphur-msg-header')?.after(popover);
+    }
+
     /**
      * Add logo to window header
      * @param {HTMLElement} header - The window header element
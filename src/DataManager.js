@@ -3,28 +3,69 @@
  * Handles all data storage, retrieval, and manipulation for the module
  */
 
-import { MODULE_ID, DEFAULTS } from './Constants.js';
+import { MODULE_ID, DEFAULTS, DELIVERY_STATE, CHANNEL_VISIBILITY, GROUP_ROLES, EXPIRY_TIMERS, SCHEDULE_TRIGGERS, SIGNAL_LINK_STATES } from './Constants.js';
 import { Utils } from './Utils.js';
+import { CryptoManager } from './CryptoManager.js';
+import { StorageManager } from './StorageManager.js';
+import { SocketHandler } from './SocketHandler.js';
+import { SearchIndex } from './SearchIndex.js';
+import { AttachmentManager } from './AttachmentManager.js';
+
+// What a deleted message keeps, so threads, quotes and ordering still work
+const TOMBSTONE_FIELDS = ['id', 'senderId', 'senderName', 'senderImg', 'timestamp', 'threadId', 'replyToId'];
+
+// Group roles compared by rank
+const ROLE_RANK = {
+    [GROUP_ROLES.OWNER]: 3,
+    [GROUP_ROLES.MODERATOR]: 2,
+    [GROUP_ROLES.MEMBER]: 1,
+    [GROUP_ROLES.READ_ONLY]: 0
+};
 
 export class DataManager {
     // Static data stores
     static privateChats = new Map();
     static groupChats = new Map();
     static interceptedMessages = [];
+    static rejectedEvents = [];
     static unreadCounts = new Map();
     static lastRead = new Map();
+    static readReceipts = new Map();
     static typingUsers = new Map();
     static favorites = new Set();
     static lastActivity = new Map();
     static mutedConversations = new Set();
     static pinnedMessages = new Map();
+    static speakerIdentities = new Map();
     static sharedBackgrounds = new Map();
     static userPresence = new Map();
+    static outbox = new Map();
+    static interceptedConversations = new Set(); // This user's conversations the GM holds for review
+    static heldCopies = new Map(); // Own messages a GM held for review, as this user wrote them
+    static pendingChanges = []; // Edits, deletions and burns made while no GM was online to store them
+    static olderHistory = new Map(); // Conversation ID -> { before, hasMore } from the GM's archive
+    static threadReads = new Map();
 
     // ════════════════════════════════════════════════════════════════════════════
     // INITIALIZATION & LOADING
     // ════════════════════════════════════════════════════════════════════════════
 
+    /**
+     * Apply the history cap, keeping thread roots and quoted messages that kept replies
+     * still point to, so trimming never orphans a thread
+     * @param {Array} history - Message history, oldest first
+     * @returns {Array} Capped history
+     */
+    static _capHistory(history) {
+        const max = DEFAULTS.maxMessageHistory;
+        if (history.length <= max) return history;
+
+        const kept = history.slice(-max);
+        const parentIds = new Set(kept.flatMap(m => [m.threadId, m.replyToId]).filter(Boolean));
+        const parents = history.slice(0, -max).filter(m => parentIds.has(m.id));
+        return [...parents, ...kept];
+    }
+
     /**
      * Sanitize message history to remove duplicates and ensure IDs
      * @param {Array} history - Message history array
@@ -71,16 +112,18 @@ export class DataManager {
     }
 
     /**
-     * Load group chats from settings
+     * Load group chats from the message archive (or legacy settings)
      */
     static async loadGroupChats() {
         try {
-            const groupsData = game.settings.get(MODULE_ID, 'groupChats') || {};
+            const groupsData = StorageManager.isActive
+                ? StorageManager.read('group')
+                : game.settings.get(MODULE_ID, 'groupChats') || {};
             this.groupChats = new Map(Object.entries(groupsData));
             
             for (const [groupId, group] of this.groupChats.entries()) {
                 const history = group?.history ?? group?.messages ?? [];
-                group.history = this._sanitizeHistory(history);
+                group.history = this._capHistory(this._sanitizeHistory(history));
                 if (group?.messages) delete group.messages;
                 this.groupChats.set(groupId, group);
             }
@@ -92,16 +135,18 @@ export class DataManager {
     }
 
     /**
-     * Load private chats from settings
+     * Load private chats from the message archive (or legacy settings)
      */
     static async loadPrivateChats() {
         try {
-            const chatsData = game.settings.get(MODULE_ID, 'privateChats') || {};
+            const chatsData = StorageManager.isActive
+                ? StorageManager.read('private')
+                : game.settings.get(MODULE_ID, 'privateChats') || {};
             this.privateChats = new Map(Object.entries(chatsData));
             
             for (const [chatKey, chat] of this.privateChats.entries()) {
                 const history = chat?.history ?? [];
-                chat.history = this._sanitizeHistory(history);
+                chat.history = this._capHistory(this._sanitizeHistory(history));
                 this.privateChats.set(chatKey, chat);
             }
             
@@ -119,6 +164,8 @@ export class DataManager {
             const data = game.settings.get(MODULE_ID, 'unreadData') || { counts: {}, lastRead: {} };
             this.unreadCounts = new Map(Object.entries(data.counts || {}));
             this.lastRead = new Map(Object.entries(data.lastRead || {}));
+            this.readReceipts = new Map(Object.entries(data.receipts || {}));
+            this.threadReads = new Map(Object.entries(data.threads || {}));
         } catch (e) {
             console.warn('Cyphur | Failed to load unread data:', e);
         }
@@ -160,6 +207,18 @@ export class DataManager {
         }
     }
 
+    /**
+     * Load the identity chosen for each conversation from client settings
+     */
+    static async loadSpeakerIdentities() {
+        try {
+            const identities = game.settings.get(MODULE_ID, 'speakerIdentities') || {};
+            this.speakerIdentities = new Map(Object.entries(identities));
+        } catch (e) {
+            console.warn('Cyphur | Failed to load speaker identities:', e);
+        }
+    }
+
     /**
      * Load shared backgrounds from world settings
      */
@@ -172,29 +231,134 @@ export class DataManager {
         }
     }
 
+    /**
+     * Load last-seen timestamps from world settings
+     */
+    static async loadLastSeen() {
+        try {
+            const lastSeen = game.settings.get(MODULE_ID, 'lastSeen') || {};
+            for (const [userId, timestamp] of Object.entries(lastSeen)) {
+                this.setPresence(userId, { lastSeen: timestamp });
+            }
+        } catch (e) {
+            console.warn('Cyphur | Failed to load last seen data:', e);
+        }
+    }
+
+    /**
+     * Load the outbox from client settings
+     */
+    static async loadOutbox() {
+        try {
+            const outbox = game.settings.get(MODULE_ID, 'outbox') || {};
+            this.outbox = new Map(Object.entries(outbox));
+        } catch (e) {
+            console.warn('Cyphur | Failed to load outbox:', e);
+        }
+    }
+
+    /**
+     * Load the conversations the GM last said it holds for review from client settings
+     */
+    static async loadInterceptedConversations() {
+        try {
+            const intercepted = game.settings.get(MODULE_ID, 'interceptedConversations') || [];
+            this.interceptedConversations = new Set(intercepted);
+        } catch (e) {
+            console.warn('Cyphur | Failed to load intercepted conversations:', e);
+        }
+    }
+
+    /**
+     * Load own messages held for review from client settings
+     */
+    static async loadHeldCopies() {
+        try {
+            const copies = game.settings.get(MODULE_ID, 'heldCopies') || {};
+            this.heldCopies = new Map(Object.entries(copies));
+        } catch (e) {
+            console.warn('Cyphur | Failed to load held copies:', e);
+        }
+    }
+
+    /**
+     * Load changes still waiting for a GM from client settings
+     */
+    static async loadPendingChanges() {
+        try {
+            this.pendingChanges = game.settings.get(MODULE_ID, 'pendingChanges') || [];
+        } catch (e) {
+            console.warn('Cyphur | Failed to load pending changes:', e);
+        }
+    }
+
+    /**
+     * Decrypt sealed messages of a history in place
+     * @param {Array} history - Message history array
+     * @param {object} keyring - Conversation keyring (group chats)
+     * @param {string|null} conversationId - Conversation the history belongs to, so only its search index is rebuilt
+     */
+    static async decryptHistory(history, keyring = null, conversationId = null) {
+        for (const msg of history || []) {
+            const sealed = msg.cipher && (msg.messageContent === undefined || msg.undecryptable);
+            if (sealed) {
+                if (await CryptoManager.open(msg, keyring)) msg.messageContent = Utils.parseRichContent(msg.messageContent);
+            } else if (msg.hiddenCipher) {
+                await CryptoManager.openHidden(msg);
+            }
+        }
+        SearchIndex.invalidate(conversationId);
+    }
+
     // ════════════════════════════════════════════════════════════════════════════
     // SAVING
     // ════════════════════════════════════════════════════════════════════════════
 
     /**
-     * Save group chats to settings (GM only)
+     * Copy of a chat safe to persist or emit, keeping only ciphertext of sealed messages
+     * @param {object} chat - Private chat or group object
+     * @returns {object}
+     */
+    static serializeChat(chat) {
+        return { ...chat, history: (chat.history || []).map(msg => CryptoManager.strip(msg)) };
+    }
+
+    /**
+     * Serialize a chat map for storage
+     * @param {Map} chats - Chat map
+     * @returns {object}
+     */
+    static _serializeChats(chats) {
+        const data = {};
+        for (const [key, chat] of chats.entries()) {
+            data[key] = this.serializeChat(chat);
+        }
+        return data;
+    }
+
+    /**
+     * Save group chats to the message archive (GM only)
      */
     static async saveGroupChats() {
         if (!game.user.isGM) return;
         try {
-            await game.settings.set(MODULE_ID, 'groupChats', Object.fromEntries(this.groupChats));
+            const data = this._serializeChats(this.groupChats);
+            if (StorageManager.isActive) await StorageManager.write('group', data);
+            else await game.settings.set(MODULE_ID, 'groupChats', data);
         } catch (e) {
             console.error('Cyphur | Failed to save group chats:', e);
         }
     }
 
     /**
-     * Save private chats to settings (GM only)
+     * Save private chats to the message archive (GM only)
      */
     static async savePrivateChats() {
         if (!game.user.isGM) return;
         try {
-            await game.settings.set(MODULE_ID, 'privateChats', Object.fromEntries(this.privateChats));
+            const data = this._serializeChats(this.privateChats);
+            if (StorageManager.isActive) await StorageManager.write('private', data);
+            else await game.settings.set(MODULE_ID, 'privateChats', data);
         } catch (e) {
             console.error('Cyphur | Failed to save private chats:', e);
         }
@@ -207,7 +371,9 @@ export class DataManager {
         try {
             await game.settings.set(MODULE_ID, 'unreadData', {
                 counts: Object.fromEntries(this.unreadCounts),
-                lastRead: Object.fromEntries(this.lastRead)
+                lastRead: Object.fromEntries(this.lastRead),
+                receipts: Object.fromEntries(this.readReceipts),
+                threads: Object.fromEntries(this.threadReads)
             });
         } catch (e) {
             console.warn('Cyphur | Failed to save unread data:', e);
@@ -247,6 +413,61 @@ export class DataManager {
         }
     }
 
+    /**
+     * Save the identity chosen for each conversation to client settings
+     */
+    static async saveSpeakerIdentities() {
+        try {
+            await game.settings.set(MODULE_ID, 'speakerIdentities', Object.fromEntries(this.speakerIdentities));
+        } catch (e) {
+            console.warn('Cyphur | Failed to save speaker identities:', e);
+        }
+    }
+
+    /**
+     * Save the outbox to client settings
+     */
+    static async saveOutbox() {
+        try {
+            await game.settings.set(MODULE_ID, 'outbox', Object.fromEntries(this.outbox));
+        } catch (e) {
+            console.warn('Cyphur | Failed to save outbox:', e);
+        }
+    }
+
+    /**
+     * Save the conversations the GM holds for review to client settings
+     */
+    static async saveInterceptedConversations() {
+        try {
+            await game.settings.set(MODULE_ID, 'interceptedConversations', Array.from(this.interceptedConversations));
+        } catch (e) {
+            console.warn('Cyphur | Failed to save intercepted conversations:', e);
+        }
+    }
+
+    /**
+     * Save own messages held for review to client settings
+     */
+    static async saveHeldCopies() {
+        try {
+            await game.settings.set(MODULE_ID, 'heldCopies', Object.fromEntries(this.heldCopies));
+        } catch (e) {
+            console.warn('Cyphur | Failed to save held copies:', e);
+        }
+    }
+
+    /**
+     * Save changes still waiting for a GM to client settings
+     */
+    static async savePendingChanges() {
+        try {
+            await game.settings.set(MODULE_ID, 'pendingChanges', this.pendingChanges);
+        } catch (e) {
+            console.warn('Cyphur | Failed to save pending changes:', e);
+        }
+    }
+
     /**
      * Save shared backgrounds to world settings (GM only)
      */
@@ -291,12 +512,11 @@ export class DataManager {
                 chat.history.push(messageData);
                 
                 // Trim history if too long
-                if (chat.history.length > DEFAULTS.MAX_MESSAGE_HISTORY) {
-                    chat.history = chat.history.slice(-DEFAULTS.MAX_MESSAGE_HISTORY);
-                }
+                chat.history = this._capHistory(chat.history);
             }
             
             chat.history = this._sanitizeHistory(chat.history);
+            SearchIndex.add(chatKey, false, messageData);
             this.updateActivity(chatKey);
         }
     }
@@ -329,103 +549,780 @@ export class DataManager {
                 group.history.push(messageData);
                 
                 // Trim history if too long
-                if (group.history.length > DEFAULTS.MAX_MESSAGE_HISTORY) {
-                    group.history = group.history.slice(-DEFAULTS.MAX_MESSAGE_HISTORY);
-                }
+                group.history = this._capHistory(group.history);
             }
             
             group.history = this._sanitizeHistory(group.history);
+            SearchIndex.add(groupId, true, messageData);
             this.updateActivity(groupId);
         }
     }
 
     /**
-     * Edit a message
+     * Edit a message, keeping the previous version as a revision
+     * A revision of a sealed message keeps only the old envelope, so no plaintext is stored.
      * @param {string} conversationId - Conversation ID
      * @param {string} messageId - Message ID
-     * @param {string} newContent - New message content
+     * @param {object} body - New { messageContent, links, mentions }
      * @param {boolean} isGroup - Is this a group chat?
+     * @param {object} options - { cipher } encrypted envelope of the new body, { editedBy } user ID
      * @returns {boolean} Success
      */
-    static editMessage(conversationId, messageId, newContent, isGroup = false) {
+    static editMessage(conversationId, messageId, body, isGroup = false, { cipher = null, editedBy = null } = {}) {
         const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
         if (!chat) return false;
         
         const messages = chat.history || [];
         const message = messages.find(m => m.id === messageId);
-        if (!message) return false;
+        if (!message || message.deleted) return false;
+
+        const revision = {
+            editedBy: message.editedBy ?? message.senderId,
+            editedAt: message.editedAt ?? message.timestamp
+        };
+        if (message.cipher) revision.cipher = message.cipher;
+        else revision.messageContent = message.messageContent;
+        message.revisions = [...(message.revisions || []), revision];
         
-        message.messageContent = Utils.parseRichContent(newContent);
+        message.messageContent = Utils.parseRichContent(body.messageContent);
+        for (const field of ['links', 'mentions']) {
+            if (body[field]?.length) message[field] = body[field];
+            else delete message[field];
+        }
+        if (cipher) message.cipher = cipher;
+        else delete message.cipher;
         message.edited = true;
         message.editedAt = Date.now();
+        message.editedBy = editedBy ?? message.senderId;
+        SearchIndex.add(conversationId, isGroup, message);
+        this._updateHeldCopy(message);
+        return true;
+    }
+
+    /**
+     * Delete a message, leaving a tombstone in its place
+     * The tombstone keeps the message's place in threads and reply chains. A GM
+     * records the original in the archive so it can still be reviewed.
+     * @param {string} conversationId - Conversation ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {string} deletedBy - User ID of whoever deleted it
+     * @returns {boolean} Success
+     */
+    static deleteMessage(conversationId, messageId, isGroup = false, deletedBy = null) {
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        if (!chat) return false;
+        
+        const messages = chat.history || [];
+        const message = messages.find(m => m.id === messageId);
+        if (!message || message.deleted) return false;
+
+        const deletedAt = Date.now();
+        deletedBy = deletedBy ?? message.senderId;
+        if (game.user.isGM) {
+            StorageManager.recordDeletion(messageId, {
+                conversationId,
+                isGroup,
+                deletedBy,
+                deletedAt,
+                message: CryptoManager.strip({ ...message })
+            });
+        }
+
+        for (const key of Object.keys(message)) {
+            if (!TOMBSTONE_FIELDS.includes(key)) delete message[key];
+        }
+        Object.assign(message, { deleted: true, deletedBy, deletedAt });
+        SearchIndex.remove(messageId);
+        this._updateHeldCopy(message);
+        return true;
+    }
+
+    /**
+     * Find a message in a conversation's in-memory history
+     * @param {string} conversationId - Conversation ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {object|null}
+     */
+    static getMessage(conversationId, messageId, isGroup = false) {
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        return chat?.history?.find(m => m.id === messageId) ?? null;
+    }
+
+    /**
+     * Add intercepted message for GM monitoring
+     * @param {object} payload - Message payload
+     */
+    static addInterceptedMessage(payload) {
+        payload.id = foundry.utils.randomID();
+        payload.interceptedAt = Date.now();
+        this.interceptedMessages.push(payload);
+        
+        // Keep only recent messages
+        if (this.interceptedMessages.length > DEFAULTS.maxIntercepted) {
+            this.interceptedMessages.shift();
+        }
+    }
+
+    /**
+     * GM: Log a socket event that was rejected by a permission check
+     * The same event reported by several clients is logged once.
+     * @param {object} entry - { type, senderId, target, reason, reportedBy }
+     * @returns {boolean} Whether the entry was new
+     */
+    static addRejectedEvent(entry) {
+        const now = Date.now();
+        const duplicate = this.rejectedEvents.some(e => e.type === entry.type && e.senderId === entry.senderId
+            && e.target === entry.target && now - e.rejectedAt < 60000);
+        if (duplicate) return false;
+
+        this.rejectedEvents.push({ ...entry, id: foundry.utils.randomID(), rejectedAt: now });
+        if (this.rejectedEvents.length > DEFAULTS.maxIntercepted) {
+            this.rejectedEvents.shift();
+        }
+        return true;
+    }
+
+    /**
+     * Search messages in a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {string} query - Search query, with the filters SearchIndex understands
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {Array} Matching messages, best match first
+     */
+    static searchMessages(conversationId, query, isGroup = false) {
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        if (!chat || !query) return chat?.history || [];
+        
+        return SearchIndex.search(query, { conversationId, limit: Infinity })
+            .map(result => chat.history.find(m => m.id === result.messageId))
+            .filter(Boolean);
+    }
+
+    /**
+     * Check whether a conversation already contains a message
+     * @param {string} conversationId - Conversation ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {boolean}
+     */
+    static hasMessage(conversationId, messageId, isGroup = false) {
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        return Boolean(chat?.history?.some(m => m.id === messageId));
+    }
+
+    /**
+     * Merge stored messages received from another client into a conversation
+     * @param {object} chat - Private chat or group object
+     * @param {Array} incoming - Incoming messages, already passed through decryptHistory
+     * @returns {Array} Messages that were not known before
+     */
+    static mergeHistory(chat, incoming) {
+        if (!chat.history) chat.history = [];
+        // Messages that expired here stay gone, even if the sender still has them
+        const now = Date.now();
+        const known = new Set(chat.history.map(m => m.id));
+        const added = (incoming || []).filter(m => m?.id && !known.has(m.id) && !(m.expiresAt && m.expiresAt <= now));
+        if (!added.length) return added;
+
+        chat.history = this._capHistory(this._sanitizeHistory([...chat.history, ...added])
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)));
+        return added;
+    }
+
+    /**
+     * Get the newest known message of every conversation, used to request a sync delta
+     * @returns {object} { private: {chatKey: cursor}, groups: {groupId: cursor} }
+     */
+    static getSyncCursors() {
+        const cursorOf = (chat) => {
+            const last = chat.history?.[chat.history.length - 1];
+            return last ? { id: last.id, timestamp: last.timestamp || 0 } : null;
+        };
+
+        const cursors = { private: {}, groups: {} };
+        for (const [chatKey, chat] of this.privateChats.entries()) {
+            cursors.private[chatKey] = cursorOf(chat);
+        }
+        for (const [groupId, group] of this.groupChats.entries()) {
+            cursors.groups[groupId] = cursorOf(group);
+        }
+        return cursors;
+    }
+
+    /**
+     * Get the messages of a history that come after a sync cursor
+     * Falls back to the timestamp when the cursor message is no longer in the history.
+     * Messages that expired but were not yet removed are left out.
+     * @param {Array} history - Message history
+     * @param {object|null} cursor - { id, timestamp } of the newest message the requester has
+     * @returns {Array}
+     */
+    static getHistorySince(history, cursor) {
+        if (!history?.length) return [];
+
+        const now = Date.now();
+        const live = history.filter(m => !(m.expiresAt && m.expiresAt <= now));
+        if (!cursor) return live;
+
+        const index = live.findIndex(m => m.id === cursor.id);
+        if (index !== -1) return live.slice(index + 1);
+        return live.filter(m => (m.timestamp || 0) > (cursor.timestamp || 0));
+    }
+
+    /**
+     * Load archived messages older than those kept in memory
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is group chat
+     * @param {number} before - Timestamp of the oldest message already shown
+     * @returns {Promise<Array>} Decrypted messages, oldest first
+     */
+    static async loadOlderMessages(conversationId, isGroup, before) {
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        if (!chat) return [];
+
+        // Players cannot read the archive; the active GM serves them a page at a time
+        let older;
+        if (game.user.isGM) {
+            older = StorageManager.getMessagesBefore(conversationId, before);
+        } else {
+            const reply = await SocketHandler.requestOlderMessages(conversationId, isGroup, before);
+            if (!reply) return [];
+            older = reply.messages;
+            this.olderHistory.set(conversationId, { before: older[0]?.timestamp ?? before, hasMore: reply.hasMore });
+        }
+
+        await this.decryptHistory(older, chat.keyring, conversationId);
+        return this._sanitizeHistory(older);
+    }
+
+    /**
+     * Whether the archive holds messages older than a timestamp
+     * Players only know what the GM last told them, and otherwise assume a
+     * conversation that has reached the history cap has more.
+     * @param {string} conversationId - Conversation ID
+     * @param {number} before - Timestamp of the oldest message already shown
+     * @returns {boolean}
+     */
+    static hasOlderMessages(conversationId, before) {
+        if (game.user.isGM) return StorageManager.hasMessagesBefore(conversationId, before);
+
+        const known = this.olderHistory.get(conversationId);
+        if (known && before <= known.before) return known.hasMore;
+        const chat = this.privateChats.get(conversationId) ?? this.groupChats.get(conversationId);
+        return (chat?.history?.length ?? 0) >= DEFAULTS.maxMessageHistory;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // OUTBOX & DELIVERY STATE
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Queue an outgoing message until every recipient (and a GM) has it
+     * @param {string} type - 'private' or 'group'
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {object} message - Sealed message as it goes over the wire
+     * @param {Array<string>} recipients - User IDs that must acknowledge delivery
+     * @param {number|null} deliverAt - Hold the message in transit until then (signal lag)
+     * @returns {object} Outbox entry
+     */
+    static queueOutgoing(type, conversationId, message, recipients, deliverAt = null) {
+        const entry = {
+            id: message.id,
+            type,
+            conversationId,
+            message,
+            pending: [...recipients],
+            stored: game.user.isGM,
+            state: deliverAt === null ? DELIVERY_STATE.QUEUED : DELIVERY_STATE.TRANSMITTING,
+            createdAt: Date.now()
+        };
+        if (deliverAt !== null) entry.deliverAt = deliverAt;
+        this.outbox.set(message.id, entry);
+        this.saveOutbox();
+        return entry;
+    }
+
+    /**
+     * Get the delivery state of an outgoing message
+     * @param {string} messageId - Message ID
+     * @returns {string|null} A DELIVERY_STATE value, or null if not tracked
+     */
+    static getDeliveryState(messageId) {
+        return this.outbox.get(messageId)?.state ?? null;
+    }
+
+    /**
+     * Record a delivery acknowledgement
+     * Entries leave the outbox once every recipient has them and a GM has stored them.
+     * @param {string} messageId - Message ID
+     * @param {object} ack - { userId, stored, isRelay, held, transit, lost }
+     * @returns {object|null} The affected entry
+     */
+    static acknowledgeDelivery(messageId, { userId, stored = false, isRelay = false, held = false, transit = false, lost = false }) {
+        const entry = this.outbox.get(messageId);
+        if (!entry) return null;
+
+        // A GM carrying the message across a lagged link has it, or has lost it with the link
+        if (lost) {
+            this.loseMessage(entry);
+            return entry;
+        }
+        if (transit) {
+            entry.stored = true;
+            return entry;
+        }
+
+        // A GM holding the message for review takes over its delivery to everyone. The
+        // GM may change or drop it, so keep it as written for the sender to see
+        if (held) {
+            entry.pending = [];
+            this.heldCopies.set(messageId, { id: messageId, type: entry.type, conversationId: entry.conversationId, message: entry.message });
+            this.saveHeldCopies();
+        } else if (!isRelay) entry.pending = entry.pending.filter(id => id !== userId);
+        if (stored) entry.stored = true;
+
+        entry.state = entry.pending.length === 0 ? DELIVERY_STATE.DELIVERED : DELIVERY_STATE.SENT;
+        if (entry.state === DELIVERY_STATE.DELIVERED && entry.stored) {
+            this.outbox.delete(messageId);
+        }
+        return entry;
+    }
+
+    /**
+     * Re-add queued messages to local history after a reload
+     * (non-GM clients have no persisted copy of their own unsent messages)
+     */
+    static async restoreOutbox() {
+        for (const entry of this.outbox.values()) {
+            const isGroup = entry.type === 'group';
+            if (this.hasMessage(entry.conversationId, entry.id, isGroup)) continue;
+
+            const message = { ...entry.message };
+            const keyring = isGroup ? this.groupChats.get(entry.conversationId)?.keyring : null;
+            if (!await CryptoManager.open(message, keyring)) continue;
+
+            if (isGroup) {
+                this.addGroupMessage(entry.conversationId, message);
+            } else {
+                const [userId1, userId2] = entry.conversationId.split('-');
+                this.addPrivateMessage(userId1, userId2, message);
+            }
+        }
+    }
+
+    /**
+     * Put own messages a GM held for review back as this user wrote them
+     * The GM's history has its approved version, or nothing for a dropped message,
+     * so this runs after every sync.
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is this a group chat?
+     */
+    static async restoreHeldCopies(conversationId, isGroup) {
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        if (!chat) return;
+
+        const now = Date.now();
+        let changed = false;
+        for (const copy of this.heldCopies.values()) {
+            if (copy.conversationId !== conversationId) continue;
+            if (copy.message.expiresAt && copy.message.expiresAt <= now) continue;
+
+            const message = { ...copy.message };
+            if (!await CryptoManager.open(message, isGroup ? chat.keyring : null)) continue;
+            if (typeof message.messageContent === 'string') message.messageContent = Utils.parseRichContent(message.messageContent);
+
+            chat.history = [...(chat.history || []).filter(m => m.id !== message.id), message];
+            changed = true;
+        }
+        if (!changed) return;
+
+        chat.history = this._sanitizeHistory(chat.history.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)));
+        SearchIndex.invalidate(conversationId);
+    }
+
+    /**
+     * Keep the held copy of an own message in step with edits and deletions
+     * @param {object} message - Message as it now is in memory
+     */
+    static _updateHeldCopy(message) {
+        const copy = this.heldCopies.get(message.id);
+        if (!copy) return;
+        copy.message = CryptoManager.strip({ ...message });
+        this.saveHeldCopies();
+    }
+
+    /**
+     * Keep a change to a conversation until a GM is online to store it
+     * @param {string} type - Socket event type
+     * @param {object} payload - Event payload
+     */
+    static queueChange(type, payload) {
+        this.pendingChanges.push({ type, payload });
+        this.savePendingChanges();
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // UNREAD & ACTIVITY TRACKING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Mark conversation as read
+     * @param {string} conversationId - Conversation ID
+     */
+    static markAsRead(conversationId) {
+        this.lastRead.set(conversationId, Date.now());
+        this.unreadCounts.set(conversationId, 0);
+        this._sendReadReceipt(conversationId);
+        this._burnReadMessages(conversationId);
+        this.saveUnreadData();
+    }
+
+    /**
+     * Tell the other participants how far this user has read
+     * Only sent when the read position moved and receipts are enabled.
+     * @param {string} conversationId - Conversation ID
+     */
+    static _sendReadReceipt(conversationId) {
+        const isGroup = this.groupChats.has(conversationId);
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        const latest = [...(chat?.history || [])].reverse().find(m => m.senderId !== game.user.id);
+        if (!latest) return;
+
+        const position = { messageId: latest.id, timestamp: latest.timestamp || 0 };
+        if (!this.setReadPosition(conversationId, game.user.id, position)) return;
+        if (!game.settings.get(MODULE_ID, 'sendReadReceipts')) return;
+
+        const participants = isGroup ? this.getAudience(chat) : chat.users;
+        const recipients = participants.filter(id => id !== game.user.id);
+        if (recipients.length) SocketHandler.sendReadReceipt(conversationId, position, recipients);
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // EXPIRY
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Whether a value is a valid message timer
+     * @param {number|null} expiry - Seconds, 0 for burn after reading, null for off
+     * @returns {boolean}
+     */
+    static isValidExpiry(expiry) {
+        return expiry === null || EXPIRY_TIMERS.includes(expiry);
+    }
+
+    /**
+     * A conversation's timer for new messages
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {number|null} Seconds, 0 for burn after reading, null when off
+     */
+    static getConversationExpiry(conversationId, isGroup = false) {
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        const expiry = chat?.expiry ?? null;
+        return this.isValidExpiry(expiry) ? expiry : null;
+    }
+
+    /**
+     * Set a conversation's timer for new messages
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {number|null} expiry - Seconds, 0 for burn after reading, null for off
+     * @returns {boolean} Whether anything changed
+     */
+    static setConversationExpiry(conversationId, isGroup, expiry) {
+        if (!this.isValidExpiry(expiry)) return false;
+
+        let chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        if (!chat && !isGroup) {
+            chat = { users: conversationId.split('-'), history: [] };
+            this.privateChats.set(conversationId, chat);
+        }
+        if (!chat || (chat.expiry ?? null) === expiry) return false;
+
+        if (expiry === null) delete chat.expiry;
+        else chat.expiry = expiry;
         return true;
     }
 
     /**
-     * Delete a message
-     * @param {string} conversationId - Conversation ID
-     * @param {string} messageId - Message ID
-     * @param {boolean} isGroup - Is this a group chat?
-     * @returns {boolean} Success
+     * Stamp a new message with its timer
+     * Timed messages expire counting from when they were sent; burn-after-reading
+     * messages only get an expiry time once someone reads them.
+     * @param {object} messageData - Message being sent
+     * @param {number|null} expiry - Seconds, 0 for burn after reading, null for off
+     */
+    static applyExpiry(messageData, expiry) {
+        if (expiry === null || !this.isValidExpiry(expiry)) return;
+        messageData.expiry = expiry;
+        if (expiry > 0) messageData.expiresAt = (messageData.timestamp || Date.now()) + expiry * 1000;
+    }
+
+    /**
+     * Start the burn clock of burn-after-reading messages
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {Array<string>|null} messageIds - These messages, or null for every message from someone else
+     * @param {number} startedAt - When they were read
+     * @returns {Array<string>} IDs of the messages whose clock started
+     */
+    static startBurn(conversationId, isGroup, messageIds = null, startedAt = Date.now()) {
+        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
+        const expiresAt = startedAt + DEFAULTS.burnDelay * 1000;
+        const started = [];
+
+        for (const msg of chat?.history || []) {
+            if (msg.expiry !== 0 || msg.expiresAt || msg.deleted) continue;
+            if (messageIds ? !messageIds.includes(msg.id) : msg.senderId === game.user.id) continue;
+            msg.expiresAt = expiresAt;
+            started.push(msg.id);
+        }
+        return started;
+    }
+
+    /**
+     * Start the burn clock of messages the user just read, for everyone in the conversation
+     * @param {string} conversationId - Conversation ID
+     */
+    static _burnReadMessages(conversationId) {
+        const isGroup = this.groupChats.has(conversationId);
+        const startedAt = Date.now();
+        const started = this.startBurn(conversationId, isGroup, null, startedAt);
+        if (started.length) SocketHandler.broadcastBurn(conversationId, isGroup, started, startedAt);
+    }
+
+    /**
+     * Remove every message whose timer ran out
+     * GMs also drop them from the archive, and from the monitor log unless
+     * the world keeps expired messages there.
+     * @param {number} now - Current time
+     * @returns {Array<object>} { conversationId, isGroup } of each conversation that changed
+     */
+    static expireMessages(now = Date.now()) {
+        const changed = [];
+        const expiredIds = new Set();
+
+        for (const [chats, isGroup] of [[this.privateChats, false], [this.groupChats, true]]) {
+            for (const [conversationId, chat] of chats.entries()) {
+                if (!chat.history?.some(msg => msg.expiresAt && msg.expiresAt <= now)) continue;
+
+                chat.history = chat.history.filter(msg => {
+                    if (!msg.expiresAt || msg.expiresAt > now) return true;
+                    expiredIds.add(msg.id);
+                    SearchIndex.remove(msg.id);
+                    if (game.user.isGM) StorageManager.forget(conversationId, msg.id);
+                    return false;
+                });
+                changed.push({ conversationId, isGroup });
+            }
+        }
+
+        const expiredCopies = [...this.heldCopies.values()].filter(copy => copy.message.expiresAt && copy.message.expiresAt <= now);
+        if (expiredCopies.length) {
+            for (const copy of expiredCopies) this.heldCopies.delete(copy.id);
+            this.saveHeldCopies();
+        }
+
+        if (expiredIds.size && game.user.isGM) {
+            if (game.settings.get(MODULE_ID, 'retainExpiredMessages')) {
+                for (const entry of this.interceptedMessages) {
+                    if (expiredIds.has(entry.messageData?.id)) entry.expired = true;
+                }
+            } else {
+                this.interceptedMessages = this.interceptedMessages.filter(entry => !expiredIds.has(entry.messageData?.id));
+            }
+        }
+        return changed;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // SCHEDULED MESSAGES
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Whether a value is a valid delivery time for a scheduled message
+     * @param {object} trigger - { type, at } with at in ms for real time, seconds of world time otherwise
+     * @returns {boolean}
+     */
+    static isValidScheduleTrigger(trigger) {
+        return Object.values(SCHEDULE_TRIGGERS).includes(trigger?.type) && Number.isFinite(trigger.at) && trigger.at >= 0;
+    }
+
+    /**
+     * Whether a scheduled message's delivery time has come
+     * @param {object} trigger - { type, at }
+     * @param {number} now - Current real time
+     * @param {number} worldTime - Current world time
+     * @returns {boolean}
+     */
+    static isScheduleDue(trigger, now = Date.now(), worldTime = game.time.worldTime) {
+        return trigger.type === SCHEDULE_TRIGGERS.WORLD ? worldTime >= trigger.at : now >= trigger.at;
+    }
+
+    /**
+     * Whether a user may post to a conversation
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    static canPostTo(conversationId, isGroup, userId) {
+        if (!isGroup) return conversationId?.split('-').includes(userId) ?? false;
+
+        const group = this.groupChats.get(conversationId);
+        return Boolean(group?.members.includes(userId) && this.canPostInGroup(group, userId));
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // SIGNAL LAG
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Whether private messages take time to cross the distance between characters
+     * @returns {boolean}
+     */
+    static isSignalLagEnabled() {
+        return game.settings.get(MODULE_ID, 'signalLag');
+    }
+
+    /**
+     * The GM's settings for a private link
+     * Players cannot read them and see every link open at its distance latency.
+     * @param {string} chatKey - Private chat key
+     * @returns {object} { state, latency } - a SIGNAL_LINK_STATES value, and seconds or null to use distance
+     */
+    static getSignalLink(chatKey) {
+        const link = StorageManager.getSignalLinks()[chatKey] ?? {};
+        return {
+            state: Object.values(SIGNAL_LINK_STATES).includes(link.state) ? link.state : SIGNAL_LINK_STATES.OPEN,
+            latency: Number.isFinite(link.latency) && link.latency >= 0 ? link.latency : null
+        };
+    }
+
+    /**
+     * GM: Jam, drop, reopen or set the latency of a private link
+     * @param {string} chatKey - Private chat key
+     * @param {object} changes - { state, latency }, latency null to go back to distance
+     */
+    static async setSignalLink(chatKey, changes) {
+        if (!game.user.isGM) return;
+
+        const link = { ...this.getSignalLink(chatKey), ...changes };
+        const isDefault = link.state === SIGNAL_LINK_STATES.OPEN && link.latency === null;
+        await StorageManager.setSignalLink(chatKey, isDefault ? null : link);
+        SocketHandler.flushOutbox();
+    }
+
+    /**
+     * Seconds a private message takes to arrive: the GM's latency for the link,
+     * or the distance between the two users' character tokens
+     * A player's own figure is only an estimate to show while the GM carries the message.
+     * @param {string} chatKey - Private chat key
+     * @returns {number}
+     */
+    static getSignalLatency(chatKey) {
+        const { latency } = this.getSignalLink(chatKey);
+        if (latency !== null) return latency;
+
+        const [userId1, userId2] = chatKey.split('-');
+        const distance = Utils.getCharacterDistance(userId1, userId2);
+        return distance === null ? 0 : distance * game.settings.get(MODULE_ID, 'signalLagRate');
+    }
+
+    /**
+     * Mark a message that was dropped in transit
+     * @param {object} entry - Outbox entry
+     */
+    static loseMessage(entry) {
+        this.outbox.delete(entry.id);
+        const message = this.getMessage(entry.conversationId, entry.id, entry.type === 'group');
+        if (message) message.signalLost = true;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // INTERCEPTION
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Whether players' messages in a conversation go to the GM for review first
+     * Players only know about their own conversations, from what the GM told them.
+     * @param {string} conversationId - Private chat key or group ID
+     * @returns {boolean}
      */
-    static deleteMessage(conversationId, messageId, isGroup = false) {
-        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
-        if (!chat) return false;
-        
-        const messages = chat.history || [];
-        const index = messages.findIndex(m => m.id === messageId);
-        if (index === -1) return false;
-        
-        messages.splice(index, 1);
-        return true;
+    static isIntercepted(conversationId) {
+        if (game.user.isGM) return Boolean(StorageManager.getIntercepted()[conversationId]);
+        return this.interceptedConversations.has(conversationId);
     }
 
     /**
-     * Add intercepted message for GM monitoring
-     * @param {object} payload - Message payload
+     * GM: Start or stop holding a conversation's messages for review
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} intercepted - Hold its messages?
      */
-    static addInterceptedMessage(payload) {
-        payload.id = foundry.utils.randomID();
-        payload.interceptedAt = Date.now();
-        this.interceptedMessages.push(payload);
-        
-        // Keep only recent messages
-        if (this.interceptedMessages.length > DEFAULTS.MAX_INTERCEPTED) {
-            this.interceptedMessages.shift();
-        }
+    static async setIntercepted(conversationId, intercepted) {
+        if (!game.user.isGM) return;
+
+        await StorageManager.setIntercepted(conversationId, intercepted);
+        SocketHandler.broadcastIntercept(conversationId, this.groupChats.has(conversationId), intercepted);
     }
 
     /**
-     * Search messages in a conversation
-     * @param {string} conversationId - Conversation ID
-     * @param {string} query - Search query
-     * @param {boolean} isGroup - Is this a group chat?
-     * @returns {Array} Matching messages
+     * Apply what the GM said about holding this user's conversations for review
+     * @param {object} conversations - { [conversationId]: boolean }
+     * @param {boolean} replace - Whether this is the full list, replacing the one known
      */
-    static searchMessages(conversationId, query, isGroup = false) {
-        const chat = isGroup ? this.groupChats.get(conversationId) : this.privateChats.get(conversationId);
-        if (!chat || !query) return chat?.history || [];
-        
-        const lowerQuery = query.toLowerCase();
-        return (chat.history || []).filter(msg => {
-            const content = (msg.messageContent || '').toLowerCase();
-            const sender = (msg.senderName || '').toLowerCase();
-            return content.includes(lowerQuery) || sender.includes(lowerQuery);
-        });
+    static applyIntercepted(conversations, replace = false) {
+        if (replace) this.interceptedConversations.clear();
+        for (const [conversationId, intercepted] of Object.entries(conversations)) {
+            if (intercepted) this.interceptedConversations.add(conversationId);
+            else this.interceptedConversations.delete(conversationId);
+        }
+        this.saveInterceptedConversations();
     }
 
     // ════════════════════════════════════════════════════════════════════════════
-    // UNREAD & ACTIVITY TRACKING
+    // READ RECEIPTS
     // ════════════════════════════════════════════════════════════════════════════
 
     /**
-     * Mark conversation as read
+     * Advance a user's read position in a conversation
      * @param {string} conversationId - Conversation ID
+     * @param {string} userId - Reader
+     * @param {object} position - { messageId, timestamp } of the last message read
+     * @returns {boolean} Whether the position moved forward
      */
-    static markAsRead(conversationId) {
-        this.lastRead.set(conversationId, Date.now());
-        this.unreadCounts.set(conversationId, 0);
-        this.saveUnreadData();
+    static setReadPosition(conversationId, userId, position) {
+        const positions = this.readReceipts.get(conversationId) || {};
+        const current = positions[userId];
+        if (current && (current.messageId === position.messageId || current.timestamp > position.timestamp)) return false;
+
+        positions[userId] = { messageId: position.messageId, timestamp: position.timestamp };
+        this.readReceipts.set(conversationId, positions);
+        return true;
+    }
+
+    /**
+     * Get the last message ID each user has read in a conversation
+     * @param {string} conversationId - Conversation ID
+     * @returns {object} Message IDs keyed by user ID
+     */
+    static getLastReadIds(conversationId) {
+        const positions = this.readReceipts.get(conversationId) || {};
+        return Object.fromEntries(Object.entries(positions).map(([userId, p]) => [userId, p.messageId]));
+    }
+
+    /**
+     * Users other than the sender who have read up to or past a message
+     * @param {string} conversationId - Conversation ID
+     * @param {object} message - Message
+     * @returns {Array<string>} User IDs
+     */
+    static getReadBy(conversationId, message) {
+        const positions = this.readReceipts.get(conversationId) || {};
+        return Object.entries(positions)
+            .filter(([userId, p]) => userId !== message.senderId && p.timestamp >= (message.timestamp || 0))
+            .map(([userId]) => userId);
     }
 
     /**
@@ -528,6 +1425,45 @@ export class DataManager {
         return typingUsers;
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // PRESENCE
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Merge presence data for a user
+     * @param {string} userId - User ID
+     * @param {object} presence - Any of { status, text, auto, lastSeen }
+     */
+    static setPresence(userId, presence) {
+        const current = this.userPresence.get(userId) || {};
+        this.userPresence.set(userId, { ...current, ...presence });
+    }
+
+    /**
+     * Get presence data for a user
+     * @param {string} userId - User ID
+     * @returns {object|null}
+     */
+    static getPresence(userId) {
+        return this.userPresence.get(userId) || null;
+    }
+
+    /**
+     * Save last-seen timestamps to world settings (GM only)
+     */
+    static async saveLastSeen() {
+        if (!game.user.isGM) return;
+        try {
+            const lastSeen = {};
+            for (const [userId, presence] of this.userPresence.entries()) {
+                if (presence.lastSeen) lastSeen[userId] = presence.lastSeen;
+            }
+            await game.settings.set(MODULE_ID, 'lastSeen', lastSeen);
+        } catch (e) {
+            console.error('Cyphur | Failed to save last seen data:', e);
+        }
+    }
+
     // ════════════════════════════════════════════════════════════════════════════
     // REACTIONS
     // ════════════════════════════════════════════════════════════════════════════
@@ -584,6 +1520,144 @@ export class DataManager {
         this._replyToMessage = null;
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // THREADS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Replies in a thread, oldest first
+     * @param {Array} messages - Messages to search, usually a conversation's history
+     * @param {string} rootId - ID of the message that started the thread
+     * @returns {Array}
+     */
+    static getThreadReplies(messages, rootId) {
+        return (messages || []).filter(m => m.threadId === rootId);
+    }
+
+    /**
+     * Reply count, latest reply and unread count of every thread in a set of messages
+     * @param {string} conversationId - Conversation ID
+     * @param {Array} messages - Messages to summarize, usually a conversation's history
+     * @returns {Map} Root message ID -> { count, lastTimestamp, unread }
+     */
+    static getThreadSummaries(conversationId, messages) {
+        const summaries = new Map();
+        for (const message of messages || []) {
+            if (!message.threadId) continue;
+
+            const summary = summaries.get(message.threadId) ?? { count: 0, lastTimestamp: 0, unread: 0 };
+            summary.count += 1;
+            summary.lastTimestamp = Math.max(summary.lastTimestamp, message.timestamp || 0);
+            if (message.senderId !== game.user.id
+                && (message.timestamp || 0) > this.getThreadReadTime(conversationId, message.threadId)) {
+                summary.unread += 1;
+            }
+            summaries.set(message.threadId, summary);
+        }
+        return summaries;
+    }
+
+    /**
+     * When the current user last read a thread
+     * @param {string} conversationId - Conversation ID
+     * @param {string} rootId - Thread root message ID
+     * @returns {number} Timestamp, 0 if never
+     */
+    static getThreadReadTime(conversationId, rootId) {
+        return this.threadReads.get(`${conversationId}:${rootId}`) ?? 0;
+    }
+
+    /**
+     * Mark a thread read up to a timestamp
+     * @param {string} conversationId - Conversation ID
+     * @param {string} rootId - Thread root message ID
+     * @param {number} timestamp - Timestamp of the newest reply shown
+     */
+    static markThreadRead(conversationId, rootId, timestamp) {
+        if (timestamp <= this.getThreadReadTime(conversationId, rootId)) return;
+        this.threadReads.set(`${conversationId}:${rootId}`, timestamp);
+        this.saveUnreadData();
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // REVISIONS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Every version of a message, oldest first, decrypting revisions as needed
+     * For a deleted message a GM gets the versions recorded in the archive.
+     * @param {string} conversationId - Conversation ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {Promise<Array>} { content, text, editedBy, editedAt, undecryptable }
+     */
+    static async getRevisions(conversationId, messageId, isGroup = false) {
+        let message = this.getMessage(conversationId, messageId, isGroup);
+        if (message?.deleted) message = StorageManager.getDeletion(messageId)?.message ?? null;
+        if (!message) return [];
+
+        const keyring = isGroup ? this.groupChats.get(conversationId)?.keyring : null;
+        const current = {
+            editedBy: message.editedBy ?? message.senderId,
+            editedAt: message.editedAt ?? message.timestamp,
+            cipher: message.cipher,
+            messageContent: message.undecryptable ? undefined : message.messageContent
+        };
+
+        const versions = [];
+        for (const version of [...(message.revisions || []), current]) {
+            let content = version.messageContent;
+            if (content === undefined && version.cipher) {
+                const body = await CryptoManager.decrypt(version.cipher, keyring);
+                if (body) content = Utils.parseRichContent(body.messageContent || '');
+            }
+            versions.push({
+                content: content ?? '',
+                text: content === undefined ? '' : Utils.htmlToText(content),
+                editedBy: version.editedBy,
+                editedAt: version.editedAt,
+                undecryptable: content === undefined
+            });
+        }
+        return versions;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // MENTIONS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Whether a message mentions a user
+     * @param {object} message - Message data
+     * @param {string} userId - User ID, defaults to the current user
+     * @returns {boolean}
+     */
+    static isMentioned(message, userId = game.user.id) {
+        return message?.senderId !== userId && Boolean(message?.mentions?.includes(userId));
+    }
+
+    /**
+     * Every loaded message that mentions a user, newest first
+     * @param {string} userId - User ID, defaults to the current user
+     * @returns {Array} Entries of { conversationId, isGroup, message }
+     */
+    static getMentions(userId = game.user.id) {
+        const mentions = [];
+        for (const [conversationId, chat] of this.privateChats) {
+            if (!chat.users?.includes(userId)) continue;
+            for (const message of chat.history || []) {
+                if (this.isMentioned(message, userId)) mentions.push({ conversationId, isGroup: false, message });
+            }
+        }
+        for (const [conversationId, group] of this.groupChats) {
+            if (!group.members?.includes(userId)) continue;
+            for (const message of group.history || []) {
+                if (this.isMentioned(message, userId)) mentions.push({ conversationId, isGroup: true, message });
+            }
+        }
+        return mentions.sort((a, b) => (b.message.timestamp || 0) - (a.message.timestamp || 0));
+    }
+
     // ════════════════════════════════════════════════════════════════════════════
     // FAVORITES & MUTING
     // ════════════════════════════════════════════════════════════════════════════
@@ -644,6 +1718,40 @@ export class DataManager {
         return this.pinnedMessages.get(conversationId) || [];
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // IN-CHARACTER IDENTITIES
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Actors a user may speak as
+     * @param {User} user - User
+     * @returns {Array<Actor>}
+     */
+    static getOwnedActors(user = game.user) {
+        return game.actors.filter(a => a.testUserPermission(user, 'OWNER'));
+    }
+
+    /**
+     * The actor this user speaks as in a conversation
+     * @param {string} conversationId - Conversation ID
+     * @returns {Actor|null} Null when speaking as themselves, or the actor is gone or no longer owned
+     */
+    static getSpeakerIdentity(conversationId) {
+        const actor = game.actors.get(this.speakerIdentities.get(conversationId));
+        return actor?.isOwner ? actor : null;
+    }
+
+    /**
+     * Remember the actor this user speaks as in a conversation
+     * @param {string} conversationId - Conversation ID
+     * @param {string|null} actorId - Actor ID, or null to speak as themselves
+     */
+    static setSpeakerIdentity(conversationId, actorId) {
+        if (actorId) this.speakerIdentities.set(conversationId, actorId);
+        else this.speakerIdentities.delete(conversationId);
+        this.saveSpeakerIdentities();
+    }
+
     // ════════════════════════════════════════════════════════════════════════════
     // SHARED BACKGROUNDS
     // ════════════════════════════════════════════════════════════════════════════
@@ -665,17 +1773,20 @@ export class DataManager {
     // ════════════════════════════════════════════════════════════════════════════
 
     /**
-     * Create a new group
+     * Create a new group, owned by the current user
      * @param {string} name - Group name
      * @param {Array<string>} members - Array of member user IDs
+     * @param {Array<string>} invited - Users asked to join
      * @returns {object} The created group
      */
-    static createGroup(name, members) {
+    static createGroup(name, members, invited = []) {
         const groupId = foundry.utils.randomID();
         const group = {
             id: groupId,
             name: name,
             members: [...new Set(members)],
+            invited: [...new Set(invited)].filter(id => !members.includes(id)),
+            roles: { [game.user.id]: GROUP_ROLES.OWNER },
             history: [],
             createdAt: Date.now(),
             createdBy: game.user.id
@@ -719,9 +1830,345 @@ export class DataManager {
         if (!chat) return false;
         
         chat.history = [];
+        StorageManager.clear(conversationId);
         return true;
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // GROUP ROLES
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * A member's role in a group
+     * Members without an entry are plain members; groups from before roles
+     * existed are owned by their creator.
+     * @param {object} group - Group object
+     * @param {string} userId - User ID
+     * @returns {string|null} A GROUP_ROLES value, or null for non-members
+     */
+    static getGroupRole(group, userId) {
+        if (!group?.members?.includes(userId)) return null;
+        return group.roles?.[userId] ?? (userId === group.createdBy ? GROUP_ROLES.OWNER : GROUP_ROLES.MEMBER);
+    }
+
+    /**
+     * Whether a user may rename the group and invite, kick or promote members
+     * @param {object} group - Group object
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    static canManageGroup(group, userId) {
+        if (!group || this.isChannel(group)) return false;
+        if (game.users.get(userId)?.isGM) return true;
+        if (this.isActorConversation(group)) return false;
+        return ROLE_RANK[this.getGroupRole(group, userId)] >= ROLE_RANK[GROUP_ROLES.MODERATOR];
+    }
+
+    /**
+     * Whether a user may post in a group
+     * @param {object} group - Group object
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    static canPostInGroup(group, userId) {
+        if (!group) return false;
+        if (game.users.get(userId)?.isGM) return true;
+        if (this.isChannel(group)) return group.members.includes(userId);
+        const role = this.getGroupRole(group, userId);
+        return !!role && role !== GROUP_ROLES.READ_ONLY;
+    }
+
+    /**
+     * Check a player's group update against their role
+     * Anyone may accept or decline their own invitation and leave (owners
+     * hand over ownership first). Owners and moderators may rename, re-key,
+     * invite and kick or re-role members below their own rank; only the owner
+     * appoints moderators or passes ownership on.
+     * @param {object} group - Group before the update
+     * @param {string} userId - User making the update
+     * @param {object} updates - Fields to change
+     * @returns {string|null} A rejection reason, or null when allowed
+     */
+    static getGroupUpdateError(group, userId, updates) {
+        if (this.isChannel(group) || this.isActorConversation(group)) return 'NotManager';
+
+        const next = { ...group, ...updates };
+        const diff = (from = [], to = []) => to.filter(id => !from.includes(id));
+        const added = diff(group.members, next.members);
+        const removed = diff(next.members, group.members);
+        const invitesAdded = diff(group.invited, next.invited);
+        const invitesRemoved = diff(next.invited, group.invited);
+        const reroled = group.members.filter(id =>
+            next.members?.includes(id) && this.getGroupRole(group, id) !== this.getGroupRole(next, id));
+        const renamed = 'name' in updates && updates.name !== group.name;
+        const rekeyed = 'keyring' in updates;
+
+        // Self-service: answering an invitation, or leaving
+        if (!renamed && !rekeyed && !reroled.length && !invitesAdded.length && !removed.length) {
+            const answered = invitesRemoved.length === 1 && invitesRemoved[0] === userId;
+            const joined = !added.length || (added.length === 1 && added[0] === userId
+                && this.getGroupRole(next, userId) === GROUP_ROLES.MEMBER);
+            if (answered && joined) return null;
+        }
+        if (removed.length === 1 && removed[0] === userId && !added.length && !invitesAdded.length
+            && !invitesRemoved.length && !reroled.length && !renamed && !rekeyed) {
+            return this.getGroupRole(group, userId) === GROUP_ROLES.OWNER ? 'OwnerCannotLeave' : null;
+        }
+
+        const role = this.getGroupRole(group, userId);
+        if (!this.canManageGroup(group, userId)) return 'NotManager';
+        if (added.length) return 'NotInvited';
+        if (invitesAdded.some(id => group.members.includes(id) || !game.users.get(id))) return 'InvalidFields';
+
+        const outranks = (id, target = this.getGroupRole(group, id)) => ROLE_RANK[role] > ROLE_RANK[target];
+        if (removed.some(id => id === userId || !outranks(id))) return 'Outranked';
+
+        for (const id of reroled) {
+            const to = this.getGroupRole(next, id);
+            if (role === GROUP_ROLES.OWNER) {
+                // Owners only step down while handing ownership to someone else
+                const handover = reroled.some(other => other !== id && this.getGroupRole(next, other) === GROUP_ROLES.OWNER);
+                if (id === userId ? !handover : (to === GROUP_ROLES.OWNER && this.getGroupRole(next, userId) === GROUP_ROLES.OWNER)) {
+                    return 'Outranked';
+                }
+            } else if (id === userId || !outranks(id) || !outranks(id, to)) {
+                return 'Outranked';
+            }
+        }
+
+        const owners = next.members.filter(id => this.getGroupRole(next, id) === GROUP_ROLES.OWNER);
+        return owners.length > 1 ? 'Outranked' : null;
+    }
+
+    /**
+     * The updates that add or remove a user from a group
+     * @param {object} group - Group object
+     * @param {string} action - 'invite', 'uninvite', 'accept', 'decline', 'leave' or 'kick'
+     * @param {string} userId - Affected user
+     * @returns {object} Updates for members, invited and roles
+     */
+    static getMembershipUpdates(group, action, userId) {
+        const members = group.members.filter(id => id !== userId);
+        const invited = (group.invited ?? []).filter(id => id !== userId);
+        const roles = { ...group.roles };
+        delete roles[userId];
+
+        switch (action) {
+            case 'invite': return { invited: [...invited, userId] };
+            case 'uninvite':
+            case 'decline': return { invited };
+            case 'accept': return { members: [...members, userId], invited, roles: { ...roles, [userId]: GROUP_ROLES.MEMBER } };
+            default: return { members, roles };
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // CHANNELS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Create a new topic channel
+     * Channels are stored with the groups and share their message handling;
+     * unlike groups, membership is open to anyone the visibility allows.
+     * @param {string} name - Channel name
+     * @param {object} options - { topic, visibility }
+     * @returns {object} The created channel
+     */
+    static createChannel(name, { topic = '', visibility = CHANNEL_VISIBILITY.EVERYONE } = {}) {
+        const channel = this.createGroup(name, [game.user.id]);
+        Object.assign(channel, { type: 'channel', topic, visibility, invited: [] });
+        return channel;
+    }
+
+    /**
+     * Whether a group is a channel
+     * @param {object} group - Group object
+     * @returns {boolean}
+     */
+    static isChannel(group) {
+        return group?.type === 'channel';
+    }
+
+    /**
+     * Get all channels
+     * @returns {Array<object>}
+     */
+    static getChannels() {
+        return Array.from(this.groupChats.values()).filter(g => this.isChannel(g));
+    }
+
+    /**
+     * Whether a user may see and join a channel
+     * @param {object} channel - Channel object
+     * @param {User} user - User to check
+     * @returns {boolean}
+     */
+    static canAccessChannel(channel, user) {
+        if (!user || !this.isChannel(channel)) return false;
+        if (channel.members.includes(user.id) || channel.invited?.includes(user.id)) return true;
+
+        switch (channel.visibility) {
+            case CHANNEL_VISIBILITY.PLAYERS: return !user.isGM;
+            case CHANNEL_VISIBILITY.GM: return user.isGM;
+            default: return true;
+        }
+    }
+
+    /**
+     * Users that must hear about changes to a group or channel
+     * Groups tell their members and invitees; channels tell everyone who can see them.
+     * GMs always hear, since they keep the world's copy.
+     * @param {object} group - Group or channel
+     * @returns {Array<string>} User IDs
+     */
+    static getAudience(group) {
+        if (!this.isChannel(group)) {
+            const gmIds = game.users.filter(u => u.isGM).map(u => u.id);
+            return [...new Set([...group.members, ...(group.invited ?? []), ...gmIds])];
+        }
+        return game.users.filter(u => u.isGM || this.canAccessChannel(group, u)).map(u => u.id);
+    }
+
+    /**
+     * Apply a join, leave or invite to a channel
+     * @param {string} channelId - Channel ID
+     * @param {string} action - 'join', 'leave' or 'invite'
+     * @param {string} userId - Affected user
+     * @returns {boolean} Whether anything changed
+     */
+    static applyChannelMembership(channelId, action, userId) {
+        const channel = this.groupChats.get(channelId);
+        if (!this.isChannel(channel)) return false;
+        if (!channel.invited) channel.invited = [];
+
+        const isMember = channel.members.includes(userId);
+        switch (action) {
+            case 'join':
+                if (isMember) return false;
+                channel.members.push(userId);
+                channel.invited = channel.invited.filter(id => id !== userId);
+                return true;
+            case 'leave':
+                if (!isMember) return false;
+                channel.members = channel.members.filter(id => id !== userId);
+                return true;
+            case 'invite':
+                if (isMember || channel.invited.includes(userId)) return false;
+                channel.invited.push(userId);
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // NPC INBOX
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Start a conversation addressed to an actor
+     * Stored with the groups like channels. The player who writes in owns it;
+     * whoever controls the actor answers as it.
+     * @param {Actor} actor - Actor being messaged
+     * @returns {object} The created conversation
+     */
+    static createActorConversation(actor) {
+        const group = this.createGroup(actor.name, [game.user.id, ...this.getActorControllers(actor)]);
+        Object.assign(group, { type: 'actor', actorUuid: actor.uuid, invited: [] });
+        return group;
+    }
+
+    /**
+     * Whether a group is a conversation addressed to an actor
+     * @param {object} group - Group object
+     * @returns {boolean}
+     */
+    static isActorConversation(group) {
+        return group?.type === 'actor';
+    }
+
+    /**
+     * Get conversations addressed to actors, newest activity first
+     * @param {string} [actorUuid] - Only those addressed to this actor
+     * @returns {Array<object>}
+     */
+    static getActorConversations(actorUuid) {
+        const lastActivity = (g) => g.history?.at(-1)?.timestamp ?? g.createdAt ?? 0;
+        return Array.from(this.groupChats.values())
+            .filter(g => this.isActorConversation(g) && (!actorUuid || g.actorUuid === actorUuid))
+            .sort((a, b) => lastActivity(b) - lastActivity(a));
+    }
+
+    /**
+     * A player's conversation with an actor
+     * @param {string} actorUuid - Actor UUID
+     * @param {string} userId - Player who wrote in
+     * @returns {object|null}
+     */
+    static getActorConversation(actorUuid, userId) {
+        return this.getActorConversations(actorUuid).find(g => g.createdBy === userId) ?? null;
+    }
+
+    /**
+     * The actor a conversation is addressed to
+     * @param {object} group - Group object
+     * @returns {Actor|null}
+     */
+    static getConversationActor(group) {
+        if (!this.isActorConversation(group)) return null;
+        const actor = fromUuidSync(group.actorUuid);
+        return actor?.documentName === 'Actor' ? actor : null;
+    }
+
+    /**
+     * Users who answer for an actor
+     * Players who own it, or the GMs when no player does.
+     * @param {Actor} actor - Actor
+     * @returns {Array<string>} User IDs
+     */
+    static getActorControllers(actor) {
+        const owners = game.users.filter(u => !u.isGM && actor.testUserPermission(u, 'OWNER'));
+        return (owners.length ? owners : game.users.filter(u => u.isGM)).map(u => u.id);
+    }
+
+    /**
+     * Actors a user can see and message, but does not control
+     * @param {User} user - User
+     * @returns {Array<Actor>}
+     */
+    static getMessageableActors(user = game.user) {
+        return game.actors.filter(a => a.testUserPermission(user, 'LIMITED') && !a.testUserPermission(user, 'OWNER'));
+    }
+
+    /**
+     * Who a user speaks as in an actor conversation
+     * Everyone but the player who wrote in answers as the actor.
+     * @param {object} group - Group object
+     * @param {string} userId - User ID
+     * @returns {object|null} Speaker data { actorId, name, img }, or null to speak as usual
+     */
+    static getActorSpeaker(group, userId) {
+        if (!this.isActorConversation(group) || userId === group.createdBy) return null;
+        const actor = this.getConversationActor(group);
+        return actor ? { actorId: actor.id, name: actor.name, img: actor.img } : null;
+    }
+
+    /**
+     * Name of an actor conversation as seen by a user
+     * The player sees the actor; whoever answers also sees who wrote in.
+     * @param {object} group - Group object
+     * @param {string} userId - User ID
+     * @returns {string}
+     */
+    static getActorConversationName(group, userId = game.user.id) {
+        const name = this.getConversationActor(group)?.name ?? group.name;
+        if (userId === group.createdBy) return name;
+        return game.i18n.format('CYPHUR.NpcInbox.ConversationName', {
+            actor: name,
+            player: game.users.get(group.createdBy)?.name ?? '?'
+        });
+    }
+
     // ════════════════════════════════════════════════════════════════════════════
     // IMAGE MANAGEMENT
     // ════════════════════════════════════════════════════════════════════════════
@@ -1139,6 +2586,9 @@ export class DataManager {
             if (msg.imageUrl) {
                 lines.push(`  [Image: ${msg.imageUrl}]`);
             }
+            for (const attachment of AttachmentManager.getVisible(msg)) {
+                lines.push(`  [Attachment: ${attachment.name} - ${attachment.path}]`);
+            }
             
             lines.push('');
         }
@@ -0,0 +1,134 @@
+/**
+ * RNK Cyphur - Dice Manager
+ * Inline [[formula]] rolls, evaluated once by the sender
+ *
+ * Results are stored on the message in `rolls`, one entry per inline roll in
+ * content order, so every participant sees the same total. GM-only and blind
+ * results are encrypted for their readers only (GMs, plus the roller for
+ * GM-only rolls) and show as "?" to everyone else.
+ */
+
+import { ROLL_VISIBILITY } from './Constants.js';
+import { CryptoManager } from './CryptoManager.js';
+import { Utils } from './Utils.js';
+
+// Same notation Utils.parseRichContent renders as .cyphur-dice-roll
+const INLINE_ROLL = /\[\[([^\]]+)\]\]/g;
+
+export class DiceManager {
+    /** Decrypted hidden results, keyed by `${messageId}:${index}` */
+    static _revealed = new Map();
+
+    /**
+     * Whether content contains inline rolls
+     * @param {string} content - Raw message text
+     * @returns {boolean}
+     */
+    static hasInlineRolls(content) {
+        return Boolean(content) && new RegExp(INLINE_ROLL.source).test(content);
+    }
+
+    /**
+     * Evaluate every inline roll in a message
+     * @param {string} content - Raw message text
+     * @param {string} visibility - One of ROLL_VISIBILITY
+     * @returns {Promise<Array>} Roll entries in content order
+     */
+    static async evaluate(content, visibility = ROLL_VISIBILITY.PUBLIC) {
+        const rolls = [];
+        for (const [, formula] of content.matchAll(INLINE_ROLL)) {
+            rolls.push(await this._evaluateOne(formula.trim(), visibility));
+        }
+        return rolls;
+    }
+
+    static async _evaluateOne(formula, visibility) {
+        let roll;
+        try {
+            roll = await new Roll(formula).evaluate();
+        } catch (e) {
+            console.warn(`Cyphur | Invalid inline roll [[${formula}]]:`, e);
+            return { formula, invalid: true };
+        }
+
+        const result = { total: roll.total, data: roll.toJSON() };
+        if (visibility === ROLL_VISIBILITY.PUBLIC) return { formula, visibility, ...result };
+
+        const readers = new Set(CryptoManager.getGMIds());
+        if (visibility === ROLL_VISIBILITY.GM) readers.add(game.user.id);
+
+        // Without encryption a hidden result cannot be stored safely, so it is dropped
+        const sealed = await CryptoManager.encryptFor(result, [...readers]);
+        return { formula, visibility, sealed: sealed ?? null };
+    }
+
+    /**
+     * The rolls of a message as this client may see them
+     * @param {object} message - Message with `rolls`
+     * @returns {Promise<Array>} Entries of { formula, visibility, total, data, hidden, invalid }
+     */
+    static async resolve(message) {
+        const resolved = [];
+        for (const [index, roll] of (message.rolls || []).entries()) {
+            if (!roll || roll.invalid || !('sealed' in roll)) {
+                resolved.push(roll ? { ...roll, hidden: false } : null);
+                continue;
+            }
+
+            const key = `${message.id}:${index}`;
+            if (!this._revealed.has(key) && roll.sealed) {
+                const body = await CryptoManager.decrypt(roll.sealed);
+                if (body) this._revealed.set(key, body);
+            }
+
+            const body = this._revealed.get(key);
+            resolved.push({
+                formula: roll.formula,
+                visibility: roll.visibility,
+                total: body?.total ?? null,
+                data: body?.data ?? null,
+                hidden: !body
+            });
+        }
+        return resolved;
+    }
+
+    /**
+     * Show results in rendered message content
+     * @param {string} html - Content rendered by parseRichContent
+     * @param {Array} resolved - Entries from resolve()
+     * @returns {string}
+     */
+    static render(html, resolved) {
+        if (!html || !resolved?.length) return html;
+
+        const body = Utils.parseHTML(html).body;
+        body.querySelectorAll('.cyphur-dice-roll').forEach((el, index) => {
+            const roll = resolved[index];
+            if (!roll || roll.invalid) return;
+
+            el.dataset.rollIndex = index;
+            el.classList.add(roll.hidden ? 'hidden' : 'resolved', roll.visibility);
+            el.textContent = `🎲 ${roll.formula} = ${roll.hidden ? '?' : roll.total}`;
+            if (roll.visibility !== ROLL_VISIBILITY.PUBLIC) {
+                el.title = game.i18n.localize(`CYPHUR.Dice.Visibility.${roll.visibility}`);
+            }
+        });
+        return body.innerHTML;
+    }
+
+    /**
+     * Foundry's dice breakdown for a resolved roll
+     * @param {object} roll - Entry from resolve()
+     * @returns {Promise<string|null>} Tooltip HTML
+     */
+    static async getTooltip(roll) {
+        if (!roll?.data) return null;
+        try {
+            return await Roll.fromData(roll.data).getTooltip();
+        } catch (e) {
+            console.warn('Cyphur | Failed to render roll tooltip:', e);
+            return null;
+        }
+    }
+}
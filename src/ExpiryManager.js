@@ -0,0 +1,121 @@
+/**
+ * RNK Cyphur - Expiry Manager
+ * Clock for disappearing messages
+ *
+ * Every client removes expired messages from its own copy of each
+ * conversation once a second, so expiry holds even when the sender is
+ * offline. The GM's client also drops them from the archive. Countdown
+ * badges in open chat windows are updated in place between renders.
+ */
+
+import { EXPIRY_TIMERS } from './Constants.js';
+import { DataManager } from './DataManager.js';
+import { UIManager } from './UIManager.js';
+import { StorageManager } from './StorageManager.js';
+
+const EXPIRY_CHECK_INTERVAL = 1000;
+const ARCHIVE_PURGE_INTERVAL = 60000;
+
+export class ExpiryManager {
+    static _timer = null;
+    static _ticking = false;
+    static _lastPurge = 0;
+
+    /**
+     * Start the expiry clock
+     */
+    static initialize() {
+        this._timer = setInterval(() => this._tick(), EXPIRY_CHECK_INTERVAL);
+    }
+
+    /**
+     * Remove expired messages and refresh countdowns
+     */
+    static async _tick() {
+        if (this._ticking) return;
+        this._ticking = true;
+
+        try {
+            const now = Date.now();
+            const changed = DataManager.expireMessages(now);
+            if (changed.length) {
+                if (game.user.isGM) {
+                    if (changed.some(c => !c.isGroup)) await DataManager.savePrivateChats();
+                    if (changed.some(c => c.isGroup)) await DataManager.saveGroupChats();
+                    UIManager.updateGMMonitor();
+                }
+                for (const { conversationId, isGroup } of changed) UIManager.updateConversation(conversationId, isGroup);
+                UIManager.updatePlayerHub();
+            }
+            // Archived pages are only read on demand, which skips expired messages,
+            // so sweeping them once a minute is enough
+            if (game.user.isGM && now - this._lastPurge >= ARCHIVE_PURGE_INTERVAL) {
+                this._lastPurge = now;
+                await StorageManager.purgeExpired(now);
+            }
+            this._updateCountdowns(now);
+        } finally {
+            this._ticking = false;
+        }
+    }
+
+    /**
+     * Update the remaining time shown on countdown badges
+     * @param {number} now - Current time
+     */
+    static _updateCountdowns(now) {
+        for (const badge of document.querySelectorAll('.cyphur-expiry-countdown[data-expires-at]')) {
+            const remaining = badge.querySelector('.cyphur-expiry-remaining');
+            if (remaining) remaining.textContent = this.formatRemaining(Number(badge.dataset.expiresAt) - now);
+        }
+    }
+
+    /**
+     * Time left before a message expires
+     * @param {number} ms - Milliseconds remaining
+     * @returns {string} e.g. "0:42", "4:05", "3h 12m", "1d 2h"
+     */
+    static formatRemaining(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+        const hours = Math.floor(seconds / 3600);
+        if (hours < 24) {
+            return game.i18n.format('CYPHUR.Expiry.HoursMinutes', { hours, minutes: Math.floor((seconds % 3600) / 60) });
+        }
+        return game.i18n.format('CYPHUR.Expiry.DaysHours', { days: Math.floor(hours / 24), hours: hours % 24 });
+    }
+
+    /**
+     * Name of a message timer
+     * @param {number|null} expiry - Seconds, 0 for burn after reading, null for off
+     * @returns {string}
+     */
+    static getLabel(expiry) {
+        return game.i18n.localize(`CYPHUR.Expiry.Timers.${expiry ?? 'off'}`);
+    }
+
+    /**
+     * Timer choices for a select
+     * @param {number|null} selected - Current timer
+     * @returns {Array<object>} { value, label, selected }
+     */
+    static getOptions(selected) {
+        return [null, ...EXPIRY_TIMERS].map(expiry => ({
+            value: expiry ?? 'off',
+            label: this.getLabel(expiry),
+            selected: expiry === selected
+        }));
+    }
+
+    /**
+     * Read a timer back from a select value
+     * @param {string} value - 'off' or a number of seconds
+     * @returns {number|null}
+     */
+    static parse(value) {
+        if (value === 'off' || value === '' || value === undefined) return null;
+        const expiry = Number(value);
+        return DataManager.isValidExpiry(expiry) ? expiry : null;
+    }
+}
@@ -8,7 +8,12 @@ import { DataManager } from './DataManager.js';
 import { UIManager } from './UIManager.js';
 import { RNKCyphur } from './RNKCyphur.js';
 import { QuantumPortal } from './QuantumPortal.js';
-import { MODULE_ID } from './Constants.js';
+import { StorageManager } from './StorageManager.js';
+import { CryptoManager } from './CryptoManager.js';
+import { Utils } from './Utils.js';
+import { LanguageManager } from './LanguageManager.js';
+import { AttachmentManager } from './AttachmentManager.js';
+import { MODULE_ID, SCHEDULE_TRIGGERS, SIGNAL_LINK_STATES } from './Constants.js';
 
 // Version-compatible Application class
 let AppClass;
@@ -63,26 +68,136 @@ export class GMModWindow extends AppClass {
                 id: key,
                 name: users,
                 type: 'private',
-                messageCount: chat.history?.length || 0
+                messageCount: chat.history?.length || 0,
+                intercepted: DataManager.isIntercepted(key)
             };
         });
 
-        const groupChats = Array.from(DataManager.groupChats.values()).map(group => ({
+        const groupChats = Array.from(DataManager.groupChats.values()).filter(g => !DataManager.isActorConversation(g)).map(group => ({
             id: group.id,
             name: group.name,
             type: 'group',
             messageCount: group.history?.length || 0,
-            memberCount: group.members?.length || 0
+            memberCount: group.members?.length || 0,
+            intercepted: DataManager.isIntercepted(group.id)
         }));
 
+        // NPC inbox: conversations addressed to actors
+        const npcInbox = DataManager.getActorConversations().map(group => {
+            const actor = DataManager.getConversationActor(group);
+            const lastMsg = group.history?.at(-1);
+            const unreadCount = DataManager.getUnreadCount(group.id);
+            return {
+                id: group.id,
+                actorName: actor?.name ?? group.name,
+                actorImg: actor?.img,
+                player: game.users.get(group.createdBy)?.name || 'Unknown',
+                answeredBy: group.members.filter(id => id !== group.createdBy)
+                    .map(id => game.users.get(id)?.name || 'Unknown').join(', '),
+                unreadCount,
+                preview: lastMsg ? `${lastMsg.senderName}: ${(lastMsg.messageContent || '').replace(/<[^>]*>/g, '').substring(0, 80)}` : '',
+                time: lastMsg ? new Date(lastMsg.timestamp).toLocaleString() : ''
+            };
+        });
+
+        // Messages from intercepted conversations, waiting for review
+        const heldRecords = Object.values(StorageManager.getHeld())
+            .sort((a, b) => (a.heldAt ?? 0) - (b.heldAt ?? 0));
+        const heldMessages = await Promise.all(heldRecords.map(async record => {
+            const message = await this._openRecord(record);
+            const group = record.isGroup ? DataManager.groupChats.get(record.conversationId) : null;
+            return {
+                id: record.id,
+                sender: message.senderName || game.users.get(message.senderId)?.name || 'Unknown',
+                conversation: group?.name
+                    ?? record.conversationId.split('-').map(id => game.users.get(id)?.name || 'Unknown').join(' ↔ '),
+                when: Utils.formatFullTimestamp(record.heldAt),
+                language: message.language,
+                preview: (message.messageContent || '').substring(0, 120) || AttachmentManager.describe(message),
+                hasImage: Boolean(message.imageUrl)
+            };
+        }));
+
+        // Messages waiting for their delivery time
+        const records = Object.values(StorageManager.getScheduled())
+            .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+        const scheduledMessages = await Promise.all(records.map(async record => {
+            const message = await this._openRecord(record);
+            const group = record.isGroup ? DataManager.groupChats.get(record.conversationId) : null;
+            return {
+                id: record.id,
+                sender: message.senderName || game.users.get(message.senderId)?.name || 'Unknown',
+                conversation: group?.name
+                    ?? record.conversationId.split('-').map(id => game.users.get(id)?.name || 'Unknown').join(' ↔ '),
+                when: RNKCyphur.getScheduleLabel(record.trigger),
+                isWorldTime: record.trigger?.type === SCHEDULE_TRIGGERS.WORLD,
+                preview: (message.messageContent || '').substring(0, 120) || AttachmentManager.describe(message),
+                hasImage: Boolean(message.imageUrl)
+            };
+        }));
+
+        // Signal lag links: every private chat, and any link the GM has configured
+        const rate = game.settings.get(MODULE_ID, 'signalLagRate');
+        const linkKeys = new Set([...DataManager.privateChats.keys(), ...Object.keys(StorageManager.getSignalLinks())]);
+        const signalLinks = [...linkKeys].map(key => {
+            const link = DataManager.getSignalLink(key);
+            const distance = Utils.getCharacterDistance(...key.split('-'));
+            return {
+                id: key,
+                name: key.split('-').map(id => game.users.get(id)?.name || 'Unknown').join(' ↔ '),
+                latency: link.latency ?? '',
+                distanceLatency: distance === null
+                    ? game.i18n.localize('CYPHUR.SignalLag.NoDistance')
+                    : game.i18n.format('CYPHUR.SignalLag.FromDistance', { seconds: Math.round(distance * rate) }),
+                states: Object.values(SIGNAL_LINK_STATES).map(value => ({
+                    value,
+                    label: game.i18n.localize(`CYPHUR.SignalLag.State.${value}`),
+                    selected: value === link.state
+                }))
+            };
+        });
+
+        // Languages each player character knows
+        const languages = LanguageManager.getLanguages();
+        const languageTable = game.users.filter(u => !u.isGM && u.character).map(user => {
+            const sheet = LanguageManager.getSheetLanguages(user.character);
+            return {
+                actorId: user.character.id,
+                name: `${user.character.name} (${user.name})`,
+                taught: LanguageManager.getTaughtLanguages(user.character).join(', '),
+                fromSheet: sheet.length ? game.i18n.format('CYPHUR.Languages.FromSheet', { names: sheet.join(', ') }) : ''
+            };
+        });
+
         return {
             privateChats,
             groupChats,
+            npcInbox,
+            languages: languages.join(', '),
+            languageTable,
+            heldMessages,
+            scheduledMessages,
+            signalLinks,
+            signalLag: DataManager.isSignalLagEnabled(),
             totalPrivate: privateChats.length,
-            totalGroups: groupChats.length
+            totalGroups: groupChats.length,
+            npcUnread: npcInbox.reduce((sum, c) => sum + c.unreadCount, 0),
+            totalScheduled: scheduledMessages.length
         };
     }
 
+    /**
+     * Decrypted copy of a scheduled or held message
+     * @param {object} record - Scheduled or held message record
+     * @returns {Promise<object>}
+     */
+    async _openRecord(record) {
+        const message = { ...record.message };
+        const keyring = record.isGroup ? DataManager.groupChats.get(record.conversationId)?.keyring : null;
+        await CryptoManager.open(message, keyring);
+        return message;
+    }
+
     _onRender(context, options) {
         super._onRender?.(context, options);
         this._setupEventListeners(this.element);
@@ -117,6 +232,52 @@ export class GMModWindow extends AppClass {
             btn.addEventListener('click', (e) => this._onViewConversation(e));
         });
 
+        // Interception
+        element.querySelectorAll('[data-action="toggleIntercept"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const convId = e.currentTarget.closest('[data-conversation-id]')?.dataset.conversationId;
+                if (convId) DataManager.setIntercepted(convId, !DataManager.isIntercepted(convId));
+            });
+        });
+
+        // Review queue buttons
+        element.querySelectorAll('[data-action="approveHeld"]').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onApproveHeld(e));
+        });
+        element.querySelectorAll('[data-action="editHeld"]').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onEditHeld(e));
+        });
+        element.querySelectorAll('[data-action="delayHeld"]').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onDelayHeld(e));
+        });
+        element.querySelectorAll('[data-action="dropHeld"]').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onDropHeld(e));
+        });
+
+        // Scheduled message buttons
+        element.querySelectorAll('[data-action="editScheduled"]').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onEditScheduled(e));
+        });
+        element.querySelectorAll('[data-action="cancelScheduled"]').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onCancelScheduled(e));
+        });
+
+        // Language table
+        element.querySelectorAll('[data-action="setLanguages"]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const actorId = e.currentTarget.closest('[data-actor-id]')?.dataset.actorId;
+                if (actorId) LanguageManager.setTaughtLanguages(actorId, e.currentTarget.value.split(','));
+            });
+        });
+
+        // Signal lag link controls
+        element.querySelectorAll('[data-action="linkState"]').forEach(select => {
+            select.addEventListener('change', (e) => this._onSetLinkState(e));
+        });
+        element.querySelectorAll('[data-action="linkLatency"]').forEach(input => {
+            input.addEventListener('change', (e) => this._onSetLinkLatency(e));
+        });
+
         // Clear all buttons
         element.querySelector('[data-action="clearAllPrivate"]')?.addEventListener('click', () => this._onClearAllPrivate());
         element.querySelector('[data-action="clearAllGroups"]')?.addEventListener('click', () => this._onClearAllGroups());
@@ -200,6 +361,156 @@ export class GMModWindow extends AppClass {
         }
     }
 
+    async _onApproveHeld(event) {
+        const messageId = event.currentTarget.closest('[data-held-id]')?.dataset.heldId;
+        if (!messageId) return;
+
+        if (await RNKCyphur.approveHeldMessage(messageId)) {
+            ui.notifications.info(game.i18n.localize('CYPHUR.Intercept.Approved'));
+        }
+    }
+
+    async _onEditHeld(event) {
+        const messageId = event.currentTarget.closest('[data-held-id]')?.dataset.heldId;
+        const record = StorageManager.getHeld()[messageId];
+        if (!record) return;
+
+        const message = await this._openRecord(record);
+        if (message.undecryptable) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Crypto.Undecryptable'));
+            return;
+        }
+
+        const content = await Dialog.prompt({
+            title: game.i18n.localize('CYPHUR.Intercept.EditTitle'),
+            content: `
+                <form>
+                    <div class="form-group stacked">
+                        <textarea name="content" rows="6">${Utils.sanitizeHTML(message.messageContent ?? '')}</textarea>
+                    </div>
+                    <p class="notes">${game.i18n.localize('CYPHUR.Intercept.EditHint')}</p>
+                </form>`,
+            label: game.i18n.localize('CYPHUR.Intercept.Deliver'),
+            callback: (html) => html.find('[name="content"]').val().trim(),
+            rejectClose: false
+        });
+        if (content === null || content === undefined) return;
+        if (!content && !message.imageUrl && !message.attachments?.length) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Intercept.Empty'));
+            return;
+        }
+
+        const changed = content !== message.messageContent;
+        if (await RNKCyphur.approveHeldMessage(messageId, changed ? content : undefined)) {
+            ui.notifications.info(game.i18n.localize(changed ? 'CYPHUR.Intercept.Altered' : 'CYPHUR.Intercept.Approved'));
+        }
+    }
+
+    async _onDelayHeld(event) {
+        const messageId = event.currentTarget.closest('[data-held-id]')?.dataset.heldId;
+        const record = StorageManager.getHeld()[messageId];
+        if (!record) return;
+
+        const message = await this._openRecord(record);
+        if (message.undecryptable) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Crypto.Undecryptable'));
+            return;
+        }
+
+        const result = await UIManager.promptSchedule({ content: message.messageContent ?? '' });
+        if (!result) return;
+
+        const content = result.content.trim();
+        if (!content && !message.imageUrl && !message.attachments?.length) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Intercept.Empty'));
+            return;
+        }
+
+        const changes = { trigger: result.trigger };
+        if (content !== message.messageContent) changes.messageContent = content;
+        if (await RNKCyphur.delayHeldMessage(messageId, changes)) {
+            ui.notifications.info(game.i18n.format('CYPHUR.Intercept.Delayed', { time: RNKCyphur.getScheduleLabel(result.trigger) }));
+        }
+    }
+
+    async _onDropHeld(event) {
+        const messageId = event.currentTarget.closest('[data-held-id]')?.dataset.heldId;
+        if (!messageId) return;
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('CYPHUR.Intercept.DropTitle'),
+            content: game.i18n.localize('CYPHUR.Intercept.DropConfirm')
+        });
+
+        if (confirmed) {
+            await RNKCyphur.dropHeldMessage(messageId);
+            ui.notifications.info(game.i18n.localize('CYPHUR.Intercept.Dropped'));
+        }
+    }
+
+    async _onEditScheduled(event) {
+        const messageId = event.currentTarget.closest('[data-scheduled-id]')?.dataset.scheduledId;
+        const record = StorageManager.getScheduled()[messageId];
+        if (!record) return;
+
+        const message = await this._openRecord(record);
+        if (message.undecryptable) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Crypto.Undecryptable'));
+            return;
+        }
+
+        const result = await UIManager.promptSchedule({ trigger: record.trigger, content: message.messageContent ?? '' });
+        if (!result) return;
+
+        const content = result.content.trim();
+        if (!content && !message.imageUrl && !message.attachments?.length) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Schedule.Empty'));
+            return;
+        }
+
+        const changes = { trigger: result.trigger };
+        if (content !== message.messageContent) changes.messageContent = content;
+        if (await RNKCyphur.updateScheduledMessage(messageId, changes)) {
+            ui.notifications.info(game.i18n.localize('CYPHUR.Schedule.Updated'));
+        }
+    }
+
+    async _onCancelScheduled(event) {
+        const messageId = event.currentTarget.closest('[data-scheduled-id]')?.dataset.scheduledId;
+        if (!messageId) return;
+
+        const confirmed = await Dialog.confirm({
+            title: game.i18n.localize('CYPHUR.Schedule.CancelTitle'),
+            content: game.i18n.localize('CYPHUR.Schedule.CancelConfirm')
+        });
+
+        if (confirmed) {
+            await RNKCyphur.cancelScheduledMessage(messageId);
+            ui.notifications.info(game.i18n.localize('CYPHUR.Schedule.Cancelled'));
+        }
+    }
+
+    async _onSetLinkState(event) {
+        const chatKey = event.currentTarget.closest('[data-link-id]')?.dataset.linkId;
+        if (!chatKey) return;
+        await DataManager.setSignalLink(chatKey, { state: event.currentTarget.value });
+        await RNKCyphur.deliverTransmissions();
+        UIManager.updateGMModWindow();
+    }
+
+    async _onSetLinkLatency(event) {
+        const chatKey = event.currentTarget.closest('[data-link-id]')?.dataset.linkId;
+        if (!chatKey) return;
+
+        // Blank goes back to the distance between the characters
+        const value = event.currentTarget.value.trim();
+        const latency = value === '' ? null : Number(value);
+        if (latency !== null && !(latency >= 0)) return;
+        await DataManager.setSignalLink(chatKey, { latency });
+        await RNKCyphur.deliverTransmissions();
+        UIManager.updateGMModWindow();
+    }
+
     async _onClearAllPrivate() {
         const confirmed = await Dialog.confirm({
             title: game.i18n.localize('CYPHUR.ClearAllPrivateTitle'),
@@ -207,8 +518,8 @@ export class GMModWindow extends AppClass {
         });
 
         if (confirmed) {
-            for (const chat of DataManager.privateChats.values()) {
-                chat.history = [];
+            for (const chatKey of DataManager.privateChats.keys()) {
+                DataManager.clearConversation(chatKey);
             }
             await DataManager.savePrivateChats();
             
@@ -224,8 +535,8 @@ export class GMModWindow extends AppClass {
         });
 
         if (confirmed) {
-            for (const group of DataManager.groupChats.values()) {
-                group.history = [];
+            for (const groupId of DataManager.groupChats.keys()) {
+                DataManager.clearConversation(groupId, true);
             }
             await DataManager.saveGroupChats();
             
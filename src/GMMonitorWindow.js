@@ -6,8 +6,12 @@
  */
 
 import { DataManager } from './DataManager.js';
+import { StorageManager } from './StorageManager.js';
+import { RNKCyphur } from './RNKCyphur.js';
 import { UIManager } from './UIManager.js';
 import { Utils } from './Utils.js';
+import { LanguageManager } from './LanguageManager.js';
+import { AttachmentManager } from './AttachmentManager.js';
 import { MODULE_ID } from './Constants.js';
 import { QuantumPortal } from './QuantumPortal.js';
 
@@ -146,6 +150,8 @@ export class GMMonitorWindow extends AppClass {
             messages = messages.filter(m => this._flaggedMessages.has(m.id));
         } else if (this._filterType === 'images') {
             messages = messages.filter(m => m.messageData?.imageUrl);
+        } else if (this._filterType === 'changed') {
+            messages = messages.filter(m => this._getRevisionState(m));
         }
 
         // Apply search
@@ -154,8 +160,9 @@ export class GMMonitorWindow extends AppClass {
             messages = messages.filter(m => {
                 const content = (m.messageData?.messageContent || '').toLowerCase();
                 const sender = (m.messageData?.senderName || '').toLowerCase();
+                const user = (game.users.get(m.senderId)?.name || '').toLowerCase();
                 const group = (m.groupName || '').toLowerCase();
-                return content.includes(query) || sender.includes(query) || group.includes(query);
+                return content.includes(query) || sender.includes(query) || user.includes(query) || group.includes(query);
             });
         }
 
@@ -188,6 +195,9 @@ export class GMMonitorWindow extends AppClass {
                     .map(id => game.users.get(id)?.name)
                     .filter(n => n);
             }
+
+            const impersonation = this._getImpersonation(m);
+            const revisionState = this._getRevisionState(m);
             
             return {
                 id: m.id,
@@ -207,7 +217,17 @@ export class GMMonitorWindow extends AppClass {
                 contentPreview: (m.messageData?.messageContent || '').replace(/<[^>]*>/g, '').substring(0, 150),
                 hasImage: !!m.messageData?.imageUrl,
                 imageUrl: m.messageData?.imageUrl,
+                attachments: AttachmentManager.getCards(m.messageData ?? {}),
                 isFlagged: this._flaggedMessages.has(m.id),
+                messageId: m.messageData?.id,
+                impersonatedBy: impersonation?.gmName ?? null,
+                impersonationRevealed: Boolean(impersonation?.revealed),
+                playedBy: this._getPlayedBy(m),
+                cipher: this._getCipher(m),
+                conversationId: this._getConversationId(m),
+                wasEdited: revisionState === 'edited',
+                wasDeleted: revisionState === 'deleted',
+                wasExpired: Boolean(m.expired),
                 isNew: (m.interceptedAt || m.messageData?.timestamp) > (DataManager.getGMSetting('lastMonitorView') || 0)
             };
         });
@@ -215,8 +235,22 @@ export class GMMonitorWindow extends AppClass {
         const stats = this._getStats();
         const involvedUsers = this._getInvolvedUsers();
 
+        // Socket events refused by permission checks, newest first
+        const rejectedEvents = DataManager.rejectedEvents.slice().reverse().map(e => ({
+            id: e.id,
+            senderName: game.users.get(e.senderId)?.name ?? e.senderId ?? '?',
+            reportedBy: game.users.get(e.reportedBy)?.name ?? '?',
+            type: e.type,
+            target: e.target,
+            reason: game.i18n.localize(`CYPHUR.Security.Reason.${e.reason}`),
+            relativeTime: Utils.formatRelativeTime(e.rejectedAt),
+            timestamp: Utils.formatFullTimestamp(e.rejectedAt)
+        }));
+
         return {
             messages,
+            rejectedEvents,
+            showRejected: this._filterType === 'rejected',
             filterType: this._filterType,
             sortOrder: this._sortOrder,
             searchQuery: this._searchQuery,
@@ -379,27 +413,49 @@ export class GMMonitorWindow extends AppClass {
             });
         });
 
-        // Send message as user (GM impersonation for moderation)
+        // Send message as user (GM impersonation for possession and mind-control scenes)
         element.querySelectorAll('.cyphur-impersonate').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this._onImpersonate(btn.dataset.userId);
+            });
+        });
+
+        element.querySelector('[data-action="impersonate"]')?.addEventListener('click', async () => {
+            const options = game.users
+                .filter(u => !u.isGM)
+                .map(u => `<option value="${u.id}">${Utils.sanitizeHTML(u.name)}</option>`);
+            const userId = await Dialog.prompt({
+                title: game.i18n.localize('CYPHUR.GMMonitor.ImpersonateTitle'),
+                content: `<div class="form-group">
+                              <label>${game.i18n.localize('CYPHUR.Impersonation.User')}</label>
+                              <select class="cyphur-impersonate-user">${options.join('')}</select>
+                          </div>`,
+                label: game.i18n.localize('CYPHUR.Impersonation.Next'),
+                callback: (html) => html.find('.cyphur-impersonate-user').val(),
+                rejectClose: false
+            });
+            if (userId) this._onImpersonate(userId);
+        });
+
+        // Reveal an impersonated message to its participants
+        element.querySelectorAll('.cyphur-reveal-impersonation').forEach(btn => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
-                const userId = btn.dataset.userId;
-                const user = game.users.get(userId);
-                
-                if (!user) return;
-                
-                const content = await Dialog.prompt({
-                    title: game.i18n.localize('CYPHUR.ImpersonateTitle'),
-                    content: `<p>${game.i18n.format('CYPHUR.ImpersonatePrompt', { name: user.name })}</p>
-                              <textarea class="cyphur-impersonate-input" style="width:100%;height:100px;"></textarea>`,
-                    label: game.i18n.localize('CYPHUR.Send'),
-                    callback: (html) => html.find('.cyphur-impersonate-input').val()
+                const confirmed = await Dialog.confirm({
+                    title: game.i18n.localize('CYPHUR.Impersonation.RevealTitle'),
+                    content: `<p>${game.i18n.localize('CYPHUR.Impersonation.RevealConfirm')}</p>`
                 });
-                
-                if (content) {
-                    // This would need special GM privilege handling
-                    ui.notifications.info(game.i18n.localize('CYPHUR.ImpersonationNotImplemented'));
-                }
+                if (confirmed) await RNKCyphur.revealImpersonation(btn.dataset.messageId);
+            });
+        });
+
+        // Edit history and originals of deleted messages
+        element.querySelectorAll('.cyphur-view-revisions').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._onViewRevisions(btn.dataset.conversationId, btn.dataset.messageId, btn.dataset.type === 'group');
             });
         });
 
@@ -427,6 +483,167 @@ export class GMMonitorWindow extends AppClass {
         this._registerUpdateListener();
     }
 
+    /**
+     * Conversation an intercepted message belongs to
+     * @param {object} intercepted - Intercepted message entry
+     * @returns {string}
+     */
+    _getConversationId(intercepted) {
+        return intercepted.groupId ?? DataManager.getPrivateChatKey(intercepted.senderId, intercepted.recipientId);
+    }
+
+    /**
+     * Whether an intercepted message was since edited or deleted
+     * @param {object} intercepted - Intercepted message entry
+     * @returns {string|null} 'edited', 'deleted' or null
+     */
+    _getRevisionState(intercepted) {
+        const messageId = intercepted.messageData?.id;
+        if (!messageId) return null;
+        const message = DataManager.getMessage(this._getConversationId(intercepted), messageId, !!intercepted.groupId);
+        if (message?.deleted || StorageManager.getDeletion(messageId)) return 'deleted';
+        return message?.edited ? 'edited' : null;
+    }
+
+    /**
+     * Show every version of a message, including the original of a deleted one
+     * @param {string} conversationId - Conversation ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     */
+    async _onViewRevisions(conversationId, messageId, isGroup) {
+        const versions = await DataManager.getRevisions(conversationId, messageId, isGroup);
+        if (!versions.length) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Revisions.Unavailable'));
+            return;
+        }
+
+        const entries = versions.map((version, index) => {
+            const label = index === 0
+                ? game.i18n.localize('CYPHUR.Revisions.Original')
+                : game.i18n.format('CYPHUR.Revisions.EditedBy', { name: game.users.get(version.editedBy)?.name ?? '?' });
+            const content = version.undecryptable
+                ? Utils.sanitizeHTML(game.i18n.localize('CYPHUR.Crypto.Undecryptable'))
+                : version.content;
+            return `<div class="cyphur-revision">
+                <div class="cyphur-revision-meta">${Utils.sanitizeHTML(label)} · ${Utils.formatFullTimestamp(version.editedAt)}</div>
+                <div class="cyphur-revision-content">${content}</div>
+            </div>`;
+        });
+
+        const deletion = StorageManager.getDeletion(messageId);
+        if (deletion) {
+            const name = game.users.get(deletion.deletedBy)?.name ?? '?';
+            entries.push(`<div class="cyphur-revision deleted">
+                <div class="cyphur-revision-meta">${Utils.sanitizeHTML(game.i18n.format('CYPHUR.Revisions.DeletedBy', { name }))} · ${Utils.formatFullTimestamp(deletion.deletedAt)}</div>
+            </div>`);
+        }
+
+        new Dialog({
+            title: game.i18n.localize('CYPHUR.Revisions.Title'),
+            content: `<div class="rnk-cyphur cyphur-revisions-dialog">${entries.join('')}</div>`,
+            buttons: { close: { label: game.i18n.localize('CYPHUR.Buttons.Close') } },
+            default: 'close'
+        }).render(true);
+    }
+
+    /**
+     * GM-only audit record if the intercepted message was sent by a GM as another user
+     * @param {object} intercepted - Intercepted message entry
+     * @returns {object|null} { gmName, revealed }
+     */
+    _getImpersonation(intercepted) {
+        const record = StorageManager.getImpersonation(intercepted.messageData?.id);
+        if (!record) return null;
+        return { gmName: game.users.get(record.gmId)?.name || 'GM', revealed: Boolean(record.revealed) };
+    }
+
+    /**
+     * Both forms of a message written in a language, and who cannot read it
+     * @param {object} intercepted - Intercepted message entry
+     * @returns {object|null} { language, scrambled, blockedNames }
+     */
+    _getCipher(intercepted) {
+        const language = intercepted.messageData?.language;
+        if (!language) return null;
+
+        // Grants made since the message was intercepted live on the stored copy
+        const message = DataManager.getMessage(this._getConversationId(intercepted), intercepted.messageData.id, !!intercepted.groupId)
+            ?? intercepted.messageData;
+        const participants = intercepted.groupId
+            ? DataManager.groupChats.get(intercepted.groupId)?.members ?? intercepted.participants ?? []
+            : [intercepted.senderId, intercepted.recipientId];
+        const blocked = participants
+            .map(id => game.users.get(id))
+            .filter(user => user && !LanguageManager.canRead(message, user));
+
+        return {
+            language,
+            scrambled: LanguageManager.scramble(intercepted.messageData.messageContent || '', `${message.id}:${language}`),
+            blockedNames: blocked.map(user => user.name).join(', ')
+        };
+    }
+
+    /**
+     * The user behind an in-character message
+     * @param {object} intercepted - Intercepted message entry
+     * @returns {object|null} { name, unverified } - unverified when the user does not own the actor
+     */
+    _getPlayedBy(intercepted) {
+        const sender = game.users.get(intercepted.senderId);
+        const message = intercepted.messageData;
+        if (!sender || !message) return null;
+        if (!message.actorId && (!message.senderName || message.senderName === sender.name)) return null;
+
+        const actor = message.actorId ? game.actors.get(message.actorId) : null;
+        return {
+            name: sender.name,
+            unverified: Boolean(message.actorId) && !actor?.testUserPermission(sender, 'OWNER')
+        };
+    }
+
+    /**
+     * Prompt for a conversation and message, then send it as the given user
+     * @param {string} userId - User to send as
+     */
+    async _onImpersonate(userId) {
+        const user = game.users.get(userId);
+        if (!user) return;
+
+        const options = [];
+        for (const other of game.users) {
+            if (other.id === userId) continue;
+            const chatKey = DataManager.getPrivateChatKey(userId, other.id);
+            options.push(`<option value="private:${chatKey}">${Utils.sanitizeHTML(other.name)}</option>`);
+        }
+        for (const group of DataManager.groupChats.values()) {
+            if (!group.members?.includes(userId)) continue;
+            options.push(`<option value="group:${group.id}"># ${Utils.sanitizeHTML(group.name)}</option>`);
+        }
+
+        const result = await Dialog.prompt({
+            title: game.i18n.localize('CYPHUR.GMMonitor.ImpersonateTitle'),
+            content: `<p>${game.i18n.format('CYPHUR.GMMonitor.ImpersonatePrompt', { name: Utils.sanitizeHTML(user.name) })}</p>
+                      <div class="form-group">
+                          <label>${game.i18n.localize('CYPHUR.Impersonation.Conversation')}</label>
+                          <select class="cyphur-impersonate-target">${options.join('')}</select>
+                      </div>
+                      <textarea class="cyphur-impersonate-input" style="width:100%;height:100px;"></textarea>`,
+            label: game.i18n.localize('CYPHUR.Send'),
+            callback: (html) => ({
+                target: html.find('.cyphur-impersonate-target').val(),
+                content: html.find('.cyphur-impersonate-input').val()?.trim()
+            }),
+            rejectClose: false
+        });
+
+        if (!result?.target || !result.content) return;
+
+        const [type, conversationId] = result.target.split(':');
+        const sent = await RNKCyphur.sendAsUser(userId, conversationId, result.content, type === 'group');
+        if (sent) ui.notifications.info(game.i18n.format('CYPHUR.Impersonation.Sent', { name: user.name }));
+    }
+
     /**
      * Register listener for real-time message updates
      */
@@ -485,7 +702,10 @@ export class GMMonitorWindow extends AppClass {
             recipient: m.groupName || (m.recipientId ? game.users.get(m.recipientId)?.name : 'Unknown'),
             content: (m.messageData?.messageContent || '').replace(/<[^>]*>/g, ''),
             hasImage: !!m.messageData?.imageUrl,
-            flagged: this._flaggedMessages.has(m.id)
+            flagged: this._flaggedMessages.has(m.id),
+            impersonatedBy: this._getImpersonation(m)?.gmName ?? null,
+            playedBy: this._getPlayedBy(m)?.name ?? null,
+            language: m.messageData?.language ?? null
         }));
 
         const filename = `cyphur-monitor-export-${new Date().toISOString().split('T')[0]}.json`;
@@ -527,7 +747,8 @@ export class GMMonitorWindow extends AppClass {
 
         for (const m of sorted) {
             const timestamp = Utils.formatFullTimestamp(m.messageData?.timestamp || m.interceptedAt);
-            const sender = m.messageData?.senderName || 'Unknown';
+            const playedBy = this._getPlayedBy(m);
+            const sender = `${m.messageData?.senderName || 'Unknown'}${playedBy ? ` (${playedBy.name})` : ''}`;
             const type = m.groupId ? `[GROUP: ${m.groupName || 'Unknown'}]` : '[PRIVATE]';
             const recipient = m.recipientId ? game.users.get(m.recipientId)?.name : '';
             const flagged = this._flaggedMessages.has(m.id) ? '⚑ ' : '';
@@ -539,6 +760,9 @@ export class GMMonitorWindow extends AppClass {
             if (m.messageData?.imageUrl) {
                 content += `<p><img src="${m.messageData.imageUrl}" style="max-width:200px;"></p>`;
             }
+            for (const attachment of AttachmentManager.getCards(m.messageData ?? {})) {
+                content += `<p>📎 <a href="${attachment.path}">${Utils.sanitizeHTML(attachment.name)}</a></p>`;
+            }
             content += '<hr>';
         }
 
@@ -7,9 +7,11 @@
 import { DataManager } from './DataManager.js';
 import { UIManager } from './UIManager.js';
 import { SocketHandler } from './SocketHandler.js';
+import { CryptoManager } from './CryptoManager.js';
 import { RNKCyphur } from './RNKCyphur.js';
-import { MODULE_ID } from './Constants.js';
+import { MODULE_ID, CHANNEL_VISIBILITY } from './Constants.js';
 import { QuantumPortal } from './QuantumPortal.js';
+import { Utils } from './Utils.js';
 
 // Version-compatible Application class
 let AppClass;
@@ -66,7 +68,11 @@ export class GroupManagerWindow extends AppClass {
                 const user = game.users.get(id);
                 return user ? { id: user.id, name: user.name, isOnline: user.active } : null;
             }).filter(Boolean),
-            createdAt: group.createdAt ? new Date(group.createdAt).toLocaleDateString() : 'Unknown'
+            createdAt: group.createdAt ? new Date(group.createdAt).toLocaleDateString() : 'Unknown',
+            isChannel: DataManager.isChannel(group),
+            visibilityLabel: DataManager.isChannel(group)
+                ? game.i18n.localize(`CYPHUR.Channels.Visibility.${group.visibility || CHANNEL_VISIBILITY.EVERYONE}`)
+                : null
         }));
 
         const users = game.users.map(u => ({
@@ -79,10 +85,24 @@ export class GroupManagerWindow extends AppClass {
         return {
             groups,
             users,
+            visibilityOptions: this._getVisibilityOptions(),
             isGM: game.user.isGM
         };
     }
 
+    /**
+     * Channel visibility choices for selects
+     * @param {string} selected - Currently selected visibility
+     * @returns {Array<object>}
+     */
+    _getVisibilityOptions(selected = CHANNEL_VISIBILITY.EVERYONE) {
+        return Object.values(CHANNEL_VISIBILITY).map(value => ({
+            value,
+            label: game.i18n.localize(`CYPHUR.Channels.Visibility.${value}`),
+            selected: value === selected
+        }));
+    }
+
     _onRender(context, options) {
         if (super._onRender) super._onRender(context, options);
         this._setupEventListeners(this.element);
@@ -118,10 +138,28 @@ export class GroupManagerWindow extends AppClass {
         element.querySelector('[data-action="deleteSelected"]')?.addEventListener('click', () => this._onDeleteSelected());
         element.querySelector('[data-action="createGroup"]')?.addEventListener('click', () => this._onCreateGroup());
 
-        // Edit buttons
-        element.querySelectorAll('.cyphur-edit-group').forEach(btn => {
+        // Edit / open buttons
+        element.querySelectorAll('[data-action="editGroup"]').forEach(btn => {
             btn.addEventListener('click', (e) => this._onEditGroup(e));
         });
+        element.querySelectorAll('[data-action="openGroup"]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const groupId = e.currentTarget.closest('.cyphur-group-item')?.dataset.groupId;
+                if (groupId) UIManager.openGroupChat(groupId);
+            });
+        });
+
+        // Channel-only fields
+        const kindSelect = element.querySelector('select[name="newKind"]');
+        kindSelect?.addEventListener('change', () => this._updateKindFields());
+        this._updateKindFields();
+    }
+
+    _updateKindFields() {
+        const isChannel = this.element?.querySelector('select[name="newKind"]')?.value === 'channel';
+        this.element?.querySelectorAll('.cyphur-channel-field').forEach(el => {
+            el.style.display = isChannel ? '' : 'none';
+        });
     }
 
     _updateSelectionState() {
@@ -153,9 +191,7 @@ export class GroupManagerWindow extends AppClass {
             const group = DataManager.groupChats.get(groupId);
             if (group) {
                 const filename = `cyphur-${group.name.replace(/[^a-z0-9]/gi, '-')}-${Date.now()}.txt`;
-                import('./Utils.js').then(({ Utils }) => {
-                    Utils.exportMessages(group.history || [], filename);
-                });
+                Utils.exportMessages(group.history || [], filename);
             }
         });
     }
@@ -189,18 +225,26 @@ export class GroupManagerWindow extends AppClass {
         }
 
         const selectedMembers = Array.from(
-            this.element.querySelectorAll('.cyphur-member-select input[type="checkbox"]:checked')
+            this.element.querySelectorAll('.cyphur-member-list input[type="checkbox"]:checked')
         ).map(cb => cb.value);
 
-        if (selectedMembers.length === 0) {
-            return ui.notifications.warn(game.i18n.localize('CYPHUR.SelectAtLeastOneMember'));
+        if (this.element.querySelector('select[name="newKind"]')?.value === 'channel') {
+            // Channels are open to join; selected users receive an invite
+            const channel = await RNKCyphur.createChannel(name, {
+                topic: this.element.querySelector('input[name="newTopic"]')?.value?.trim() || '',
+                visibility: this.element.querySelector('select[name="newVisibility"]')?.value
+            });
+            if (channel && selectedMembers.length) await RNKCyphur.inviteToChannel(channel.id, selectedMembers);
+        } else {
+            if (selectedMembers.length === 0) {
+                return ui.notifications.warn(game.i18n.localize('CYPHUR.SelectAtLeastOneMember'));
+            }
+            await RNKCyphur.createGroup(name, selectedMembers);
         }
-
-        await RNKCyphur.createGroup(name, selectedMembers);
         
         // Clear form
         if (nameInput) nameInput.value = '';
-        this.element.querySelectorAll('.cyphur-member-select input[type="checkbox"]').forEach(cb => cb.checked = false);
+        this.element.querySelectorAll('.cyphur-member-list input[type="checkbox"]').forEach(cb => cb.checked = false);
         
         this.render(true);
     }
@@ -216,13 +260,27 @@ export class GroupManagerWindow extends AppClass {
             return `<label><input type="checkbox" name="members" value="${u.id}" ${checked}> ${u.name}</label>`;
         }).join('<br>');
 
+        const isChannel = DataManager.isChannel(group);
+        const channelFields = isChannel ? `
+                <div class="form-group">
+                    <label>${game.i18n.localize('CYPHUR.Channels.Topic')}</label>
+                    <input type="text" name="topic" value="${Utils.sanitizeHTML(group.topic || '')}" style="width:100%">
+                </div>
+                <div class="form-group">
+                    <label>${game.i18n.localize('CYPHUR.Channels.VisibilityLabel')}</label>
+                    <select name="visibility">
+                        ${this._getVisibilityOptions(group.visibility).map(o =>
+                            `<option value="${o.value}" ${o.selected ? 'selected' : ''}>${o.label}</option>`).join('')}
+                    </select>
+                </div>` : '';
+
         const result = await Dialog.prompt({
             title: game.i18n.format('CYPHUR.EditGroup', { name: group.name }),
             content: `
                 <div class="form-group">
                     <label>${game.i18n.localize('CYPHUR.GroupName')}</label>
                     <input type="text" name="name" value="${group.name}" style="width:100%">
-                </div>
+                </div>${channelFields}
                 <div class="form-group">
                     <label>${game.i18n.localize('CYPHUR.SelectMembers')}</label>
                     <div style="max-height:150px;overflow-y:auto;padding:5px;border:1px solid #666;">
@@ -232,27 +290,37 @@ export class GroupManagerWindow extends AppClass {
             `,
             callback: (html) => ({
                 name: html.find('[name="name"]').val(),
+                topic: html.find('[name="topic"]').val(),
+                visibility: html.find('[name="visibility"]').val(),
                 members: Array.from(html.find('[name="members"]:checked')).map(el => el.value)
             }),
             rejectClose: false
         });
 
         if (result && result.name) {
-            // Update group
-            DataManager.updateGroup(groupId, {
+            const updates = {
                 name: result.name.trim(),
                 members: result.members
-            });
+            };
+            if (isChannel) {
+                updates.topic = result.topic?.trim() || '';
+                updates.visibility = result.visibility || CHANNEL_VISIBILITY.EVERYONE;
+            }
+
+            // Give new members access to the conversation key
+            if (group.keyring) {
+                updates.keyring = await CryptoManager.extendKeyring(groupId, group.keyring, result.members);
+            }
+
+            // Update group
+            DataManager.updateGroup(groupId, updates);
 
             if (game.user.isGM) {
                 await DataManager.saveGroupChats();
             }
 
             // Broadcast update
-            SocketHandler.broadcastGroupUpdate(groupId, {
-                name: result.name.trim(),
-                members: result.members
-            });
+            SocketHandler.broadcastGroupUpdate(groupId, updates);
 
             ui.notifications.info(game.i18n.localize('CYPHUR.GroupUpdated'));
             this.render(true);
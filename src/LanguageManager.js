@@ -0,0 +1,230 @@
+/**
+ * RNK Cyphur - Language Manager
+ * Messages written in a language or cipher
+ *
+ * A message's `language` is left in the clear so everyone sees what it is
+ * written in. Who can read it is decided on each client: the sender, GMs,
+ * users the GM has granted the message to (`decipheredBy`), and users whose
+ * assigned character knows the language. Characters know a language from
+ * their actor data, at the path set in the module settings, or from the
+ * GM's language table. Everyone else sees scrambled text.
+ */
+
+import { MODULE_ID } from './Constants.js';
+import { SearchIndex } from './SearchIndex.js';
+import { UIManager } from './UIManager.js';
+import { Utils } from './Utils.js';
+
+const SCRAMBLE_SETS = {
+    lower: 'abcdefghijklmnopqrstuvwxyz',
+    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    digit: '0123456789'
+};
+
+/**
+ * Compare language names and actor data keys loosely ("Deep Speech" = "deepspeech")
+ * @param {string} name - Language name or key
+ * @returns {string}
+ */
+function normalize(name) {
+    return String(name).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * 32-bit FNV-1a hash, used to seed the scrambler
+ * @param {string} text - Text to hash
+ * @returns {number}
+ */
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+export class LanguageManager {
+    /**
+     * Re-render when a character's languages change
+     */
+    static initialize() {
+        Hooks.on('updateActor', (actor) => {
+            if (!game.settings.get(MODULE_ID, 'languagePath')) return;
+            if (game.users.some(u => u.character?.id === actor.id)) this.refresh();
+        });
+        Hooks.on('updateUser', (user, changes) => {
+            if ('character' in changes) this.refresh();
+        });
+    }
+
+    /**
+     * Languages set up for this world
+     * @returns {Array<string>}
+     */
+    static getLanguages() {
+        return game.settings.get(MODULE_ID, 'languages')
+            .split(/[,\n]/)
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether a language is set up for this world
+     * @param {string} language - Language name
+     * @returns {boolean}
+     */
+    static isLanguage(language) {
+        return typeof language === 'string' && this.getLanguages().includes(language);
+    }
+
+    /**
+     * Languages a user's character knows, from its actor data and the GM's table
+     * @param {User} user - User
+     * @returns {Set<string>} Normalized language names
+     */
+    static getKnownLanguages(user) {
+        const known = new Set();
+        const actor = user?.character;
+        if (!actor) return known;
+
+        for (const name of [...this.getSheetLanguages(actor), ...this.getTaughtLanguages(actor)]) {
+            known.add(normalize(name));
+        }
+        return known;
+    }
+
+    /**
+     * Languages listed in an actor's data, at the configured path
+     * Accepts a list, a Set, a comma-separated string or an object of flags.
+     * @param {Actor} actor - Actor
+     * @returns {Array<string>}
+     */
+    static getSheetLanguages(actor) {
+        const path = game.settings.get(MODULE_ID, 'languagePath');
+        const value = path ? foundry.utils.getProperty(actor, path) : null;
+        let names = [];
+        if (typeof value === 'string') names = value.split(/[,;]/);
+        else if (value instanceof Set || Array.isArray(value)) names = [...value];
+        else if (value && typeof value === 'object') names = Object.keys(value).filter(key => value[key]);
+        return names.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim());
+    }
+
+    /**
+     * Languages the GM has given an actor in the language table
+     * @param {Actor} actor - Actor
+     * @returns {Array<string>}
+     */
+    static getTaughtLanguages(actor) {
+        return game.settings.get(MODULE_ID, 'languageTable')[actor.id] ?? [];
+    }
+
+    /**
+     * GM: Set the languages an actor knows beyond its actor data
+     * @param {string} actorId - Actor ID
+     * @param {Array<string>} names - Language names
+     */
+    static async setTaughtLanguages(actorId, names) {
+        if (!game.user.isGM) return;
+        const table = { ...game.settings.get(MODULE_ID, 'languageTable') };
+        const unique = [...new Set(names.map(name => name.trim()).filter(Boolean))];
+        if (unique.length) table[actorId] = unique;
+        else delete table[actorId];
+        await game.settings.set(MODULE_ID, 'languageTable', table);
+    }
+
+    /**
+     * Whether a user's character knows a language
+     * @param {User} user - User
+     * @param {string} language - Language name
+     * @returns {boolean}
+     */
+    static knows(user, language) {
+        return this.getKnownLanguages(user).has(normalize(language));
+    }
+
+    /**
+     * Whether a user can read a message
+     * @param {object} message - Message
+     * @param {User} user - User, the current user by default
+     * @returns {boolean}
+     */
+    static canRead(message, user = game.user) {
+        if (!message?.language || user.isGM || message.senderId === user.id) return true;
+        if (message.decipheredBy?.includes(user.id)) return true;
+        return this.knows(user, message.language);
+    }
+
+    /**
+     * Message content as the current user sees it
+     * @param {object} message - Message
+     * @returns {string} HTML, scrambled if the user cannot read it
+     */
+    static getReadableContent(message) {
+        const content = message?.messageContent || '';
+        return this.canRead(message) ? content : this.scramble(content, `${message.id}:${message.language}`);
+    }
+
+    /**
+     * Scramble the text of some HTML, keeping its markup, word lengths and punctuation
+     * The same seed always gives the same result.
+     * @param {string} html - HTML to scramble
+     * @param {string} seed - Seed, such as the message ID and language
+     * @returns {string}
+     */
+    static scramble(html, seed) {
+        if (!html) return html;
+        let state = hash(seed) || 1;
+        const next = () => {
+            state ^= state << 13;
+            state ^= state >>> 17;
+            state ^= state << 5;
+            return state >>> 0;
+        };
+
+        const doc = Utils.parseHTML(html);
+        const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            node.textContent = node.textContent.replace(/[\p{L}\p{N}]/gu, (ch) => {
+                const set = /\p{N}/u.test(ch) ? SCRAMBLE_SETS.digit
+                    : ch !== ch.toLowerCase() ? SCRAMBLE_SETS.upper : SCRAMBLE_SETS.lower;
+                return set[next() % set.length];
+            });
+        }
+        return doc.body.innerHTML;
+    }
+
+    /**
+     * Language choices for the message composer
+     * Players can write in the languages their character knows; GMs in any.
+     * @param {string|null} selected - Current language
+     * @returns {Array<object>} { value, label, selected }, empty when no languages are set up
+     */
+    static getOptions(selected) {
+        const languages = this.getLanguages().filter(name => game.user.isGM || this.knows(game.user, name));
+        if (!languages.length) return [];
+        return [
+            { value: '', label: game.i18n.localize('CYPHUR.Languages.Plain'), selected: !selected },
+            ...languages.map(name => ({ value: name, label: name, selected: name === selected }))
+        ];
+    }
+
+    /**
+     * Re-index and re-render after who can read what has changed
+     * @param {string} [conversationId] - Conversation affected, or all of them
+     * @param {boolean} [isGroup] - Is it a group chat?
+     */
+    static refresh(conversationId = null, isGroup = false) {
+        SearchIndex.invalidate(conversationId);
+        if (conversationId) {
+            UIManager.updateConversation(conversationId, isGroup);
+        } else {
+            for (const win of [...UIManager.openPrivateChatWindows.values(), ...UIManager.openGroupChatWindows.values()]) {
+                if (win.rendered) win.render(false);
+            }
+        }
+        UIManager.updatePlayerHub();
+        UIManager.updateGMMonitor();
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * RNK Cyphur - Markdown
+ * A small, safe Markdown subset for message content
+ *
+ * Supported: **bold**, *italic* / _italic_, ~~strike~~, `code`, ```code blocks```,
+ * > quotes, - / 1. lists and ||spoilers||. Input must already be HTML-escaped;
+ * every tag in the output is generated here and carries no user-supplied attributes.
+ */
+
+const INLINE_RULES = [
+    [/\*\*(?!\s)([^*\n]+?)\*\*/g, '<strong>$1</strong>'],
+    [/__(?!\s)([^_\n]+?)__/g, '<strong>$1</strong>'],
+    [/\*(?!\s)([^*\n]+?)\*/g, '<em>$1</em>'],
+    [/(^|[^\w])_(?!\s)([^_\n]+?)_(?=[^\w]|$)/g, '$1<em>$2</em>'],
+    [/~~(?!\s)([^~\n]+?)~~/g, '<del>$1</del>'],
+    [/\|\|(?!\s)([^|\n]+?)\|\|/g, '<span class="cyphur-spoiler">$1</span>']
+];
+
+const QUOTE_LINE = /^&gt; ?(.*)$/;
+const BULLET_LINE = /^[-*] (.+)$/;
+const NUMBERED_LINE = /^\d+\. (.+)$/;
+
+export class Markdown {
+    /**
+     * Replace code spans and blocks with placeholders so nothing else touches them
+     * @param {string} text - Escaped text
+     * @param {Function} protect - Stores HTML and returns its placeholder
+     * @returns {string}
+     */
+    static extractCode(text, protect) {
+        return text
+            .replace(/```(?:[\w-]*\n)?([\s\S]*?)```/g, (match, code) => {
+                return protect(`<pre class="cyphur-code-block"><code>${code.replace(/^\n|\n$/g, '')}</code></pre>`);
+            })
+            .replace(/`([^`\n]+)`/g, (match, code) => protect(`<code class="cyphur-code">${code}</code>`));
+    }
+
+    /**
+     * Render block and inline formatting, turning remaining newlines into <br>
+     * @param {string} text - Escaped text, code already extracted
+     * @returns {string} HTML
+     */
+    static render(text) {
+        const items = [];
+        const lines = text.split('\n');
+
+        for (let i = 0; i < lines.length; i++) {
+            const block = this._collectBlock(lines, i);
+            if (block) {
+                items.push({ block: block.html });
+                i = block.end;
+            } else {
+                items.push({ text: this._renderInline(lines[i]) });
+            }
+        }
+
+        // Blocks bring their own line breaks
+        return items.reduce((html, item, index) => {
+            const previous = items[index - 1];
+            const separator = previous && 'text' in previous && 'text' in item ? '<br>' : '';
+            return html + separator + (item.block ?? item.text);
+        }, '');
+    }
+
+    /**
+     * Collect a quote or list starting at a line
+     * @param {Array<string>} lines - All lines
+     * @param {number} start - Index of the first line
+     * @returns {object|null} { html, end } where end is the index of the last line used
+     */
+    static _collectBlock(lines, start) {
+        for (const [pattern, open, close, item] of [
+            [QUOTE_LINE, '<blockquote class="cyphur-quote">', '</blockquote>', null],
+            [BULLET_LINE, '<ul class="cyphur-list">', '</ul>', 'li'],
+            [NUMBERED_LINE, '<ol class="cyphur-list">', '</ol>', 'li']
+        ]) {
+            if (!pattern.test(lines[start])) continue;
+
+            const entries = [];
+            let end = start;
+            while (end < lines.length && pattern.test(lines[end])) {
+                entries.push(this._renderInline(lines[end].match(pattern)[1]));
+                end++;
+            }
+
+            const body = item ? entries.map(e => `<li>${e}</li>`).join('') : entries.join('<br>');
+            return { html: `${open}${body}${close}`, end: end - 1 };
+        }
+        return null;
+    }
+
+    static _renderInline(line) {
+        return INLINE_RULES.reduce((html, [pattern, replacement]) => html.replace(pattern, replacement), line);
+    }
+
+    /**
+     * Convert rendered content back to Markdown source
+     * @param {Node} node - Parsed content (from an inert document)
+     * @returns {string}
+     */
+    static toSource(node) {
+        let source = '';
+        for (const child of node.childNodes) {
+            source += this._nodeToSource(child);
+        }
+        return source;
+    }
+
+    static _nodeToSource(node) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const inner = () => this.toSource(node);
+        const lines = (prefix) => [...node.children].map((li, i) => `${prefix(i)}${this.toSource(li)}`).join('\n');
+
+        switch (node.tagName) {
+            case 'BR': return '\n';
+            case 'STRONG': return `**${inner()}**`;
+            case 'EM': return `*${inner()}*`;
+            case 'DEL': return `~~${inner()}~~`;
+            case 'CODE': return node.parentElement?.tagName === 'PRE' ? node.textContent : `\`${node.textContent}\``;
+            case 'PRE': return `\n\`\`\`\n${node.textContent}\n\`\`\`\n`;
+            case 'BLOCKQUOTE': return `\n${inner().split('\n').map(l => `> ${l}`).join('\n')}\n`;
+            case 'UL': return `\n${lines(() => '- ')}\n`;
+            case 'OL': return `\n${lines(i => `${i + 1}. `)}\n`;
+            case 'SPAN':
+                if (node.classList.contains('cyphur-spoiler')) return `||${inner()}||`;
+                if (node.classList.contains('cyphur-dice-roll')) return `[[${node.dataset.formula}]]`;
+                if (node.classList.contains('cyphur-item-link')) return `@Item[${node.dataset.name}]`;
+                if (node.classList.contains('cyphur-actor-link')) return `@Actor[${node.dataset.name}]`;
+                return inner();
+            default: return inner();
+        }
+    }
+}
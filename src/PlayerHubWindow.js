@@ -5,10 +5,21 @@
  * GMs: Additional monitoring, group management, moderation tools
  */
 
-import { MODULE_ID, THEMES, SOUNDS } from './Constants.js';
+import { MODULE_ID, THEMES, SOUNDS, STATUS, CHANNEL_VISIBILITY, GROUP_ROLES } from './Constants.js';
 import { QuantumPortal } from './QuantumPortal.js';
 import { UIManager } from './UIManager.js';
 import { DataManager } from './DataManager.js';
+import { Utils } from './Utils.js';
+import { PresenceManager } from './PresenceManager.js';
+import { SearchIndex } from './SearchIndex.js';
+import { LanguageManager } from './LanguageManager.js';
+import { AttachmentManager } from './AttachmentManager.js';
+
+const VISIBILITY_ICONS = {
+    [CHANNEL_VISIBILITY.EVERYONE]: 'fa-globe',
+    [CHANNEL_VISIBILITY.PLAYERS]: 'fa-users',
+    [CHANNEL_VISIBILITY.GM]: 'fa-user-shield'
+};
 
 // Version-compatible Application class
 let AppClass;
@@ -53,6 +64,8 @@ export class PlayerHubWindow extends AppClass {
     constructor(options = {}) {
         super(options);
         this.activeTab = 'conversations';
+        this._searchQuery = '';
+        this._searchFocused = false;
     }
 
     async _prepareContext() {
@@ -66,17 +79,20 @@ export class PlayerHubWindow extends AppClass {
         // Get group chats where user is a member
         if (DataManager.groupChats) {
             const visibleGroups = Array.from(DataManager.groupChats.values())
-                .filter(g => g.members?.includes(currentUser.id));
+                .filter(g => g.members?.includes(currentUser.id) && !DataManager.isChannel(g));
             
             for (const group of visibleGroups) {
                 const unreadCount = DataManager.getUnreadCount?.(group.id) || 0;
                 const lastMsg = group.history?.slice(-1)[0];
+                const isActorConversation = DataManager.isActorConversation(group);
                 
                 conversations.push({
                     id: group.id,
-                    name: group.name,
+                    name: isActorConversation ? DataManager.getActorConversationName(group) : group.name,
                     type: 'group',
-                    icon: 'fa-users',
+                    icon: isActorConversation ? 'fa-user-tie' : 'fa-users',
+                    avatar: isActorConversation ? DataManager.getConversationActor(group)?.img : null,
+                    isActorConversation,
                     memberCount: group.members?.length || 0,
                     unreadCount: unreadCount,
                     hasUnread: unreadCount > 0,
@@ -113,6 +129,7 @@ export class PlayerHubWindow extends AppClass {
                     unreadCount: unreadCount,
                     hasUnread: unreadCount > 0,
                     isOnline: otherUser.active,
+                    presence: PresenceManager.describe(otherUserId),
                     isGM: otherUser.isGM,
                     isFavorite: DataManager.isFavorite?.(chatKey) || false,
                     isMuted: DataManager.isMuted?.(chatKey) || false,
@@ -135,6 +152,72 @@ export class PlayerHubWindow extends AppClass {
             return (b.lastActivity || 0) - (a.lastActivity || 0);
         });
 
+        // Groups the user has been invited to
+        const groupInvites = Array.from(DataManager.groupChats.values())
+            .filter(g => !DataManager.isChannel(g) && g.invited?.includes(currentUser.id) && !g.members.includes(currentUser.id))
+            .map(g => {
+                const ownerId = g.members.find(id => DataManager.getGroupRole(g, id) === GROUP_ROLES.OWNER);
+                return {
+                    id: g.id,
+                    name: g.name,
+                    memberCount: g.members.length,
+                    ownedBy: game.i18n.format('CYPHUR.GroupRoles.OwnedBy', { name: game.users.get(ownerId)?.name ?? '?' })
+                };
+            });
+
+        // Channels the user can see, joined ones first
+        const channels = DataManager.getChannels()
+            .filter(ch => DataManager.canAccessChannel(ch, currentUser))
+            .map(ch => {
+                const isMember = ch.members.includes(currentUser.id);
+                const unreadCount = isMember ? DataManager.getUnreadCount(ch.id) : 0;
+                const lastMsg = isMember ? ch.history?.slice(-1)[0] : null;
+                const visibility = ch.visibility || CHANNEL_VISIBILITY.EVERYONE;
+                return {
+                    id: ch.id,
+                    name: ch.name,
+                    topic: ch.topic,
+                    visibilityIcon: VISIBILITY_ICONS[visibility],
+                    visibilityLabel: game.i18n.localize(`CYPHUR.Channels.Visibility.${visibility}`),
+                    memberCount: ch.members.length,
+                    isMember,
+                    isInvited: !isMember && ch.invited?.includes(currentUser.id),
+                    unreadCount,
+                    hasUnread: unreadCount > 0,
+                    lastMessage: lastMsg ? { preview: this._getMessagePreview(lastMsg) } : null
+                };
+            })
+            .sort((a, b) => (b.isMember - a.isMember) || a.name.localeCompare(b.name));
+        const channelUnread = channels.reduce((sum, ch) => sum + ch.unreadCount, 0);
+
+        // Messages that mentioned the current user
+        const mentions = DataManager.getMentions().map(({ conversationId, isGroup, message }) => {
+            const otherUserId = isGroup ? null : conversationId.split('-').find(id => id !== currentUser.id);
+            return {
+                conversationId,
+                isGroup,
+                messageId: message.id,
+                conversationName: isGroup
+                    ? `# ${DataManager.groupChats.get(conversationId)?.name ?? ''}`
+                    : game.users.get(otherUserId)?.name ?? '',
+                senderName: message.senderName || game.users.get(message.senderId)?.name || '',
+                preview: this._getMessagePreview(message),
+                time: this._formatRelativeTime(message.timestamp)
+            };
+        });
+
+        // Search across every conversation
+        const searchResults = this._searchQuery ? SearchIndex.search(this._searchQuery, { limit: 50 }).map(result => {
+            const message = DataManager.getMessage(result.conversationId, result.messageId, result.isGroup);
+            const conversationName = SearchIndex.getConversationName(result.conversationId, result.isGroup);
+            return {
+                ...result,
+                conversationName: result.isGroup ? `# ${conversationName}` : conversationName,
+                senderName: message?.senderName || game.users.get(message?.senderId)?.name || '',
+                time: this._formatRelativeTime(result.timestamp)
+            };
+        }) : [];
+
         // Get all users for new chat creation - split into GMs and Players
         const allOtherUsers = game.users
             .filter(u => u.id !== currentUser.id)
@@ -143,6 +226,7 @@ export class PlayerHubWindow extends AppClass {
                 name: u.name,
                 initials: this._getInitials(u.name),
                 isOnline: u.active,
+                presence: PresenceManager.describe(u.id),
                 isGM: u.isGM,
                 avatar: u.avatar,
                 color: u.color || this._getRandomColor(u.id)
@@ -164,6 +248,7 @@ export class PlayerHubWindow extends AppClass {
         let soundVolume = 0.5;
         let notificationSound = 'notify.wav';
         let enableNotifications = true;
+        let mentionAlerts = true;
         
         try {
             currentTheme = game.settings.get(MODULE_ID, 'theme');
@@ -171,16 +256,34 @@ export class PlayerHubWindow extends AppClass {
             soundVolume = game.settings.get(MODULE_ID, 'notificationVolume');
             notificationSound = game.settings.get(MODULE_ID, 'notificationSound');
             enableNotifications = game.settings.get(MODULE_ID, 'enableDesktopNotifications');
+            mentionAlerts = game.settings.get(MODULE_ID, 'mentionAlerts');
         } catch (e) { /* defaults */ }
 
+        const ownPresence = PresenceManager.getOwnPresence();
+
         return {
             conversations,
+            groupInvites,
+            channels,
+            channelUnread,
+            mentions,
+            searchQuery: this._searchQuery,
+            searchResults,
             users,
             gmUsers,
             playerUsers,
             isGM: game.user.isGM,
             totalUnread: DataManager.getTotalUnread() || 0,
             activeTab: this.activeTab,
+            // Own presence
+            statusOptions: Object.values(STATUS)
+                .filter(status => status !== STATUS.OFFLINE)
+                .map(status => ({
+                    value: status,
+                    label: game.i18n.localize(`CYPHUR.Presence.Status.${status}`),
+                    selected: status === ownPresence.status
+                })),
+            statusText: ownPresence.text || '',
             // Theme options for players
             themes: Object.entries(THEMES).map(([key, value]) => ({
                 key,
@@ -197,6 +300,7 @@ export class PlayerHubWindow extends AppClass {
             enableSounds,
             soundVolume: soundVolume * 100, // Convert 0-1 to 0-100 for slider
             enableNotifications,
+            mentionAlerts,
             // Module info
             moduleId: MODULE_ID
         };
@@ -204,10 +308,12 @@ export class PlayerHubWindow extends AppClass {
 
     _getMessagePreview(msg) {
         if (!msg) return '';
-        let content = msg.messageContent || msg.content || '';
+        if (msg.deleted) return game.i18n.localize('CYPHUR.Revisions.Deleted');
+        let content = msg.language ? LanguageManager.getReadableContent(msg) : (msg.messageContent || msg.content || '');
         // Strip HTML and truncate
         content = content.replace(/<[^>]*>/g, '').trim();
         if (msg.type === 'image') return '[Image]';
+        if (!content) content = AttachmentManager.describe(msg);
         return content.length > 50 ? content.substring(0, 50) + '...' : content;
     }
 
@@ -281,6 +387,55 @@ export class PlayerHubWindow extends AppClass {
             });
         });
 
+        // Channels
+        element.querySelectorAll('.cyphur-channel-item.joined').forEach(item => {
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.cyphur-channel-actions')) return;
+                UIManager.openGroupChat(item.dataset.channelId);
+            });
+        });
+        element.querySelectorAll('.cyphur-channel-actions [data-action]').forEach(btn => {
+            btn.addEventListener('click', (e) => this._onChannelAction(e));
+        });
+
+        // Group invitations
+        element.querySelectorAll('.cyphur-group-invite [data-action]').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const groupId = e.currentTarget.closest('.cyphur-group-invite')?.dataset.groupId;
+                if (!groupId) return;
+                const { RNKCyphur } = await import('./RNKCyphur.js');
+                RNKCyphur.respondToGroupInvite(groupId, e.currentTarget.dataset.action === 'acceptInvite');
+            });
+        });
+
+        // Mentions
+        element.querySelectorAll('.cyphur-mention-item').forEach(item => {
+            item.addEventListener('click', () => {
+                UIManager.openMessage(item.dataset.conversationId, item.dataset.type === 'group', item.dataset.messageId);
+            });
+        });
+
+        // Global search
+        const globalSearch = element.querySelector('.cyphur-global-search');
+        if (globalSearch) {
+            globalSearch.value = this._searchQuery;
+            if (this._searchFocused) {
+                globalSearch.focus();
+                globalSearch.setSelectionRange(globalSearch.value.length, globalSearch.value.length);
+            }
+            globalSearch.addEventListener('focus', () => { this._searchFocused = true; });
+            globalSearch.addEventListener('blur', () => { if (globalSearch.isConnected) this._searchFocused = false; });
+            globalSearch.addEventListener('input', Utils.debounce((e) => {
+                this._searchQuery = e.target.value.trim();
+                this.render();
+            }, 300));
+        }
+        element.querySelectorAll('.cyphur-search-result').forEach(item => {
+            item.addEventListener('click', () => {
+                UIManager.openMessage(item.dataset.conversationId, item.dataset.type === 'group', item.dataset.messageId);
+            });
+        });
+
         // Favorite/Mute toggles
         element.querySelectorAll('.cyphur-conv-action[data-action="favorite"]').forEach(btn => {
             btn.addEventListener('click', (e) => this._onToggleFavorite(e));
@@ -306,6 +461,15 @@ export class PlayerHubWindow extends AppClass {
 
         // Create chat button
         element.querySelector('[data-action="createChat"]')?.addEventListener('click', () => this._onCreateChat());
+        element.querySelector('[data-action="messageActor"]')?.addEventListener('click', () => this._onMessageActor());
+
+        // Own status
+        element.querySelector('[data-action="setStatus"]')?.addEventListener('change', (e) => {
+            PresenceManager.setOwnPresence({ status: e.target.value });
+        });
+        element.querySelector('[data-action="setStatusText"]')?.addEventListener('change', (e) => {
+            PresenceManager.setOwnPresence({ text: e.target.value.trim() });
+        });
 
         // Theme selection
         element.querySelectorAll('.cyphur-theme-option').forEach(opt => {
@@ -337,6 +501,10 @@ export class PlayerHubWindow extends AppClass {
             if (e.target.checked) this._requestNotificationPermission();
         });
 
+        element.querySelector('[data-action="toggleMentionAlerts"]')?.addEventListener('change', (e) => {
+            game.settings.set(MODULE_ID, 'mentionAlerts', e.target.checked);
+        });
+
         // Export buttons (available to all players)
         element.querySelector('[data-action="exportToJournal"]')?.addEventListener('click', () => this._onExportToJournal());
         element.querySelector('[data-action="exportLocal"]')?.addEventListener('click', () => this._onExportLocal());
@@ -385,6 +553,41 @@ export class PlayerHubWindow extends AppClass {
         }
     }
 
+    async _onChannelAction(event) {
+        event.stopPropagation();
+        const action = event.currentTarget.dataset.action;
+        const channelId = event.currentTarget.closest('.cyphur-channel-item')?.dataset.channelId;
+        if (!channelId) return;
+
+        const { RNKCyphur } = await import('./RNKCyphur.js');
+        if (action === 'joinChannel') return RNKCyphur.joinChannel(channelId);
+        if (action === 'leaveChannel') return RNKCyphur.leaveChannel(channelId);
+        if (action === 'inviteChannel') return this._onInviteToChannel(channelId, RNKCyphur);
+    }
+
+    async _onInviteToChannel(channelId, RNKCyphur) {
+        const channel = DataManager.groupChats.get(channelId);
+        if (!channel) return;
+
+        const candidates = game.users.filter(u => !channel.members.includes(u.id) && !channel.invited?.includes(u.id));
+        if (!candidates.length) {
+            return ui.notifications.info(game.i18n.localize('CYPHUR.Channels.NoOneToInvite'));
+        }
+
+        const checkboxes = candidates
+            .map(u => `<label><input type="checkbox" name="invite" value="${u.id}"> ${Utils.sanitizeHTML(u.name)}</label>`)
+            .join('<br>');
+
+        const userIds = await Dialog.prompt({
+            title: game.i18n.format('CYPHUR.Channels.InviteTitle', { name: channel.name }),
+            content: `<div style="max-height:200px;overflow-y:auto;padding:5px;">${checkboxes}</div>`,
+            callback: (html) => Array.from(html.find('[name="invite"]:checked')).map(el => el.value),
+            rejectClose: false
+        });
+
+        if (userIds?.length) await RNKCyphur.inviteToChannel(channelId, userIds);
+    }
+
     async _onCreateChat() {
         const selectedUsers = Array.from(this.element.querySelectorAll('.cyphur-user-card.selected'))
             .map(el => el.dataset.userId);
@@ -399,9 +602,9 @@ export class PlayerHubWindow extends AppClass {
             return;
         }
 
-        // Multiple users = only GM can create groups
-        if (!game.user.isGM) {
-            return ui.notifications.warn(game.i18n.localize('CYPHUR.Errors.OnlyGMCanCreateGroups') || 'Only GM can create group chats');
+        // Multiple users = a group, which players may only start if the world allows it
+        if (!game.user.isGM && !game.settings.get(MODULE_ID, 'playerGroupCreation')) {
+            return ui.notifications.warn(game.i18n.localize('CYPHUR.Errors.OnlyGMCanCreateGroups'));
         }
 
         const groupNameInput = this.element.querySelector('input[name="newGroupName"]');
@@ -421,6 +624,31 @@ export class PlayerHubWindow extends AppClass {
         }
     }
 
+    /**
+     * Pick an actor to message, such as a contact or fixer
+     */
+    async _onMessageActor() {
+        const actors = DataManager.getMessageableActors().sort((a, b) => a.name.localeCompare(b.name));
+        if (!actors.length) {
+            return ui.notifications.info(game.i18n.localize('CYPHUR.NpcInbox.NoActors'));
+        }
+
+        const options = actors
+            .map(a => `<option value="${a.uuid}">${Utils.sanitizeHTML(a.name)}</option>`)
+            .join('');
+
+        const actorUuid = await Dialog.prompt({
+            title: game.i18n.localize('CYPHUR.NpcInbox.MessageActor'),
+            content: `<div class="form-group"><label>${game.i18n.localize('CYPHUR.NpcInbox.Actor')}</label><select name="actor">${options}</select></div>`,
+            callback: (html) => html.find('[name="actor"]').val(),
+            rejectClose: false
+        });
+        if (!actorUuid) return;
+
+        const { RNKCyphur } = await import('./RNKCyphur.js');
+        await RNKCyphur.messageActor(actorUuid);
+    }
+
     _onSelectTheme(themeKey) {
         game.settings.set(MODULE_ID, 'theme', themeKey);
         this._applyTheme(themeKey);
@@ -534,7 +762,7 @@ export class PlayerHubWindow extends AppClass {
         for (const msg of messages) {
             const sender = game.users.get(msg.senderId)?.name || msg.senderName || 'Unknown';
             const time = new Date(msg.timestamp).toLocaleString();
-            const content = msg.messageContent || msg.content || '';
+            const content = msg.language ? LanguageManager.getReadableContent(msg) : (msg.messageContent || msg.content || '');
             html += `<li><strong>[${time}] ${sender}:</strong> ${content}</li>\n`;
         }
         html += '</ul>\n';
@@ -561,7 +789,7 @@ export class PlayerHubWindow extends AppClass {
                     messages: (chat.history || []).map(m => ({
                         sender: game.users.get(m.senderId)?.name || m.senderName || 'Unknown',
                         time: new Date(m.timestamp).toLocaleString(),
-                        content: (m.messageContent || m.content || '').replace(/<[^>]*>/g, '')
+                        content: (m.language ? LanguageManager.getReadableContent(m) : (m.messageContent || m.content || '')).replace(/<[^>]*>/g, '')
                     }))
                 });
             }
@@ -577,7 +805,7 @@ export class PlayerHubWindow extends AppClass {
                     messages: (group.history || []).map(m => ({
                         sender: game.users.get(m.senderId)?.name || m.senderName || 'Unknown',
                         time: new Date(m.timestamp).toLocaleString(),
-                        content: (m.messageContent || m.content || '').replace(/<[^>]*>/g, '')
+                        content: (m.language ? LanguageManager.getReadableContent(m) : (m.messageContent || m.content || '')).replace(/<[^>]*>/g, '')
                     }))
                 });
             }
@@ -0,0 +1,146 @@
+/**
+ * RNK Cyphur - Presence Manager
+ * Own status, custom status text, idle auto-away and last-seen tracking
+ *
+ * Presence is broadcast with PRESENCE_UPDATE and handed to newcomers along
+ * with CLIENT_ONLINE. The GM keeps last-seen timestamps in a world setting
+ * so they survive for users who are currently offline.
+ */
+
+import { MODULE_ID, STATUS } from './Constants.js';
+import { DataManager } from './DataManager.js';
+import { SocketHandler } from './SocketHandler.js';
+import { UIManager } from './UIManager.js';
+import { Utils } from './Utils.js';
+
+const ACTIVITY_EVENTS = ['pointermove', 'pointerdown', 'keydown', 'wheel'];
+const IDLE_CHECK_INTERVAL = 30000;
+
+export class PresenceManager {
+    static _lastActivity = Date.now();
+    static _idleTimer = null;
+
+    /**
+     * Load own presence, start idle tracking and watch for disconnects
+     */
+    static initialize() {
+        const stored = game.settings.get(MODULE_ID, 'presence')?.[game.user.id] || {};
+        DataManager.setPresence(game.user.id, {
+            status: stored.status === STATUS.OFFLINE ? STATUS.ONLINE : (stored.status || STATUS.ONLINE),
+            text: stored.text || '',
+            auto: false,
+            lastSeen: Date.now()
+        });
+
+        const onActivity = Utils.throttle(() => this._onActivity(), 1000);
+        for (const type of ACTIVITY_EVENTS) {
+            document.addEventListener(type, onActivity, { passive: true });
+        }
+        this._idleTimer = setInterval(() => this._checkIdle(), IDLE_CHECK_INTERVAL);
+
+        Hooks.on('userConnected', (user, connected) => {
+            if (connected) return;
+            DataManager.setPresence(user.id, { status: STATUS.OFFLINE, auto: false, lastSeen: Date.now() });
+            if (game.user.isGM) DataManager.saveLastSeen();
+            UIManager.updatePresence(user.id);
+        });
+    }
+
+    /**
+     * Own presence as broadcast to other clients
+     * @returns {object}
+     */
+    static getOwnPresence() {
+        return { ...DataManager.getPresence(game.user.id), lastSeen: Date.now() };
+    }
+
+    /**
+     * Effective status of a user, taking the Foundry connection into account
+     * @param {string} userId - User ID
+     * @returns {string} One of STATUS
+     */
+    static getStatus(userId) {
+        if (!Utils.isUserOnline(userId)) return STATUS.OFFLINE;
+        const status = DataManager.getPresence(userId)?.status;
+        return status && status !== STATUS.OFFLINE ? status : STATUS.ONLINE;
+    }
+
+    /**
+     * Display data for a user's presence
+     * @param {string} userId - User ID
+     * @returns {object} { status, label, text, lastSeen }
+     */
+    static describe(userId) {
+        const status = this.getStatus(userId);
+        const presence = DataManager.getPresence(userId) || {};
+        const info = {
+            status,
+            label: game.i18n.localize(`CYPHUR.Presence.Status.${status}`),
+            text: status === STATUS.OFFLINE ? '' : (presence.text || ''),
+            lastSeen: null
+        };
+
+        if (status === STATUS.OFFLINE && presence.lastSeen) {
+            info.lastSeen = game.i18n.format('CYPHUR.Presence.LastSeen', {
+                time: Utils.formatRelativeTime(presence.lastSeen)
+            });
+        }
+        return info;
+    }
+
+    /**
+     * Set own status and custom text
+     * @param {object} changes - { status, text }
+     */
+    static async setOwnPresence({ status, text } = {}) {
+        const current = DataManager.getPresence(game.user.id) || {};
+        const presence = {
+            status: status ?? current.status ?? STATUS.ONLINE,
+            text: (text ?? current.text ?? '').slice(0, 80),
+            auto: false
+        };
+        DataManager.setPresence(game.user.id, presence);
+
+        try {
+            const stored = game.settings.get(MODULE_ID, 'presence') || {};
+            stored[game.user.id] = { status: presence.status, text: presence.text };
+            await game.settings.set(MODULE_ID, 'presence', stored);
+        } catch (e) {
+            console.warn('Cyphur | Failed to save presence:', e);
+        }
+
+        this._broadcast();
+    }
+
+    static _broadcast() {
+        SocketHandler.broadcastPresence(this.getOwnPresence());
+        UIManager.updatePresence(game.user.id);
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // IDLE DETECTION
+    // ════════════════════════════════════════════════════════════════════════════
+
+    static _onActivity() {
+        this._lastActivity = Date.now();
+
+        const presence = DataManager.getPresence(game.user.id);
+        if (presence?.auto && presence.status === STATUS.AWAY) {
+            DataManager.setPresence(game.user.id, { status: STATUS.ONLINE, auto: false });
+            this._broadcast();
+        }
+    }
+
+    static _checkIdle() {
+        const minutes = game.settings.get(MODULE_ID, 'idleTimeout') ?? 0;
+        if (!minutes) return;
+
+        const presence = DataManager.getPresence(game.user.id);
+        if (presence?.status !== STATUS.ONLINE) return;
+
+        if (Date.now() - this._lastActivity >= minutes * 60000) {
+            DataManager.setPresence(game.user.id, { status: STATUS.AWAY, auto: true });
+            this._broadcast();
+        }
+    }
+}
@@ -6,26 +6,48 @@
 import { DataManager } from './DataManager.js';
 import { SocketHandler } from './SocketHandler.js';
 import { UIManager } from './UIManager.js';
-import { MODULE_ID } from './Constants.js';
+import { CryptoManager } from './CryptoManager.js';
+import { StorageManager } from './StorageManager.js';
+import { PresenceManager } from './PresenceManager.js';
+import { ExpiryManager } from './ExpiryManager.js';
+import { LanguageManager } from './LanguageManager.js';
+import { AttachmentManager } from './AttachmentManager.js';
+import { DiceManager } from './DiceManager.js';
+import { Utils } from './Utils.js';
+import { MODULE_ID, MESSAGE_TYPES, SCHEDULE_TRIGGERS, SIGNAL_LINK_STATES } from './Constants.js';
+
+const SCHEDULE_CHECK_INTERVAL = 5000;
 
 export class RNKCyphur {
     static ID = MODULE_ID;
     static NAME = 'RNK Cyphur';
+    static _scheduleTimer = null;
+    static _delivering = false;
+    static _transmitting = false;
 
     /**
      * Initialize the module
      */
-    static initialize() {
-        // Load all data from settings
+    static async initialize() {
+        // Move legacy setting storage into the message archive (GM only)
+        await StorageManager.initialize();
+
+        // Load all data from settings and the archive
         DataManager.loadGroupChats();
         DataManager.loadPrivateChats();
         DataManager.loadUnreadData();
         DataManager.loadFavorites();
         DataManager.loadMutedConversations();
         DataManager.loadPinnedMessages();
+        DataManager.loadSpeakerIdentities();
         DataManager.loadSharedBackgrounds();
         DataManager.loadBackgroundSettings();
         DataManager.loadPlayerSettings();
+        DataManager.loadOutbox();
+        DataManager.loadPendingChanges();
+        DataManager.loadInterceptedConversations();
+        DataManager.loadHeldCopies();
+        DataManager.loadLastSeen();
         
         // Load GM settings if GM
         if (game.user.isGM) {
@@ -39,16 +61,188 @@ export class RNKCyphur {
         
         // Initialize socket communications
         SocketHandler.initialize();
+
+        // Load encryption keys and decrypt persisted history
+        await CryptoManager.initialize();
+        await this._decryptAllHistory();
+        await DataManager.restoreOutbox();
+
+        if (game.user.isGM) {
+            await this._sealLegacyHistory();
+            Hooks.on('updateUser', (user, changes) => {
+                if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.publicKey`)) {
+                    this._refreshGroupKeyrings();
+                }
+            });
+        }
+
+        UIManager.updatePlayerHub();
+
+        PresenceManager.initialize();
+        ExpiryManager.initialize();
+        LanguageManager.initialize();
+        if (game.user.isGM) this._initializeScheduler();
+
+        // Let other clients know we can receive, which also flushes their outboxes to us
+        SocketHandler.announceOnline(PresenceManager.getOwnPresence());
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // ENCRYPTION
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Decrypt every loaded conversation history
+     */
+    static async _decryptAllHistory() {
+        for (const [chatKey, chat] of DataManager.privateChats.entries()) {
+            await DataManager.decryptHistory(chat.history, null, chatKey);
+        }
+        for (const [groupId, group] of DataManager.groupChats.entries()) {
+            await DataManager.decryptHistory(group.history, group.keyring, groupId);
+        }
+    }
+
+    /**
+     * Encrypt a message's secret fields for its conversation
+     * Private chats use per-message reader envelopes (both participants + GMs),
+     * group chats use the group's conversation key.
+     * @param {object} messageData - Message data (modified in place)
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {Promise<boolean>} Whether the message may be sent
+     */
+    static async _sealMessage(messageData, conversationId, isGroup) {
+        if (!await CryptoManager.sealHidden(messageData)) return false;
+        if (isGroup) {
+            const group = DataManager.groupChats.get(conversationId);
+            return CryptoManager.seal(messageData, { conversationId, keyring: group?.keyring });
+        }
+
+        const participants = conversationId.split('-');
+        if (!participants.every(id => CryptoManager.hasPublicKey(id))) return CryptoManager.allowUnencrypted;
+
+        return CryptoManager.seal(messageData, { readers: [...participants, ...CryptoManager.getGMIds()] });
+    }
+
+    /**
+     * Evaluate inline [[rolls]] once, so every participant sees the same results
+     * @param {object} messageData - Message data (modified in place)
+     * @param {string} visibility - One of ROLL_VISIBILITY
+     */
+    static async _resolveRolls(messageData, visibility) {
+        if (!DiceManager.hasInlineRolls(messageData.messageContent)) return;
+        messageData.rolls = await DiceManager.evaluate(messageData.messageContent, visibility);
+        messageData.type = MESSAGE_TYPES.DICE;
+    }
+
+    /**
+     * Turn document references into UUID links and record what the message links to
+     * @param {object} messageData - Message data (modified in place)
+     */
+    static _resolveLinks(messageData) {
+        const { content, links, type } = Utils.resolveDocumentLinks(messageData.messageContent);
+        if (!links.length) return;
+        messageData.messageContent = content;
+        messageData.links = links;
+        if (type && !messageData.type) messageData.type = type;
+    }
+
+    /**
+     * Record which conversation members a message mentions
+     * @param {object} messageData - Message data (modified in place)
+     * @param {Array<string>} participantIds - Conversation members
+     */
+    static _resolveMentions(messageData, participantIds) {
+        const mentions = Utils.parseMentions(messageData.messageContent, participantIds)
+            .filter(id => id !== messageData.senderId);
+        if (mentions.length) messageData.mentions = mentions;
+    }
+
+    /**
+     * Notify the user why a message could not be encrypted
+     * @param {Array<string>} participantIds - Conversation participants
+     */
+    static _notifySealFailed(participantIds) {
+        const missing = game.users.get(participantIds.find(id => !CryptoManager.hasPublicKey(id)));
+        if (missing && CryptoManager.isReady) {
+            ui.notifications.error(game.i18n.format('CYPHUR.Crypto.RecipientNoKey', { name: missing.name }));
+        } else {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Crypto.SendBlocked'));
+        }
+    }
+
+    /**
+     * GM: Make sure every group has a keyring entry for each member and GM
+     * with a published key, creating keyrings for groups that predate encryption
+     * @returns {Promise<boolean>} Whether any group changed
+     */
+    static async _refreshGroupKeyrings() {
+        if (!game.user.isGM || !CryptoManager.isReady) return false;
+
+        let changed = false;
+        for (const group of DataManager.groupChats.values()) {
+            const readers = [...group.members, ...CryptoManager.getGMIds()];
+            const keyring = group.keyring
+                ? await CryptoManager.extendKeyring(group.id, group.keyring, readers)
+                : await CryptoManager.createKeyring(group.id, readers);
+            if (!keyring || keyring === group.keyring) continue;
+
+            group.keyring = keyring;
+            SocketHandler.broadcastGroupUpdate(group.id, { keyring });
+            changed = true;
+        }
+
+        if (changed) await DataManager.saveGroupChats();
+        return changed;
+    }
+
+    /**
+     * GM: Encrypt plaintext history persisted before encryption was introduced
+     */
+    static async _sealLegacyHistory() {
+        if (!CryptoManager.isReady) return;
+
+        await this._refreshGroupKeyrings();
+
+        const sealHistory = async (history, conversationId, isGroup) => {
+            let changed = false;
+            for (const msg of history || []) {
+                if (msg.cipher || typeof msg.messageContent !== 'string') continue;
+                const sealed = { ...msg, messageContent: Utils.htmlToText(msg.messageContent) };
+                await this._sealMessage(sealed, conversationId, isGroup);
+                if (!sealed.cipher) continue;
+                msg.cipher = sealed.cipher;
+                if (sealed.hiddenCipher) msg.hiddenCipher = sealed.hiddenCipher;
+                changed = true;
+            }
+            return changed;
+        };
+
+        let privateChanged = false;
+        for (const [chatKey, chat] of DataManager.privateChats.entries()) {
+            privateChanged = (await sealHistory(chat.history, chatKey, false)) || privateChanged;
+        }
+        let groupChanged = false;
+        for (const group of DataManager.groupChats.values()) {
+            groupChanged = (await sealHistory(group.history, group.id, true)) || groupChanged;
+        }
+
+        if (privateChanged) await DataManager.savePrivateChats();
+        if (groupChanged) await DataManager.saveGroupChats();
     }
 
     /**
      * Send a private message
      * @param {string} recipientId - Recipient user ID
      * @param {string} messageContent - Message content
-     * @param {object} speakerData - Optional speaker override data
+     * @param {object} speakerData - Optional in-character identity: { actorId, name, img }
      * @param {string} imageUrl - Optional image URL/data
+     * @param {object} options - { rollVisibility } for inline rolls, { threadId } to reply in a thread,
+     *   { expiry } to override the conversation's message timer (null for none),
+     *   { language } to write it in one of the world's languages, { attachments } to send uploaded files
      */
-    static async sendMessage(recipientId, messageContent, speakerData = null, imageUrl = null) {
+    static async sendMessage(recipientId, messageContent, speakerData = null, imageUrl = null, options = {}) {
         const senderId = game.user.id;
         
         const messageData = {
@@ -60,23 +254,41 @@ export class RNKCyphur {
             id: foundry.utils.randomID()
         };
 
+        if (speakerData?.actorId) messageData.actorId = speakerData.actorId;
+        if (LanguageManager.isLanguage(options.language)) messageData.language = options.language;
+
         // Add image if provided
         if (imageUrl) {
             messageData.imageUrl = imageUrl;
         }
+        AttachmentManager.apply(messageData, options.attachments);
+
+        await this._resolveRolls(messageData, options.rollVisibility);
+        this._resolveLinks(messageData);
+        this._resolveMentions(messageData, [senderId, recipientId]);
         
-        // Check for reply
-        const replyToId = DataManager.getReplyTo();
+        // Check for reply - a pending quote reply belongs to the main conversation, not a thread
+        const replyToId = options.threadId ? null : DataManager.getReplyTo();
         if (replyToId) {
             messageData.replyToId = replyToId;
-            DataManager.clearReplyTo();
         }
+        if (options.threadId) messageData.threadId = options.threadId;
+
+        // Encrypt before anything leaves this client
+        const chatKey = DataManager.getPrivateChatKey(senderId, recipientId);
+        DataManager.applyExpiry(messageData, options.expiry === undefined ? DataManager.getConversationExpiry(chatKey) : options.expiry);
+        if (!await this._sealMessage(messageData, chatKey, false)) {
+            this._notifySealFailed([senderId, recipientId]);
+            return;
+        }
+        if (replyToId) DataManager.clearReplyTo();
+        const wireMessage = CryptoManager.strip({ ...messageData });
         
         // Add message to local storage
         DataManager.addPrivateMessage(senderId, recipientId, messageData);
         
         // Send via socket
-        SocketHandler.sendPrivateMessage(recipientId, messageData);
+        SocketHandler.sendPrivateMessage(recipientId, wireMessage);
 
         // If sender is GM, add to monitor immediately
         if (game.user.isGM) {
@@ -99,17 +311,27 @@ export class RNKCyphur {
      * Send a group message
      * @param {string} groupId - Group ID
      * @param {string} messageContent - Message content
-     * @param {object} speakerData - Optional speaker override data
+     * @param {object} speakerData - Optional in-character identity: { actorId, name, img }
      * @param {string} imageUrl - Optional image URL/data
+     * @param {object} options - { rollVisibility } for inline rolls, { threadId } to reply in a thread,
+     *   { expiry } to override the conversation's message timer (null for none),
+     *   { language } to write it in one of the world's languages, { attachments } to send uploaded files
      */
-    static async sendGroupMessage(groupId, messageContent, speakerData = null, imageUrl = null) {
+    static async sendGroupMessage(groupId, messageContent, speakerData = null, imageUrl = null, options = {}) {
         const group = DataManager.groupChats.get(groupId);
         if (!group) {
             console.warn(`Cyphur | Cannot send to non-existent group: ${groupId}`);
             return;
         }
+        if (!DataManager.canPostInGroup(group, game.user.id)) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.GroupRoles.ReadOnlyNotice'));
+            return;
+        }
         
         const senderId = game.user.id;
+
+        // Whoever answers a message addressed to an actor does so as that actor
+        speakerData = DataManager.getActorSpeaker(group, senderId) ?? speakerData;
         
         const messageData = {
             senderId: senderId,
@@ -120,23 +342,40 @@ export class RNKCyphur {
             id: foundry.utils.randomID()
         };
 
+        if (speakerData?.actorId) messageData.actorId = speakerData.actorId;
+        if (LanguageManager.isLanguage(options.language)) messageData.language = options.language;
+
         // Add image if provided
         if (imageUrl) {
             messageData.imageUrl = imageUrl;
         }
+        AttachmentManager.apply(messageData, options.attachments);
+
+        await this._resolveRolls(messageData, options.rollVisibility);
+        this._resolveLinks(messageData);
+        this._resolveMentions(messageData, group.members);
         
-        // Check for reply
-        const replyToId = DataManager.getReplyTo();
+        // Check for reply - a pending quote reply belongs to the main conversation, not a thread
+        const replyToId = options.threadId ? null : DataManager.getReplyTo();
         if (replyToId) {
             messageData.replyToId = replyToId;
-            DataManager.clearReplyTo();
         }
+        if (options.threadId) messageData.threadId = options.threadId;
+        DataManager.applyExpiry(messageData, options.expiry === undefined ? DataManager.getConversationExpiry(groupId, true) : options.expiry);
+
+        // Encrypt with the group's conversation key
+        if (!await this._sealMessage(messageData, groupId, true)) {
+            this._notifySealFailed(group.members);
+            return;
+        }
+        if (replyToId) DataManager.clearReplyTo();
+        const wireMessage = CryptoManager.strip({ ...messageData });
         
         // Add message to local storage
         DataManager.addGroupMessage(groupId, messageData);
         
         // Send via socket
-        SocketHandler.sendGroupMessage(groupId, messageData);
+        SocketHandler.sendGroupMessage(groupId, wireMessage);
         
         // If sender is GM, add to monitor and save
         if (game.user.isGM) {
@@ -157,17 +396,192 @@ export class RNKCyphur {
         UIManager.updatePlayerHub();
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // GM IMPERSONATION
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * GM: Send a message into a conversation under another user's identity
+     * Participants see an ordinary message from that user. The real sender is
+     * recorded in a GM-only audit on the message archive.
+     * @param {string} userId - User to send as
+     * @param {string} conversationId - Private chat key or group ID the user belongs to
+     * @param {string} messageContent - Message content
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {Promise<boolean>} Whether the message was sent
+     */
+    static async sendAsUser(userId, conversationId, messageContent, isGroup = false) {
+        if (!game.user.isGM) return false;
+
+        const user = game.users.get(userId);
+        const group = isGroup ? DataManager.groupChats.get(conversationId) : null;
+        const participants = isGroup ? group?.members : conversationId.split('-');
+        if (!user || !participants?.includes(userId)) return false;
+
+        const messageData = {
+            senderId: userId,
+            senderName: user.name,
+            senderImg: user.avatar,
+            messageContent: messageContent,
+            timestamp: Date.now(),
+            id: foundry.utils.randomID()
+        };
+        this._resolveMentions(messageData, participants);
+        DataManager.applyExpiry(messageData, DataManager.getConversationExpiry(conversationId, isGroup));
+
+        if (!await this._sealMessage(messageData, conversationId, isGroup)) {
+            this._notifySealFailed(participants);
+            return false;
+        }
+        const wireMessage = CryptoManager.strip({ ...messageData });
+
+        await StorageManager.recordImpersonation(messageData.id, {
+            gmId: game.user.id,
+            userId,
+            conversationId,
+            isGroup,
+            timestamp: messageData.timestamp,
+            revealed: false
+        });
+
+        if (isGroup) {
+            DataManager.addGroupMessage(conversationId, messageData);
+            await DataManager.saveGroupChats();
+        } else {
+            const [userId1, userId2] = participants;
+            DataManager.addPrivateMessage(userId1, userId2, messageData);
+            await DataManager.savePrivateChats();
+        }
+
+        SocketHandler.deliverAs(conversationId, wireMessage, isGroup);
+
+        DataManager.addInterceptedMessage({
+            senderId: userId,
+            recipientId: isGroup ? null : participants.find(id => id !== userId),
+            groupId: isGroup ? conversationId : undefined,
+            groupName: group?.name,
+            participants: isGroup ? group.members : undefined,
+            messageData
+        });
+        UIManager.updateGMMonitor();
+        UIManager.updateConversation(conversationId, isGroup);
+        UIManager.updatePlayerHub();
+        return true;
+    }
+
+    /**
+     * GM: Reveal to the participants that a message was sent by a GM
+     * @param {string} messageId - Impersonated message ID
+     * @returns {Promise<boolean>} Whether the message was revealed
+     */
+    static async revealImpersonation(messageId) {
+        if (!game.user.isGM) return false;
+
+        const record = StorageManager.getImpersonation(messageId);
+        if (!record || record.revealed) return false;
+
+        await StorageManager.recordImpersonation(messageId, { ...record, revealed: true });
+        const gmId = game.users.get(record.gmId) ? record.gmId : game.user.id;
+        SocketHandler.revealImpersonation(record.conversationId, messageId, record.isGroup, gmId);
+
+        // Apply locally - the socket does not echo back to the sender
+        const message = DataManager.getMessage(record.conversationId, messageId, record.isGroup);
+        if (message) {
+            message.impersonation = { revealed: true, gmName: game.users.get(gmId).name };
+            if (record.isGroup) await DataManager.saveGroupChats();
+            else await DataManager.savePrivateChats();
+        }
+        UIManager.updateConversation(record.conversationId, record.isGroup);
+        UIManager.updateGMMonitor();
+        return true;
+    }
+
+    /**
+     * GM: Let users read a message written in a language they do not know
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {Array<string>} userIds - Users who may now read it
+     * @returns {Promise<boolean>} Whether anyone was granted it
+     */
+    static async decipherMessage(conversationId, messageId, isGroup, userIds) {
+        if (!game.user.isGM) return false;
+
+        const message = DataManager.getMessage(conversationId, messageId, isGroup);
+        const granted = userIds.filter(id => !message?.decipheredBy?.includes(id));
+        if (!message?.language || !granted.length) return false;
+
+        message.decipheredBy = [...(message.decipheredBy ?? []), ...granted];
+        if (isGroup) await DataManager.saveGroupChats();
+        else await DataManager.savePrivateChats();
+        SocketHandler.decipherMessage(conversationId, messageId, isGroup, granted);
+
+        LanguageManager.refresh(conversationId, isGroup);
+        return true;
+    }
+
+    /**
+     * GM: Hide an attachment from players, or show it again
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {string} attachmentId - Attachment ID
+     * @param {boolean} hidden - Hide it?
+     * @returns {Promise<boolean>} Whether anything changed
+     */
+    static async setAttachmentHidden(conversationId, messageId, isGroup, attachmentId, hidden) {
+        if (!game.user.isGM) return false;
+
+        const message = DataManager.getMessage(conversationId, messageId, isGroup);
+        if (!message?.attachments?.some(a => a.id === attachmentId)) return false;
+        if (AttachmentManager.isHidden(message, attachmentId) === hidden) return false;
+
+        // Re-seal, so the attachment moves between the players' envelope and the GMs' one
+        const others = (message.hiddenAttachments ?? []).filter(id => id !== attachmentId);
+        const sealed = {
+            ...message,
+            messageContent: Utils.htmlToText(message.messageContent),
+            hiddenAttachments: hidden ? [...others, attachmentId] : others
+        };
+        delete sealed.cipher;
+        if (!sealed.hiddenAttachments.length) delete sealed.hiddenAttachments;
+        if (!await this._sealMessage(sealed, conversationId, isGroup)) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Crypto.SendBlocked'));
+            return false;
+        }
+
+        for (const field of ['cipher', 'hiddenCipher', 'hiddenAttachments']) {
+            if (sealed[field]) message[field] = sealed[field];
+            else delete message[field];
+        }
+        if (isGroup) await DataManager.saveGroupChats();
+        else await DataManager.savePrivateChats();
+        SocketHandler.setAttachmentVisibility(conversationId, messageId, isGroup, CryptoManager.strip(sealed));
+
+        UIManager.updateConversation(conversationId, isGroup);
+        UIManager.updatePlayerHub();
+        return true;
+    }
+
     /**
      * Create a new group chat
+     * GMs add members directly; players, where the world allows it, invite them.
      * @param {string} name - Group name
      * @param {Array<string>} members - Array of member user IDs
-     * @returns {object} The created group
+     * @returns {object|null} The created group
      */
     static async createGroup(name, members) {
+        if (!game.user.isGM && !game.settings.get(MODULE_ID, 'playerGroupCreation')) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Errors.OnlyGMCanCreateGroups'));
+            return null;
+        }
+
         // Ensure creator is included
-        const allMembers = [...new Set([game.user.id, ...members])];
+        const allMembers = game.user.isGM ? [...new Set([game.user.id, ...members])] : [game.user.id];
+        const invited = game.user.isGM ? [] : members.filter(id => id !== game.user.id);
         
-        const group = DataManager.createGroup(name, allMembers);
+        const group = DataManager.createGroup(name, allMembers, invited);
+        group.keyring = await CryptoManager.createKeyring(group.id, [...allMembers, ...CryptoManager.getGMIds()]);
         
         // Save if GM
         if (game.user.isGM) {
@@ -186,6 +600,116 @@ export class RNKCyphur {
         return group;
     }
 
+    /**
+     * Change a group's name, roles, members or invitations
+     * Players are held to their role; newly invited users are sent the invitation.
+     * @param {string} groupId - Group ID
+     * @param {object} updates - Fields to change
+     * @returns {Promise<boolean>} Whether the update was applied
+     */
+    static async updateGroup(groupId, updates) {
+        const group = DataManager.groupChats.get(groupId);
+        if (!group) return false;
+
+        const reason = game.user.isGM ? null : DataManager.getGroupUpdateError(group, game.user.id, updates);
+        if (reason) {
+            ui.notifications.error(game.i18n.localize(`CYPHUR.GroupRoles.Error.${reason}`));
+            return false;
+        }
+
+        const formerAudience = DataManager.getAudience(group);
+        const previousInvites = group.invited ?? [];
+        DataManager.updateGroup(groupId, updates);
+        if (game.user.isGM) await DataManager.saveGroupChats();
+
+        SocketHandler.broadcastGroupUpdate(groupId, updates, formerAudience);
+        for (const userId of group.invited ?? []) {
+            if (!previousInvites.includes(userId)) SocketHandler.sendGroupInvite(group, userId);
+        }
+
+        UIManager.updatePlayerHub();
+        UIManager.updateGroupManager();
+        UIManager.updateChatWindow(groupId, 'group');
+        return true;
+    }
+
+    /**
+     * Invite users to a group (owners, moderators and GMs)
+     * @param {string} groupId - Group ID
+     * @param {Array<string>} userIds - Users to invite
+     */
+    static async inviteToGroup(groupId, userIds) {
+        const group = DataManager.groupChats.get(groupId);
+        if (!group) return;
+
+        const invited = [...new Set([...(group.invited ?? []), ...userIds])].filter(id => !group.members.includes(id));
+        if (invited.length === (group.invited ?? []).length) return;
+
+        if (await this.updateGroup(groupId, { invited })) {
+            ui.notifications.info(game.i18n.format('CYPHUR.Channels.InvitesSent', { count: invited.length - (group.invited?.length ?? 0) }));
+        }
+    }
+
+    /**
+     * Accept or decline an invitation to a group
+     * @param {string} groupId - Group ID
+     * @param {boolean} accept - Join the group?
+     */
+    static async respondToGroupInvite(groupId, accept) {
+        const group = DataManager.groupChats.get(groupId);
+        if (!group?.invited?.includes(game.user.id)) return;
+
+        const updates = DataManager.getMembershipUpdates(group, accept ? 'accept' : 'decline', game.user.id);
+        if (!await this.updateGroup(groupId, updates)) return;
+
+        if (accept) {
+            UIManager.openGroupChat(groupId);
+        } else if (!game.user.isGM) {
+            DataManager.groupChats.delete(groupId);
+            UIManager.updatePlayerHub();
+        }
+    }
+
+    /**
+     * Leave a group
+     * Owners must hand ownership to another member first.
+     * @param {string} groupId - Group ID
+     */
+    static async leaveGroup(groupId) {
+        const group = DataManager.groupChats.get(groupId);
+        if (!group?.members.includes(game.user.id)) return;
+
+        const updates = DataManager.getMembershipUpdates(group, 'leave', game.user.id);
+        if (!await this.updateGroup(groupId, updates)) return;
+
+        UIManager.closeChatWindow(groupId, 'group');
+        if (!game.user.isGM) DataManager.groupChats.delete(groupId);
+        UIManager.updatePlayerHub();
+        ui.notifications.info(game.i18n.format('CYPHUR.GroupRoles.Left', { group: group.name }));
+    }
+
+    /**
+     * Set the timer for new messages in a conversation, for everyone in it
+     * In groups only owners, moderators and GMs may change it; in channels only GMs.
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {number|null} expiry - Seconds, 0 for burn after reading, null for off
+     */
+    static async setConversationExpiry(conversationId, isGroup, expiry) {
+        if (isGroup && !game.user.isGM && !DataManager.canManageGroup(DataManager.groupChats.get(conversationId), game.user.id)) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.GroupRoles.Error.NotManager'));
+            return;
+        }
+        if (!DataManager.setConversationExpiry(conversationId, isGroup, expiry)) return;
+
+        if (game.user.isGM) {
+            await (isGroup ? DataManager.saveGroupChats() : DataManager.savePrivateChats());
+        }
+        SocketHandler.broadcastConversationExpiry(conversationId, isGroup, expiry);
+
+        UIManager.updateConversation(conversationId, isGroup);
+    }
+
     /**
      * Delete a group chat (GM only)
      * @param {string} groupId - Group ID
@@ -199,7 +723,7 @@ export class RNKCyphur {
         const group = DataManager.groupChats.get(groupId);
         if (!group) return;
         
-        const members = [...group.members];
+        const members = DataManager.getAudience(group);
         const name = group.name;
         
         // Delete locally
@@ -221,6 +745,125 @@ export class RNKCyphur {
         ui.notifications.info(game.i18n.format('CYPHUR.DeleteSuccess', { name }));
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // CHANNELS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Create a topic channel (GM only)
+     * @param {string} name - Channel name
+     * @param {object} options - { topic, visibility }
+     * @returns {object|null} The created channel
+     */
+    static async createChannel(name, options = {}) {
+        if (!game.user.isGM) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Channels.CreatePermissionError'));
+            return null;
+        }
+
+        const channel = DataManager.createChannel(name, options);
+        channel.keyring = await CryptoManager.createKeyring(channel.id, [game.user.id, ...CryptoManager.getGMIds()]);
+        await DataManager.saveGroupChats();
+
+        SocketHandler.broadcastGroupCreate(channel);
+
+        UIManager.updatePlayerHub();
+        UIManager.updateGroupManager();
+
+        ui.notifications.info(game.i18n.format('CYPHUR.Channels.Created', { name: channel.name }));
+        return channel;
+    }
+
+    /**
+     * Join a channel and open it
+     * @param {string} channelId - Channel ID
+     */
+    static async joinChannel(channelId) {
+        const channel = DataManager.groupChats.get(channelId);
+        if (!DataManager.canAccessChannel(channel, game.user)) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Channels.JoinPermissionError'));
+            return;
+        }
+
+        if (!DataManager.applyChannelMembership(channelId, 'join', game.user.id)) return;
+        SocketHandler.broadcastChannelUpdate(channelId, 'join', game.user.id);
+        if (game.user.isGM) await DataManager.saveGroupChats();
+
+        UIManager.updatePlayerHub();
+        UIManager.openGroupChat(channelId);
+    }
+
+    /**
+     * Leave a channel
+     * @param {string} channelId - Channel ID
+     */
+    static async leaveChannel(channelId) {
+        if (!DataManager.applyChannelMembership(channelId, 'leave', game.user.id)) return;
+
+        SocketHandler.broadcastChannelUpdate(channelId, 'leave', game.user.id);
+        if (game.user.isGM) await DataManager.saveGroupChats();
+
+        UIManager.closeChatWindow(channelId, 'group');
+        UIManager.updatePlayerHub();
+    }
+
+    /**
+     * Invite users to a channel (members and GMs)
+     * @param {string} channelId - Channel ID
+     * @param {Array<string>} userIds - Users to invite
+     */
+    static async inviteToChannel(channelId, userIds) {
+        const channel = DataManager.groupChats.get(channelId);
+        if (!DataManager.isChannel(channel)) return;
+        if (!game.user.isGM && !channel.members.includes(game.user.id)) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Channels.InvitePermissionError'));
+            return;
+        }
+
+        let invited = 0;
+        for (const userId of userIds) {
+            if (!DataManager.applyChannelMembership(channelId, 'invite', userId)) continue;
+            SocketHandler.sendChannelInvite(channel, userId);
+            invited++;
+        }
+        if (!invited) return;
+
+        if (game.user.isGM) await DataManager.saveGroupChats();
+        UIManager.updatePlayerHub();
+        ui.notifications.info(game.i18n.format('CYPHUR.Channels.InvitesSent', { count: invited }));
+    }
+
+    /**
+     * Open a conversation with an actor, starting one if needed
+     * It goes to whoever controls the actor, who answers as it.
+     * @param {string} actorUuid - Actor UUID
+     * @returns {Promise<object|null>} The conversation
+     */
+    static async messageActor(actorUuid) {
+        const existing = DataManager.getActorConversation(actorUuid, game.user.id);
+        if (existing) {
+            UIManager.openGroupChat(existing.id);
+            return existing;
+        }
+
+        const actor = fromUuidSync(actorUuid);
+        if (!DataManager.getMessageableActors().includes(actor)) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.NpcInbox.Unavailable'));
+            return null;
+        }
+
+        const group = DataManager.createActorConversation(actor);
+        group.keyring = await CryptoManager.createKeyring(group.id, [...group.members, ...CryptoManager.getGMIds()]);
+        if (game.user.isGM) await DataManager.saveGroupChats();
+
+        SocketHandler.broadcastGroupCreate(group);
+
+        UIManager.updatePlayerHub();
+        UIManager.updateGMModWindow();
+        UIManager.openGroupChat(group.id);
+        return group;
+    }
+
     /**
      * Edit a message
      * @param {string} conversationId - Conversation ID
@@ -229,8 +872,30 @@ export class RNKCyphur {
      * @param {boolean} isGroup - Is group chat
      */
     static async editMessage(conversationId, messageId, newContent, isGroup = false) {
+        const message = DataManager.getMessage(conversationId, messageId, isGroup);
+        if (!message || message.deleted) return;
+
+        // Re-seal every secret field, not just the text, so nothing is lost on reload.
+        // Rolls keep their original results; hidden attachments keep their own envelope.
+        const edit = {
+            senderId: message.senderId,
+            messageContent: newContent,
+            imageUrl: message.imageUrl,
+            attachments: message.attachments?.filter(a => !AttachmentManager.isHidden(message, a.id)),
+            rolls: message.rolls
+        };
+        this._resolveLinks(edit);
+        const participants = isGroup ? DataManager.groupChats.get(conversationId)?.members || [] : conversationId.split('-');
+        this._resolveMentions(edit, participants);
+
+        if (!await this._sealMessage(edit, conversationId, isGroup)) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Crypto.SendBlocked'));
+            return;
+        }
+
         // Edit locally
-        DataManager.editMessage(conversationId, messageId, newContent, isGroup);
+        const body = { messageContent: edit.messageContent, links: edit.links, mentions: edit.mentions };
+        DataManager.editMessage(conversationId, messageId, body, isGroup, { cipher: edit.cipher, editedBy: game.user.id });
         
         // Save if GM
         if (game.user.isGM) {
@@ -238,7 +903,7 @@ export class RNKCyphur {
         }
         
         // Broadcast edit
-        SocketHandler.broadcastEditMessage(conversationId, messageId, newContent, isGroup);
+        SocketHandler.broadcastEditMessage(conversationId, messageId, body, isGroup, edit.cipher);
         
         // Update UI
         if (isGroup) {
@@ -257,8 +922,8 @@ export class RNKCyphur {
      * @param {boolean} isGroup - Is group chat
      */
     static async deleteMessage(conversationId, messageId, isGroup = false) {
-        // Delete locally
-        DataManager.deleteMessage(conversationId, messageId, isGroup);
+        // Delete locally, leaving a tombstone
+        DataManager.deleteMessage(conversationId, messageId, isGroup, game.user.id);
         
         // Save if GM
         if (game.user.isGM) {
@@ -308,4 +973,339 @@ export class RNKCyphur {
             if (otherUserId) UIManager.updateChatWindow(otherUserId, 'private');
         }
     }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // SCHEDULED DELIVERY
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Compose a message now and deliver it at a later real or world time
+     * The message is built and sealed as if it were sent now. The active GM holds
+     * it in the archive and delivers it under the sender's name once it is due.
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {string} messageContent - Message content
+     * @param {object} trigger - { type, at }: a SCHEDULE_TRIGGERS type, with at in ms for real time
+     *   or seconds of game.time.worldTime for world time
+     * @param {object} options - { speakerData, imageUrl, attachments, rollVisibility, language }, and { expiry } to
+     *   override the conversation's message timer at delivery (null for none)
+     * @returns {Promise<boolean>} Whether the message was scheduled
+     */
+    static async scheduleMessage(conversationId, isGroup, messageContent, trigger, options = {}) {
+        if (!DataManager.isValidScheduleTrigger(trigger)) return false;
+
+        const senderId = game.user.id;
+        if (!DataManager.canPostTo(conversationId, isGroup, senderId)) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.GroupRoles.ReadOnlyNotice'));
+            return false;
+        }
+        const group = isGroup ? DataManager.groupChats.get(conversationId) : null;
+        const participants = isGroup ? group.members : conversationId.split('-');
+        const speakerData = DataManager.getActorSpeaker(group, senderId) ?? options.speakerData;
+
+        const messageData = {
+            senderId: senderId,
+            senderName: speakerData ? speakerData.name : game.user.name,
+            senderImg: speakerData ? speakerData.img : game.user.avatar,
+            messageContent: messageContent,
+            timestamp: Date.now(),
+            id: foundry.utils.randomID()
+        };
+        if (speakerData?.actorId) messageData.actorId = speakerData.actorId;
+        if (LanguageManager.isLanguage(options.language)) messageData.language = options.language;
+        if (options.imageUrl) messageData.imageUrl = options.imageUrl;
+        AttachmentManager.apply(messageData, options.attachments);
+
+        await this._resolveRolls(messageData, options.rollVisibility);
+        this._resolveLinks(messageData);
+        this._resolveMentions(messageData, participants);
+
+        if (!await this._sealMessage(messageData, conversationId, isGroup)) {
+            this._notifySealFailed(participants);
+            return false;
+        }
+
+        const record = {
+            id: messageData.id,
+            conversationId,
+            isGroup,
+            trigger,
+            message: CryptoManager.strip(messageData)
+        };
+        if (options.expiry !== undefined) record.expiry = options.expiry;
+
+        if (game.user.isGM) {
+            await StorageManager.recordScheduled(record.id, { ...record, scheduledBy: senderId, createdAt: Date.now() });
+            UIManager.updateGMModWindow();
+        } else if (!SocketHandler.scheduleMessage(record)) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Schedule.NoGM'));
+            return false;
+        }
+
+        ui.notifications.info(game.i18n.format('CYPHUR.Schedule.Scheduled', { time: this.getScheduleLabel(trigger) }));
+        return true;
+    }
+
+    /**
+     * GM: Change the text or delivery time of a scheduled message
+     * @param {string} messageId - Scheduled message ID
+     * @param {object} changes - { messageContent, trigger }
+     * @returns {Promise<boolean>} Whether the message was changed
+     */
+    static async updateScheduledMessage(messageId, { messageContent, trigger } = {}) {
+        if (!game.user.isGM) return false;
+
+        const record = StorageManager.getScheduled()[messageId];
+        if (!record || (trigger && !DataManager.isValidScheduleTrigger(trigger))) return false;
+
+        const message = messageContent === undefined ? record.message : await this._rewriteHeld(record, messageContent);
+        if (!message) return false;
+
+        await StorageManager.recordScheduled(messageId, { ...record, message, trigger: trigger ?? record.trigger });
+        UIManager.updateGMModWindow();
+        return true;
+    }
+
+    /**
+     * GM: Change the text of a message the GM is holding
+     * @param {object} record - Scheduled or held message record
+     * @param {string} messageContent - New text
+     * @returns {Promise<object|null>} The message sealed and stripped again, or null if it could not be
+     */
+    static async _rewriteHeld(record, messageContent) {
+        const { conversationId, isGroup } = record;
+        const group = isGroup ? DataManager.groupChats.get(conversationId) : null;
+        const original = { ...record.message };
+        if (!await CryptoManager.open(original, group?.keyring)) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Crypto.Undecryptable'));
+            return null;
+        }
+
+        // Re-seal every secret field, as an edit does. Rolls keep their original results.
+        const message = { ...original, messageContent };
+        delete message.cipher;
+        delete message.links;
+        delete message.mentions;
+        this._resolveLinks(message);
+        this._resolveMentions(message, isGroup ? group?.members || [] : conversationId.split('-'));
+        if (!await this._sealMessage(message, conversationId, isGroup)) {
+            ui.notifications.error(game.i18n.localize('CYPHUR.Crypto.SendBlocked'));
+            return null;
+        }
+        return CryptoManager.strip(message);
+    }
+
+    /**
+     * GM: Cancel a scheduled message
+     * @param {string} messageId - Scheduled message ID
+     */
+    static async cancelScheduledMessage(messageId) {
+        if (!game.user.isGM) return;
+        await StorageManager.removeScheduled(messageId);
+        UIManager.updateGMModWindow();
+    }
+
+    /**
+     * When a scheduled message will be delivered
+     * @param {object} trigger - { type, at }
+     * @returns {string}
+     */
+    static getScheduleLabel(trigger) {
+        return trigger?.type === SCHEDULE_TRIGGERS.WORLD
+            ? Utils.formatWorldTime(trigger.at)
+            : Utils.formatFullTimestamp(trigger?.at);
+    }
+
+    /**
+     * Start delivering scheduled messages as they fall due, and messages in transit as they arrive
+     * Real-time messages are checked on a timer, world-time messages whenever world time advances.
+     */
+    static _initializeScheduler() {
+        this._scheduleTimer = setInterval(() => {
+            this._deliverDueMessages();
+            this.deliverTransmissions();
+        }, SCHEDULE_CHECK_INTERVAL);
+        Hooks.on('updateWorldTime', () => this._deliverDueMessages());
+    }
+
+    /**
+     * Active GM: Deliver every scheduled message that is due, oldest first
+     */
+    static async _deliverDueMessages() {
+        if (this._delivering || Utils.getActiveGM()?.id !== game.user.id) return;
+        this._delivering = true;
+
+        try {
+            const now = Date.now();
+            const worldTime = game.time.worldTime;
+            const due = Object.values(StorageManager.getScheduled())
+                .filter(record => DataManager.isScheduleDue(record.trigger, now, worldTime))
+                .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+
+            for (const record of due) {
+                // Remove first, so a failed or slow delivery is never sent twice
+                await StorageManager.removeScheduled(record.id);
+                await this._deliverAsSender(record);
+            }
+            if (due.length) UIManager.updateGMModWindow();
+        } finally {
+            this._delivering = false;
+        }
+    }
+
+    /**
+     * Active GM: Deliver private messages that have crossed their link, and lose those on dropped links
+     * Messages on jammed links wait until the link is reopened. With signal lag off, everything arrives.
+     */
+    static async deliverTransmissions() {
+        if (this._transmitting || Utils.getActiveGM()?.id !== game.user.id) return;
+        this._transmitting = true;
+
+        try {
+            const lagging = DataManager.isSignalLagEnabled();
+            const now = Date.now();
+            const records = Object.values(StorageManager.getInTransit())
+                .filter(record => !record.lost)
+                .sort((a, b) => (a.sentAt ?? 0) - (b.sentAt ?? 0));
+
+            for (const record of records) {
+                const senderId = record.message?.senderId;
+                const { state } = DataManager.getSignalLink(record.conversationId);
+                let outcome;
+                if (lagging && state === SIGNAL_LINK_STATES.DROPPED) {
+                    outcome = 'lost';
+                } else if (lagging && (state === SIGNAL_LINK_STATES.JAMMED || record.deliverAt > now)) {
+                    continue;
+                } else if (DataManager.isIntercepted(record.conversationId)) {
+                    await SocketHandler.holdMessage(record.conversationId, false, record.message);
+                    outcome = 'held';
+                } else {
+                    outcome = await this._deliverAsSender(record) ? 'arrived' : 'lost';
+                }
+
+                // Delivered before it is forgotten, so a sender handing it over again meanwhile
+                // hears where it went. Senders who are away hear of a loss the next time.
+                if (outcome === 'lost' && !SocketHandler.reachable.has(senderId)) {
+                    await StorageManager.recordInTransit(record.id, { ...record, lost: true });
+                } else {
+                    await StorageManager.removeInTransit(record.id);
+                }
+                SocketHandler.acknowledgeTransit(senderId, record.id, outcome);
+            }
+        } finally {
+            this._transmitting = false;
+        }
+    }
+
+    /**
+     * GM: Deliver a scheduled or held message under its sender's name
+     * Messages whose sender may no longer post to the conversation are dropped.
+     * @param {object} record - Scheduled or held message record
+     * @returns {Promise<boolean>} Whether the message was delivered
+     */
+    static async _deliverAsSender(record) {
+        const { conversationId, isGroup, expiry } = record;
+        const senderId = record.message?.senderId;
+        if (!DataManager.canPostTo(conversationId, isGroup, senderId)) {
+            console.warn(`Cyphur | Dropped message ${record.id}: sender can no longer post to ${conversationId}`);
+            return false;
+        }
+
+        const group = isGroup ? DataManager.groupChats.get(conversationId) : null;
+        const messageData = { ...record.message, timestamp: Date.now() };
+        DataManager.applyExpiry(messageData, expiry === undefined ? DataManager.getConversationExpiry(conversationId, isGroup) : expiry);
+        const wireMessage = CryptoManager.strip({ ...messageData });
+        await CryptoManager.open(messageData, group?.keyring);
+
+        if (isGroup) {
+            DataManager.addGroupMessage(conversationId, messageData);
+            await DataManager.saveGroupChats();
+        } else {
+            const [userId1, userId2] = conversationId.split('-');
+            DataManager.addPrivateMessage(userId1, userId2, messageData);
+            await DataManager.savePrivateChats();
+        }
+
+        SocketHandler.deliverAs(conversationId, wireMessage, isGroup);
+
+        DataManager.addInterceptedMessage({
+            senderId,
+            recipientId: isGroup ? null : conversationId.split('-').find(id => id !== senderId),
+            groupId: isGroup ? conversationId : undefined,
+            groupName: group?.name,
+            participants: isGroup ? group.members : undefined,
+            messageData
+        });
+        UIManager.updateGMMonitor();
+        UIManager.updateConversation(conversationId, isGroup);
+        UIManager.updatePlayerHub();
+        return true;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // INTERCEPTION
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * GM: Release a held message to its recipients, as sent or with new text
+     * Its sender keeps the copy they wrote.
+     * @param {string} messageId - Held message ID
+     * @param {string} [messageContent] - Replacement text
+     * @returns {Promise<boolean>} Whether the message was delivered
+     */
+    static async approveHeldMessage(messageId, messageContent) {
+        if (!game.user.isGM) return false;
+
+        const record = StorageManager.getHeld()[messageId];
+        if (!record) return false;
+
+        const message = messageContent === undefined ? record.message : await this._rewriteHeld(record, messageContent);
+        if (!message) return false;
+
+        await StorageManager.removeHeld(messageId);
+        const delivered = await this._deliverAsSender({ ...record, message });
+        if (!delivered) ui.notifications.warn(game.i18n.localize('CYPHUR.Intercept.Undeliverable'));
+        UIManager.updateGMModWindow();
+        return delivered;
+    }
+
+    /**
+     * GM: Hold a message back until a later time, as a scheduled message
+     * @param {string} messageId - Held message ID
+     * @param {object} changes - { trigger, messageContent }
+     * @returns {Promise<boolean>} Whether the message was rescheduled
+     */
+    static async delayHeldMessage(messageId, { trigger, messageContent } = {}) {
+        if (!game.user.isGM) return false;
+
+        const record = StorageManager.getHeld()[messageId];
+        if (!record || !DataManager.isValidScheduleTrigger(trigger)) return false;
+
+        const message = messageContent === undefined ? record.message : await this._rewriteHeld(record, messageContent);
+        if (!message) return false;
+
+        await StorageManager.recordScheduled(messageId, {
+            id: messageId,
+            conversationId: record.conversationId,
+            isGroup: record.isGroup,
+            trigger,
+            expiry: record.expiry,
+            message,
+            scheduledBy: message.senderId,
+            createdAt: Date.now()
+        });
+        await StorageManager.removeHeld(messageId);
+        UIManager.updateGMModWindow();
+        return true;
+    }
+
+    /**
+     * GM: Drop a held message. Its sender still believes it was sent.
+     * @param {string} messageId - Held message ID
+     */
+    static async dropHeldMessage(messageId) {
+        if (!game.user.isGM) return;
+        await StorageManager.removeHeld(messageId);
+        UIManager.updateGMModWindow();
+    }
 }
@@ -0,0 +1,339 @@
+/**
+ * RNK Cyphur - Search Index
+ * Incremental in-memory full-text index over the user's conversations
+ *
+ * A message is tokenized once, when it is first indexed. New, edited and
+ * deleted messages update the index directly; bulk changes (loading, sync,
+ * history trimming) are picked up before each search by comparing message
+ * IDs, without re-tokenizing. Decryption changes messages in place, so it
+ * marks the index dirty instead. Messages in a language the user cannot read
+ * are left out until they can.
+ *
+ * Query syntax: plain words (prefix match), "exact phrases" and the filters
+ * from:, in:, has:image|link|roll, before:/after: (YYYY-MM-DD) and is:pinned.
+ */
+
+import { DataManager } from './DataManager.js';
+import { Utils } from './Utils.js';
+import { LanguageManager } from './LanguageManager.js';
+
+const TOKEN = /[\p{L}\p{N}]+/gu;
+const QUERY_PART = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+const FILTERS = ['from', 'in', 'has', 'before', 'after', 'is'];
+const DAY = 86400000;
+const SNIPPET_RADIUS = 40;
+const MAX_RESULTS = 100;
+
+export class SearchIndex {
+    /** Indexed messages, keyed by message ID */
+    static _docs = new Map();
+
+    /** Token -> Set of message IDs */
+    static _postings = new Map();
+
+    /** Conversation ID -> { history, length, lastId, ids, dirty } as last indexed */
+    static _conversations = new Map();
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // INDEXING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Index a new or edited message
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {object} message - Message as stored in history
+     */
+    static add(conversationId, isGroup, message) {
+        if (!message?.id) return;
+        this._index(conversationId, isGroup, message);
+        this._conversations.get(conversationId)?.ids.add(message.id);
+    }
+
+    /**
+     * Drop a deleted message
+     * @param {string} messageId - Message ID
+     */
+    static remove(messageId) {
+        const doc = this._docs.get(messageId);
+        if (!doc) return;
+        this._unindex(messageId);
+        this._conversations.get(doc.conversationId)?.ids.delete(messageId);
+    }
+
+    /**
+     * Re-index conversations at the next search, after messages changed in place
+     * @param {string} conversationId - Conversation ID, or every conversation if omitted
+     */
+    static invalidate(conversationId = null) {
+        for (const [id, state] of this._conversations) {
+            if (!conversationId || id === conversationId) state.dirty = true;
+        }
+    }
+
+    /**
+     * Bring the index up to date with every conversation the user belongs to
+     */
+    static _refresh() {
+        for (const [conversationId, chat] of DataManager.privateChats) {
+            if (chat.users?.includes(game.user.id)) this._sync(conversationId, false, chat.history || []);
+        }
+        for (const [conversationId, group] of DataManager.groupChats) {
+            if (group.members?.includes(game.user.id)) this._sync(conversationId, true, group.history || []);
+        }
+    }
+
+    static _sync(conversationId, isGroup, history) {
+        let state = this._conversations.get(conversationId);
+        if (state && !state.dirty && state.history === history && state.length === history.length
+            && state.lastId === history[history.length - 1]?.id) return;
+
+        if (!state) {
+            state = { ids: new Set() };
+            this._conversations.set(conversationId, state);
+        }
+
+        const current = new Set(history.map(m => m.id));
+        for (const id of state.ids) {
+            if (!current.has(id)) this._unindex(id);
+        }
+        for (const message of history) {
+            if (state.dirty || !this._docs.has(message.id)) this._index(conversationId, isGroup, message);
+        }
+
+        state.ids = current;
+        state.dirty = false;
+        this._snapshot(state, history);
+    }
+
+    static _snapshot(state, history) {
+        state.history = history;
+        state.length = history.length;
+        state.lastId = history[history.length - 1]?.id;
+    }
+
+    static _index(conversationId, isGroup, message) {
+        this._unindex(message.id);
+        if (message.undecryptable || message.deleted || !LanguageManager.canRead(message)) return;
+
+        const text = Utils.htmlToText(message.messageContent || '');
+        const tokens = new Set(text.toLowerCase().match(TOKEN) || []);
+        this._docs.set(message.id, {
+            id: message.id,
+            conversationId,
+            isGroup,
+            senderId: message.senderId,
+            senderName: (message.senderName || '').toLowerCase(),
+            timestamp: message.timestamp || 0,
+            text,
+            lower: text.toLowerCase(),
+            tokens,
+            hasImage: Boolean(message.imageUrl),
+            hasLink: Boolean(message.links?.length) || (message.messageContent || '').includes('cyphur-link'),
+            hasRoll: Boolean(message.rolls?.length)
+        });
+
+        for (const token of tokens) {
+            if (!this._postings.has(token)) this._postings.set(token, new Set());
+            this._postings.get(token).add(message.id);
+        }
+    }
+
+    static _unindex(messageId) {
+        const doc = this._docs.get(messageId);
+        if (!doc) return;
+        for (const token of doc.tokens) {
+            const ids = this._postings.get(token);
+            ids?.delete(messageId);
+            if (ids && !ids.size) this._postings.delete(token);
+        }
+        this._docs.delete(messageId);
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // QUERYING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Split a query into words, phrases and filters
+     * @param {string} query - Search query
+     * @returns {object} { terms, phrases, filters: { from, in, has, is, before, after } }
+     */
+    static parse(query) {
+        const parsed = { terms: [], phrases: [], filters: { from: [], in: [], has: [], is: [], before: null, after: null } };
+        for (const [, key, value, phrase, word] of (query || '').matchAll(QUERY_PART)) {
+            const filter = key?.toLowerCase();
+            if (filter && FILTERS.includes(filter)) {
+                const clean = value.replace(/^"|"$/g, '').toLowerCase();
+                if (filter === 'before' || filter === 'after') parsed.filters[filter] = this._parseDate(clean);
+                else if (clean) parsed.filters[filter].push(clean);
+            } else if (phrase !== undefined) {
+                if (phrase.trim()) parsed.phrases.push(phrase.trim().toLowerCase());
+            } else {
+                parsed.terms.push(...((key ? `${key} ${value}` : word).toLowerCase().match(TOKEN) || []));
+            }
+        }
+        return parsed;
+    }
+
+    static _parseDate(value) {
+        const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00`).getTime() : Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    }
+
+    /**
+     * Whether a query has anything to search for
+     * @param {object} parsed - From parse()
+     * @returns {boolean}
+     */
+    static isEmpty(parsed) {
+        const { filters } = parsed;
+        return !parsed.terms.length && !parsed.phrases.length && !filters.from.length && !filters.in.length
+            && !filters.has.length && !filters.is.length && filters.before === null && filters.after === null;
+    }
+
+    /**
+     * Search the user's conversations
+     * @param {string} query - Search query
+     * @param {object} options - { conversationId } to search one conversation, { limit }
+     * @returns {Array} Results, best first: { conversationId, isGroup, messageId, score, snippet, timestamp }
+     */
+    static search(query, { conversationId = null, limit = MAX_RESULTS } = {}) {
+        const parsed = this.parse(query);
+        if (this.isEmpty(parsed)) return [];
+        this._refresh();
+
+        let candidates = null;
+        const termScores = new Map();
+        for (const term of parsed.terms) {
+            const matched = new Map();
+            for (const [token, ids] of this._postings) {
+                if (!token.startsWith(term)) continue;
+                const score = token === term ? 3 : 1;
+                for (const id of ids) matched.set(id, Math.max(matched.get(id) ?? 0, score));
+            }
+            candidates = candidates ? new Set([...candidates].filter(id => matched.has(id))) : new Set(matched.keys());
+            for (const [id, score] of matched) termScores.set(id, (termScores.get(id) ?? 0) + score);
+        }
+
+        const now = Date.now();
+        const results = [];
+        for (const id of candidates ?? this._docs.keys()) {
+            const doc = this._docs.get(id);
+            if (!doc || (conversationId && doc.conversationId !== conversationId)) continue;
+            if (!this._isMember(doc) || !this._matchesDoc(doc, parsed)) continue;
+
+            const score = (termScores.get(id) ?? 0) + parsed.phrases.length * 5 + 1 / (1 + (now - doc.timestamp) / DAY);
+            results.push({
+                conversationId: doc.conversationId,
+                isGroup: doc.isGroup,
+                messageId: doc.id,
+                timestamp: doc.timestamp,
+                score,
+                snippet: this.snippet(doc.text, parsed)
+            });
+        }
+
+        return results
+            .sort((a, b) => (b.score - a.score) || (b.timestamp - a.timestamp))
+            .slice(0, limit);
+    }
+
+    /**
+     * Whether a message outside the index (such as loaded archive history) matches a query
+     * @param {object} message - Message
+     * @param {string} query - Search query
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {boolean}
+     */
+    static matches(message, query, conversationId, isGroup) {
+        const parsed = this.parse(query);
+        if (this.isEmpty(parsed) || message.undecryptable || message.deleted || !LanguageManager.canRead(message)) return false;
+
+        const text = Utils.htmlToText(message.messageContent || '');
+        const tokens = text.toLowerCase().match(TOKEN) || [];
+        if (!parsed.terms.every(term => tokens.some(t => t.startsWith(term)))) return false;
+
+        return this._matchesDoc({
+            id: message.id,
+            conversationId,
+            isGroup,
+            senderId: message.senderId,
+            senderName: (message.senderName || '').toLowerCase(),
+            timestamp: message.timestamp || 0,
+            lower: text.toLowerCase(),
+            hasImage: Boolean(message.imageUrl),
+            hasLink: Boolean(message.links?.length) || (message.messageContent || '').includes('cyphur-link'),
+            hasRoll: Boolean(message.rolls?.length)
+        }, parsed);
+    }
+
+    static _isMember(doc) {
+        if (doc.isGroup) return Boolean(DataManager.groupChats.get(doc.conversationId)?.members?.includes(game.user.id));
+        return Boolean(DataManager.privateChats.get(doc.conversationId)?.users?.includes(game.user.id));
+    }
+
+    static _matchesDoc(doc, { phrases, filters }) {
+        if (!phrases.every(phrase => doc.lower.includes(phrase))) return false;
+
+        if (filters.from.length) {
+            const names = [doc.senderName, game.users.get(doc.senderId)?.name?.toLowerCase() ?? ''];
+            const isOwn = doc.senderId === game.user.id;
+            if (!filters.from.some(f => (f === 'me' && isOwn) || names.some(n => n.startsWith(f)))) return false;
+        }
+        if (filters.in.length) {
+            const name = this.getConversationName(doc.conversationId, doc.isGroup).toLowerCase();
+            if (!filters.in.every(f => name.includes(f))) return false;
+        }
+
+        const has = { image: doc.hasImage, link: doc.hasLink, roll: doc.hasRoll };
+        if (!filters.has.every(f => has[f])) return false;
+        if (filters.is.includes('pinned') && !DataManager.isPinned(doc.conversationId, doc.id)) return false;
+
+        if (filters.before !== null && doc.timestamp >= filters.before) return false;
+        if (filters.after !== null && doc.timestamp < filters.after + DAY) return false;
+        return true;
+    }
+
+    /**
+     * Display name of a conversation: the group name or the other user's name
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @returns {string}
+     */
+    static getConversationName(conversationId, isGroup) {
+        if (isGroup) return DataManager.groupChats.get(conversationId)?.name ?? '';
+        const otherUserId = conversationId.split('-').find(id => id !== game.user.id);
+        return game.users.get(otherUserId)?.name ?? '';
+    }
+
+    /**
+     * Escaped excerpt of a message around the first match, with matches in <mark>
+     * @param {string} text - Plain message text
+     * @param {object} parsed - From parse()
+     * @returns {string} HTML
+     */
+    static snippet(text, { terms, phrases }) {
+        const needles = [...phrases, ...terms].filter(Boolean);
+        const lower = text.toLowerCase();
+        const first = Math.min(...needles.map(n => lower.indexOf(n)).filter(i => i >= 0), text.length);
+        const position = first === text.length ? 0 : first;
+
+        const start = Math.max(0, position - SNIPPET_RADIUS);
+        const end = Math.min(text.length, position + SNIPPET_RADIUS * 2);
+        const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+
+        let html = '';
+        if (needles.length) {
+            const escaped = needles.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+            for (const [index, part] of excerpt.split(pattern).entries()) {
+                html += index % 2 ? `<mark>${Utils.sanitizeHTML(part)}</mark>` : Utils.sanitizeHTML(part);
+            }
+        } else {
+            html = Utils.sanitizeHTML(excerpt);
+        }
+        return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+    }
+}
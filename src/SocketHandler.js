@@ -6,16 +6,50 @@
 import { DataManager } from './DataManager.js';
 import { UIManager } from './UIManager.js';
 import { Utils } from './Utils.js';
-import { MODULE_ID, SOCKET_NAME, SOCKET_EVENTS } from './Constants.js';
+import { CryptoManager } from './CryptoManager.js';
+import { StorageManager } from './StorageManager.js';
+import { LanguageManager } from './LanguageManager.js';
+import { MODULE_ID, SOCKET_NAME, SOCKET_EVENTS, DELIVERY_STATE, GROUP_ROLES, SIGNAL_LINK_STATES } from './Constants.js';
+
+const TRANSIT_CHECK_INTERVAL = 1000;
+const OLDER_MESSAGES_TIMEOUT = 10000;
+
+// Events only a GM may send
+const GM_EVENTS = new Set([
+    SOCKET_EVENTS.GROUP_DELETE,
+    SOCKET_EVENTS.GROUP_SYNC,
+    SOCKET_EVENTS.PRIVATE_SYNC,
+    SOCKET_EVENTS.IMPERSONATION_REVEAL,
+    SOCKET_EVENTS.MESSAGE_DECIPHER,
+    SOCKET_EVENTS.ATTACHMENT_VISIBILITY,
+    SOCKET_EVENTS.INTERCEPT_UPDATE,
+    SOCKET_EVENTS.OLDER_MESSAGES
+]);
+
+// Group fields a GROUP_UPDATE may change
+const GROUP_UPDATE_FIELDS = ['name', 'members', 'invited', 'roles', 'topic', 'visibility', 'keyring'];
 
 export class SocketHandler {
     static SOCKET_NAME = SOCKET_NAME;
 
+    /** Users whose Cyphur client has announced itself and can receive messages */
+    static reachable = new Set();
+
+    /** Requests for archived history awaiting the GM's answer, by request ID */
+    static _olderRequests = new Map();
+
+    static _transitTimer = null;
+
     /**
      * Initialize socket listeners
      */
     static initialize() {
-        game.socket.on(this.SOCKET_NAME, (data) => this._onSocketMessage(data));
+        // Foundry passes the ID of the user who emitted the event, which payloads cannot fake
+        game.socket.on(this.SOCKET_NAME, (data, senderId) => this._onSocketMessage(data, senderId));
+        Hooks.on('userConnected', (user, connected) => {
+            if (!connected) this.reachable.delete(user.id);
+        });
+        this._transitTimer = setInterval(() => this._checkTransmissions(), TRANSIT_CHECK_INTERVAL);
         console.debug('Cyphur | Socket handler initialized');
     }
 
@@ -43,19 +77,54 @@ export class SocketHandler {
         Utils.playSound(soundPath, volume);
     }
 
+    /**
+     * Whether a received message should alert as a mention, bypassing mute
+     * @param {object} message - Decrypted message
+     * @returns {boolean}
+     */
+    static _isMentionAlert(message) {
+        return DataManager.isMentioned(message) && game.settings.get(MODULE_ID, 'mentionAlerts');
+    }
+
+    /**
+     * Priority notification for a message that mentions this user
+     * @param {object} message - Decrypted message
+     * @param {string} groupName - Group name, omitted for private messages
+     */
+    static _notifyMention(message, groupName = null) {
+        const name = message.senderName || game.users.get(message.senderId)?.name || '';
+        const title = groupName
+            ? game.i18n.format('CYPHUR.Mentions.NotificationGroup', { name, group: groupName })
+            : game.i18n.format('CYPHUR.Mentions.Notification', { name });
+        ui.notifications.info(title);
+        Utils.showDesktopNotification(
+            title,
+            Utils.htmlToText(LanguageManager.getReadableContent(message)).substring(0, 100),
+            game.users.get(message.senderId)?.avatar
+        );
+    }
+
     /**
      * Handle incoming socket messages
      * @param {object} data - Socket data
+     * @param {string} senderId - User who emitted the event
      */
-    static async _onSocketMessage(data) {
+    static async _onSocketMessage(data, senderId) {
         const isIncoming = (message) => message.senderId !== game.user.id;
 
+        const reason = this._authorize(data.type, data.payload, senderId);
+        if (reason) {
+            this._reject(data.type, data.payload, senderId, reason);
+            return;
+        }
+
         switch (data.type) {
             case SOCKET_EVENTS.PRIVATE_MESSAGE:
                 await this._handlePrivateMessage(data.payload, isIncoming);
                 break;
 
             case SOCKET_EVENTS.GROUP_MESSAGE:
+            case SOCKET_EVENTS.CHANNEL_MESSAGE:
                 await this._handleGroupMessage(data.payload, isIncoming);
                 break;
 
@@ -64,11 +133,11 @@ export class SocketHandler {
                 break;
 
             case SOCKET_EVENTS.EDIT_MESSAGE:
-                await this._handleEditMessage(data.payload);
+                await this._handleEditMessage(data.payload, senderId);
                 break;
 
             case SOCKET_EVENTS.DELETE_MESSAGE:
-                await this._handleDeleteMessage(data.payload);
+                await this._handleDeleteMessage(data.payload, senderId);
                 break;
 
             case SOCKET_EVENTS.ADD_REACTION:
@@ -80,7 +149,11 @@ export class SocketHandler {
                 break;
 
             case SOCKET_EVENTS.GROUP_UPDATE:
-                await this._handleGroupUpdate(data.payload);
+                await this._handleGroupUpdate(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.GROUP_INVITE:
+                await this._handleGroupInvite(data.payload);
                 break;
 
             case SOCKET_EVENTS.GROUP_DELETE:
@@ -91,6 +164,22 @@ export class SocketHandler {
                 await this._handleGroupSync(data.payload);
                 break;
 
+            case SOCKET_EVENTS.PRESENCE_UPDATE:
+                this._handlePresenceUpdate(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.IMPERSONATION_REVEAL:
+                await this._handleImpersonationReveal(data.payload);
+                break;
+
+            case SOCKET_EVENTS.CHANNEL_UPDATE:
+                await this._handleChannelUpdate(data.payload);
+                break;
+
+            case SOCKET_EVENTS.CHANNEL_INVITE:
+                await this._handleChannelInvite(data.payload);
+                break;
+
             case SOCKET_EVENTS.PRIVATE_SYNC:
                 await this._handlePrivateSync(data.payload);
                 break;
@@ -100,7 +189,63 @@ export class SocketHandler {
                 break;
 
             case SOCKET_EVENTS.MESSAGE_READ:
-                this._handleMessageRead(data.payload);
+                this._handleMessageRead(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.MESSAGE_DELIVERED:
+                this._handleMessageDelivered(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.CLIENT_ONLINE:
+                this._handleClientOnline(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.SYNC_REQUEST:
+                this._handleSyncRequest(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.OLDER_MESSAGES_REQUEST:
+                this._handleOlderMessagesRequest(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.OLDER_MESSAGES:
+                this._handleOlderMessages(data.payload);
+                break;
+
+            case SOCKET_EVENTS.REJECTED_EVENT:
+                this._handleRejectedEvent(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.MESSAGE_BURN:
+                await this._handleMessageBurn(data.payload);
+                break;
+
+            case SOCKET_EVENTS.CONVERSATION_EXPIRY:
+                await this._handleConversationExpiry(data.payload);
+                break;
+
+            case SOCKET_EVENTS.MESSAGE_SCHEDULE:
+                await this._handleMessageSchedule(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.MESSAGE_DECIPHER:
+                await this._handleMessageDecipher(data.payload);
+                break;
+
+            case SOCKET_EVENTS.MESSAGE_HOLD:
+                await this._handleMessageHold(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.MESSAGE_TRANSMIT:
+                await this._handleMessageTransmit(data.payload, senderId);
+                break;
+
+            case SOCKET_EVENTS.ATTACHMENT_VISIBILITY:
+                await this._handleAttachmentVisibility(data.payload);
+                break;
+
+            case SOCKET_EVENTS.INTERCEPT_UPDATE:
+                this._handleInterceptUpdate(data.payload);
                 break;
 
             default:
@@ -108,6 +253,227 @@ export class SocketHandler {
         }
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // PERMISSIONS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Check that the sender of an event may make the change it asks for
+     * Events about messages or groups this client does not have are let through;
+     * their handlers have nothing to change.
+     * @param {string} type - Event type
+     * @param {object} payload - Event payload
+     * @param {string} senderId - User who emitted the event
+     * @returns {string|null} Reason for rejecting the event, or null if it is allowed
+     */
+    static _authorize(type, payload, senderId) {
+        const sender = game.users.get(senderId);
+        if (!sender) return 'UnknownSender';
+        if (sender.isGM) return null;
+        if (GM_EVENTS.has(type)) return 'NotGM';
+
+        switch (type) {
+            // Messages come from their author, sent as actors they own; relays name the real sender
+            case SOCKET_EVENTS.PRIVATE_MESSAGE:
+                if (payload?.message?.senderId !== sender.id) return 'NotAuthor';
+                if (payload.isRelay && payload.originalSenderId !== sender.id) return 'NotAuthor';
+                return this._ownsSpeaker(payload.message, sender) ? null : 'NotActorOwner';
+
+            // Messages come from their author, and not from read-only members
+            case SOCKET_EVENTS.GROUP_MESSAGE:
+            case SOCKET_EVENTS.CHANNEL_MESSAGE: {
+                if (payload?.message?.senderId !== sender.id) return 'NotAuthor';
+                if (!this._ownsSpeaker(payload.message, sender)) return 'NotActorOwner';
+                const group = DataManager.groupChats.get(payload.groupId);
+                if (!group) return null;
+                if (!group.members.includes(sender.id)) return 'NotMember';
+                return DataManager.canPostInGroup(group, sender.id) ? null : 'ReadOnly';
+            }
+
+            case SOCKET_EVENTS.EDIT_MESSAGE:
+            case SOCKET_EVENTS.DELETE_MESSAGE: {
+                const message = DataManager.getMessage(payload?.conversationId, payload?.messageId, payload?.isGroup);
+                return !message || message.senderId === sender.id ? null : 'NotAuthor';
+            }
+
+            // Players may only create plain groups they own, and only invite others into them
+            case SOCKET_EVENTS.GROUP_CREATE: {
+                const group = payload?.group;
+                if (DataManager.isActorConversation(group)) return this._checkActorConversation(group, sender);
+                if (!game.settings.get(MODULE_ID, 'playerGroupCreation')) return 'GroupsDisabled';
+                if (DataManager.isChannel(group)) return 'NotGM';
+                if (group?.createdBy !== sender.id || DataManager.getGroupRole(group, sender.id) !== GROUP_ROLES.OWNER) return 'NotOwner';
+                if (group.members.some(id => id !== sender.id)) return 'NotInvited';
+                return DataManager.groupChats.has(group.id) ? 'GroupExists' : null;
+            }
+
+            case SOCKET_EVENTS.GROUP_UPDATE: {
+                const updates = payload?.updates ?? {};
+                if (Object.keys(updates).some(field => !GROUP_UPDATE_FIELDS.includes(field))) return 'InvalidFields';
+                const group = DataManager.groupChats.get(payload?.groupId);
+                return group ? DataManager.getGroupUpdateError(group, sender.id, updates) : null;
+            }
+
+            // Anyone in a conversation starts burn clocks by reading; timers are set by
+            // either side of a private chat, and by a group's owner or moderators
+            case SOCKET_EVENTS.MESSAGE_BURN:
+            case SOCKET_EVENTS.CONVERSATION_EXPIRY: {
+                const { conversationId, isGroup } = payload ?? {};
+                if (type === SOCKET_EVENTS.CONVERSATION_EXPIRY && !DataManager.isValidExpiry(payload.expiry)) return 'InvalidFields';
+                if (!isGroup) return conversationId?.split('-').includes(sender.id) ? null : 'NotMember';
+
+                const group = DataManager.groupChats.get(conversationId);
+                if (!group) return null;
+                if (!group.members.includes(sender.id)) return 'NotMember';
+                return type === SOCKET_EVENTS.MESSAGE_BURN || DataManager.canManageGroup(group, sender.id) ? null : 'NotManager';
+            }
+
+            // Players schedule only their own messages, into conversations they may post to
+            case SOCKET_EVENTS.MESSAGE_SCHEDULE: {
+                const { id, conversationId, isGroup, trigger, message } = payload ?? {};
+                if (message?.senderId !== sender.id) return 'NotAuthor';
+                if (!this._ownsSpeaker(message, sender)) return 'NotActorOwner';
+                if (message.id !== id || !DataManager.isValidScheduleTrigger(trigger)) return 'InvalidFields';
+                if ('expiry' in payload && !DataManager.isValidExpiry(payload.expiry)) return 'InvalidFields';
+                const existing = StorageManager.getScheduled()[id];
+                if (existing && existing.message?.senderId !== sender.id) return 'NotAuthor';
+                if (!isGroup) return conversationId?.split('-').includes(sender.id) ? null : 'NotMember';
+
+                const group = DataManager.groupChats.get(conversationId);
+                if (!group) return game.user.isGM ? 'UnknownGroup' : null;
+                if (!group.members.includes(sender.id)) return 'NotMember';
+                return DataManager.canPostInGroup(group, sender.id) ? null : 'ReadOnly';
+            }
+
+            // Players hand the GM only their own messages, from conversations they may post to
+            case SOCKET_EVENTS.MESSAGE_HOLD: {
+                const { conversationId, isGroup, message } = payload ?? {};
+                if (message?.senderId !== sender.id) return 'NotAuthor';
+                if (!this._ownsSpeaker(message, sender)) return 'NotActorOwner';
+                if (!isGroup) return conversationId?.split('-').includes(sender.id) ? null : 'NotMember';
+
+                const group = DataManager.groupChats.get(conversationId);
+                if (!group) return game.user.isGM ? 'UnknownGroup' : null;
+                if (!group.members.includes(sender.id)) return 'NotMember';
+                return DataManager.canPostInGroup(group, sender.id) ? null : 'ReadOnly';
+            }
+
+            // Players hand the GM only their own private messages to carry across a lagged link
+            case SOCKET_EVENTS.MESSAGE_TRANSMIT: {
+                const { conversationId, message } = payload ?? {};
+                if (message?.senderId !== sender.id) return 'NotAuthor';
+                if (!this._ownsSpeaker(message, sender)) return 'NotActorOwner';
+                return conversationId?.split('-').includes(sender.id) ? null : 'NotMember';
+            }
+
+            // Players read archived history only of conversations they take part in
+            case SOCKET_EVENTS.OLDER_MESSAGES_REQUEST: {
+                const { conversationId, isGroup } = payload ?? {};
+                if (!isGroup) return conversationId?.split('-').includes(sender.id) ? null : 'NotMember';
+                const group = DataManager.groupChats.get(conversationId);
+                if (!group) return game.user.isGM ? 'UnknownGroup' : null;
+                return group.members.includes(sender.id) ? null : 'NotMember';
+            }
+
+            case SOCKET_EVENTS.GROUP_INVITE: {
+                if (payload?.invitedBy !== sender.id) return 'NotSelf';
+                const group = DataManager.groupChats.get(payload?.group?.id);
+                if (!group) return game.user.isGM ? 'UnknownGroup' : null;
+                return DataManager.canManageGroup(group, sender.id) ? null : 'NotManager';
+            }
+
+            // Players join and leave channels only for themselves, and invite only into channels they are in
+            case SOCKET_EVENTS.CHANNEL_UPDATE:
+                return payload?.userId === sender.id ? null : 'NotSelf';
+
+            case SOCKET_EVENTS.CHANNEL_INVITE: {
+                if (payload?.invitedBy !== sender.id) return 'NotSelf';
+                const channel = DataManager.groupChats.get(payload?.channel?.id);
+                if (!channel) return game.user.isGM ? 'UnknownGroup' : null;
+                return channel.members?.includes(sender.id) ? null : 'NotMember';
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Check a player's new conversation with an actor
+     * It must be their own, with an actor they can see but do not control,
+     * and go to exactly the users who answer for that actor.
+     * @param {object} group - Conversation from the payload
+     * @param {User} sender - User who emitted the event
+     * @returns {string|null} Reason for rejecting it, or null if it is allowed
+     */
+    static _checkActorConversation(group, sender) {
+        if (group.createdBy !== sender.id) return 'NotOwner';
+        const actor = DataManager.getConversationActor(group);
+        if (!actor || !DataManager.getMessageableActors(sender).includes(actor)) return 'ActorUnavailable';
+
+        const expected = [sender.id, ...DataManager.getActorControllers(actor)];
+        const members = group.members ?? [];
+        if (members.length !== expected.length || expected.some(id => !members.includes(id))) return 'NotInvited';
+        if (group.invited?.length) return 'NotInvited';
+        return DataManager.groupChats.has(group.id) ? 'GroupExists' : null;
+    }
+
+    /**
+     * Whether the sender of an in-character message owns the actor it is sent as
+     * Actors this client does not know are let through, except on a GM's client.
+     * @param {object} message - Message from the payload
+     * @param {User} sender - User who emitted the event
+     * @returns {boolean}
+     */
+    static _ownsSpeaker(message, sender) {
+        if (!message?.actorId) return true;
+        const actor = game.actors.get(message.actorId);
+        if (!actor) return !game.user.isGM;
+        return actor.testUserPermission(sender, 'OWNER');
+    }
+
+    /**
+     * Drop an unauthorized event and log it to the GM monitor
+     * Players pass the rejection on to the active GM.
+     * @param {string} type - Event type
+     * @param {object} payload - Event payload
+     * @param {string} senderId - User who emitted the event
+     * @param {string} reason - From _authorize
+     */
+    static _reject(type, payload, senderId, reason) {
+        console.warn(`Cyphur | Rejected ${type} from ${game.users.get(senderId)?.name ?? senderId}: ${reason}`);
+
+        const entry = {
+            type,
+            senderId: senderId ?? null,
+            conversationId: payload?.conversationId ?? payload?.groupId ?? payload?.group?.id ?? null,
+            target: payload?.messageId ?? payload?.groupId ?? payload?.group?.id ?? null,
+            reason
+        };
+
+        if (game.user.isGM) {
+            if (DataManager.addRejectedEvent({ ...entry, reportedBy: game.user.id })) UIManager.updateGMMonitor();
+            return;
+        }
+
+        const gm = Utils.getActiveGM();
+        if (gm) this.emit(SOCKET_EVENTS.REJECTED_EVENT, entry, { recipients: [gm.id] });
+    }
+
+    /**
+     * GM: Log an event another client rejected
+     * @param {object} payload - { type, senderId, conversationId, target, reason }
+     * @param {string} reporterId - User who rejected it
+     */
+    static _handleRejectedEvent(payload, reporterId) {
+        if (!game.user.isGM || !payload?.type) return;
+
+        const { type, senderId, conversationId, target, reason } = payload;
+        if (DataManager.addRejectedEvent({ type, senderId, conversationId, target, reason, reportedBy: reporterId })) {
+            UIManager.updateGMMonitor();
+        }
+    }
+
     // ════════════════════════════════════════════════════════════════════════════
     // MESSAGE HANDLERS
     // ════════════════════════════════════════════════════════════════════════════
@@ -127,21 +493,33 @@ export class SocketHandler {
             return;
         }
 
+        await CryptoManager.open(message);
+
         if (isRelay && game.user.isGM) {
             // GM receiving a relay - add to monitor AND save to history
-            const monitorPayload = {
-                senderId: originalSenderId,
-                recipientId: originalRecipientId,
-                messageData: message
-            };
-            DataManager.addInterceptedMessage(monitorPayload);
-            
-            // Add to persistent history
-            DataManager.addPrivateMessage(originalSenderId, originalRecipientId, message);
-            await DataManager.savePrivateChats();
-            
-            UIManager.updateGMMonitor();
+            const relayKey = DataManager.getPrivateChatKey(originalSenderId, originalRecipientId);
+            if (!DataManager.hasMessage(relayKey, message.id)) {
+                const monitorPayload = {
+                    senderId: originalSenderId,
+                    recipientId: originalRecipientId,
+                    messageData: message
+                };
+                DataManager.addInterceptedMessage(monitorPayload);
+                
+                // Add to persistent history
+                DataManager.addPrivateMessage(originalSenderId, originalRecipientId, message);
+                await DataManager.savePrivateChats();
+                
+                UIManager.updateGMMonitor();
+            }
+            this._acknowledge(originalSenderId, [message.id], true);
         } else if (!isRelay) {
+            // Re-sent from the sender's outbox - just confirm delivery again
+            if (DataManager.hasMessage(DataManager.getPrivateChatKey(message.senderId, recipientId), message.id)) {
+                this._acknowledge(message.senderId, [message.id]);
+                return;
+            }
+
             // Normal message reception
             console.debug(`Cyphur | Normal message reception from ${message.senderId}`);
             DataManager.addPrivateMessage(message.senderId, recipientId, message);
@@ -162,17 +540,20 @@ export class SocketHandler {
             const chatKey = DataManager.getPrivateChatKey(message.senderId, recipientId);
             DataManager.incrementUnread(chatKey);
             
-            // Play sound (unless muted)
-            if (!DataManager.isMuted(chatKey)) {
+            // Play sound (unless muted - mentions get through)
+            const mentionAlert = this._isMentionAlert(message);
+            if (mentionAlert || !DataManager.isMuted(chatKey)) {
                 this._playNotificationSound();
             }
             
             // Desktop notification
             const senderUser = game.users.get(message.senderId);
-            if (senderUser) {
+            if (mentionAlert) {
+                this._notifyMention(message);
+            } else if (senderUser) {
                 Utils.showDesktopNotification(
                     game.i18n.format('CYPHUR.NotificationNewMessage', { name: senderUser.name }),
-                    message.messageContent?.substring(0, 100).replace(/<[^>]*>/g, ''),
+                    Utils.htmlToText(LanguageManager.getReadableContent(message)).substring(0, 100),
                     senderUser.avatar
                 );
             }
@@ -184,31 +565,50 @@ export class SocketHandler {
 
             // Hook for external modules (like Gateway)
             Hooks.callAll('RNKCyphurMessageReceived', message);
+
+            this._acknowledge(message.senderId, [message.id]);
         }
     }
 
     static async _handleGroupMessage(payload, isIncoming) {
-        const { groupId, message } = payload;
+        const { groupId, message, isRelay } = payload;
         const group = DataManager.groupChats.get(groupId);
-        
-        if (group?.members.includes(game.user.id) && isIncoming(message)) {
-            DataManager.addGroupMessage(groupId, message);
-            if (game.user.isGM) await DataManager.saveGroupChats();
+        if (!group || !isIncoming(message)) return;
+
+        const isMember = group.members.includes(game.user.id);
+        if (!isMember && !(isRelay && game.user.isGM)) return;
+
+        // Re-sent from the sender's outbox - just confirm delivery again
+        if (DataManager.hasMessage(groupId, message.id, true)) {
+            this._acknowledge(message.senderId, [message.id], !isMember);
+            return;
+        }
+
+        await CryptoManager.open(message, group.keyring);
+
+        DataManager.addGroupMessage(groupId, message);
+        if (game.user.isGM) await DataManager.saveGroupChats();
+
+        // A GM outside the group only stores the message for offline members
+        if (isMember) {
             
             // Increment unread
             DataManager.incrementUnread(groupId);
             
-            // Play sound (unless muted)
-            if (!DataManager.isMuted(groupId)) {
+            // Play sound (unless muted - mentions get through)
+            const mentionAlert = this._isMentionAlert(message);
+            if (mentionAlert || !DataManager.isMuted(groupId)) {
                 this._playNotificationSound();
             }
             
             // Desktop notification
             const senderUser = game.users.get(message.senderId);
-            if (senderUser && group) {
+            if (mentionAlert) {
+                this._notifyMention(message, group.name);
+            } else if (senderUser && group) {
                 Utils.showDesktopNotification(
                     game.i18n.format('CYPHUR.NotificationGroupMessage', { name: senderUser.name, group: group.name }),
-                    message.messageContent?.substring(0, 100).replace(/<[^>]*>/g, ''),
+                    Utils.htmlToText(LanguageManager.getReadableContent(message)).substring(0, 100),
                     senderUser.avatar
                 );
             }
@@ -216,10 +616,16 @@ export class SocketHandler {
             // Update UI
             UIManager.openChatWindowForNewMessage(groupId, 'group');
             UIManager.updatePlayerHub();
+        } else if (DataManager.isActorConversation(group)) {
+            // Counted for the GM's NPC inbox
+            DataManager.incrementUnread(groupId);
         }
+        if (game.user.isGM && DataManager.isActorConversation(group)) UIManager.updateGMModWindow();
+
+        this._acknowledge(message.senderId, [message.id], !isMember);
         
         // Add to GM monitor
-        if (game.user.isGM && isIncoming(message)) {
+        if (game.user.isGM) {
             const monitorPayload = {
                 senderId: message.senderId,
                 recipientId: null,
@@ -250,9 +656,18 @@ export class SocketHandler {
         }
     }
 
-    static async _handleEditMessage(payload) {
-        const { conversationId, messageId, newContent, isGroup } = payload;
-        DataManager.editMessage(conversationId, messageId, newContent, isGroup);
+    static async _handleEditMessage(payload, editedBy) {
+        const { conversationId, messageId, isGroup, cipher } = payload;
+        let { edit } = payload;
+
+        if (cipher) {
+            const keyring = isGroup ? DataManager.groupChats.get(conversationId)?.keyring : null;
+            edit = await CryptoManager.decrypt(cipher, keyring);
+            if (!edit) return;
+        }
+        if (!edit) return;
+
+        DataManager.editMessage(conversationId, messageId, edit, isGroup, { cipher, editedBy });
         
         if (game.user.isGM) {
             await (isGroup ? DataManager.saveGroupChats() : DataManager.savePrivateChats());
@@ -268,9 +683,9 @@ export class SocketHandler {
         }
     }
 
-    static async _handleDeleteMessage(payload) {
+    static async _handleDeleteMessage(payload, deletedBy) {
         const { conversationId, messageId, isGroup } = payload;
-        DataManager.deleteMessage(conversationId, messageId, isGroup);
+        DataManager.deleteMessage(conversationId, messageId, isGroup, deletedBy);
         
         if (game.user.isGM) {
             await (isGroup ? DataManager.saveGroupChats() : DataManager.savePrivateChats());
@@ -286,6 +701,156 @@ export class SocketHandler {
         }
     }
 
+    /**
+     * Someone read burn-after-reading messages, so start their clock here too
+     * The clock runs from when they were read, which may be long ago for a
+     * burn kept while no GM was online.
+     */
+    static async _handleMessageBurn(payload) {
+        const { conversationId, isGroup, messageIds } = payload;
+        if (!Array.isArray(messageIds)) return;
+        const startedAt = Number.isFinite(payload.startedAt) ? Math.min(payload.startedAt, Date.now()) : Date.now();
+        if (!DataManager.startBurn(conversationId, isGroup, messageIds, startedAt).length) return;
+
+        if (game.user.isGM) {
+            await (isGroup ? DataManager.saveGroupChats() : DataManager.savePrivateChats());
+        }
+        UIManager.updateConversation(conversationId, isGroup);
+    }
+
+    static async _handleConversationExpiry(payload) {
+        const { conversationId, isGroup, expiry } = payload;
+        if (!DataManager.setConversationExpiry(conversationId, isGroup, expiry)) return;
+
+        if (game.user.isGM) {
+            await (isGroup ? DataManager.saveGroupChats() : DataManager.savePrivateChats());
+        }
+        UIManager.updateConversation(conversationId, isGroup);
+    }
+
+    /**
+     * Active GM: Hold a player's scheduled message until it is due
+     * @param {object} payload - { id, conversationId, isGroup, trigger, expiry, message }
+     * @param {string} senderId - User who scheduled it
+     */
+    static async _handleMessageSchedule(payload, senderId) {
+        if (Utils.getActiveGM()?.id !== game.user.id) return;
+
+        const { id, conversationId, isGroup, trigger, expiry, message } = payload;
+        await StorageManager.recordScheduled(id, {
+            id,
+            conversationId,
+            isGroup: Boolean(isGroup),
+            trigger,
+            expiry,
+            message,
+            scheduledBy: senderId,
+            createdAt: Date.now()
+        });
+        UIManager.updateGMModWindow();
+    }
+
+    /**
+     * Active GM: Hold a message from an intercepted conversation for review
+     * The sender is told the message was delivered, and hears nothing more of it.
+     * @param {object} payload - { conversationId, isGroup, message } with the message sealed and stripped
+     * @param {string} senderId - User who sent it
+     */
+    static async _handleMessageHold(payload, senderId) {
+        if (Utils.getActiveGM()?.id !== game.user.id) return;
+
+        const { conversationId, isGroup, message } = payload;
+        // Resent while our acknowledgement was on its way: already held or already released
+        const known = message.id in StorageManager.getHeld()
+            || DataManager.hasMessage(conversationId, message.id, isGroup)
+            || message.id in StorageManager.getScheduled();
+
+        if (!known) await this.holdMessage(conversationId, isGroup, message);
+        this.acknowledgeTransit(senderId, message.id, 'held');
+    }
+
+    /**
+     * GM: Keep a message for review and tell the GM whose it is
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {object} message - Sealed and stripped message
+     */
+    static async holdMessage(conversationId, isGroup, message) {
+        await StorageManager.recordHeld(message.id, {
+            id: message.id,
+            conversationId,
+            isGroup: Boolean(isGroup),
+            expiry: message.expiry ?? null,
+            message,
+            heldAt: Date.now()
+        });
+
+        const conversation = isGroup
+            ? DataManager.groupChats.get(conversationId)?.name
+            : conversationId.split('-').map(id => game.users.get(id)?.name || 'Unknown').join(' ↔ ');
+        ui.notifications.info(game.i18n.format('CYPHUR.Intercept.Held', {
+            sender: game.users.get(message.senderId)?.name || 'Unknown',
+            conversation
+        }));
+        UIManager.updateGMModWindow();
+    }
+
+    /**
+     * Active GM: Carry a private message across a lagged link
+     * The GM works out the delay from its own link controls and delivers the
+     * message once it is due. Senders hand it over again until they hear where it is.
+     * @param {object} payload - { conversationId, message } with the message sealed and stripped
+     * @param {string} senderId - User who sent it
+     */
+    static async _handleMessageTransmit(payload, senderId) {
+        if (Utils.getActiveGM()?.id !== game.user.id) return;
+
+        const { conversationId, message } = payload;
+        const record = StorageManager.getInTransit()[message.id];
+        let outcome = 'transit';
+
+        if (record?.lost) {
+            await StorageManager.removeInTransit(message.id);
+            outcome = 'lost';
+        } else if (message.id in StorageManager.getHeld()) {
+            outcome = 'held';
+        } else if (DataManager.hasMessage(conversationId, message.id, false)) {
+            outcome = 'arrived';
+        } else if (!record) {
+            const sentAt = Date.now();
+            await StorageManager.recordInTransit(message.id, {
+                id: message.id,
+                conversationId,
+                isGroup: false,
+                expiry: message.expiry ?? null,
+                message,
+                deliverAt: sentAt + DataManager.getSignalLatency(conversationId) * 1000,
+                sentAt
+            });
+        }
+
+        this.acknowledgeTransit(senderId, message.id, outcome);
+    }
+
+    /**
+     * GM: Tell a sender where a message they handed over is
+     * @param {string} senderId - User who sent it
+     * @param {string} messageId - Message ID
+     * @param {string} outcome - 'transit', 'arrived', 'held' for review, or 'lost' on a dropped link
+     */
+    static acknowledgeTransit(senderId, messageId, outcome) {
+        if (!senderId || senderId === game.user.id) return;
+
+        this.emit(SOCKET_EVENTS.MESSAGE_DELIVERED, {
+            messageIds: [messageId],
+            stored: true,
+            isRelay: outcome === 'arrived',
+            held: outcome === 'held',
+            transit: outcome === 'transit',
+            lost: outcome === 'lost'
+        }, { recipients: [senderId] });
+    }
+
     static async _handleAddReaction(payload) {
         const { conversationId, messageId, emoji, userId, isGroup } = payload;
         DataManager.addReaction(conversationId, messageId, emoji, userId, isGroup);
@@ -312,26 +877,115 @@ export class SocketHandler {
         const { group } = payload;
         if (!group) return;
         
-        // Only add if we're a member
-        if (group.members.includes(game.user.id)) {
+        // Only add if we're a member or invitee, or it is a channel we can see. GMs keep every group.
+        const isInvited = group.invited?.includes(game.user.id);
+        const canSee = game.user.isGM || isInvited
+            || (DataManager.isChannel(group) && DataManager.canAccessChannel(group, game.user));
+        if (group.members.includes(game.user.id) || canSee) {
             DataManager.groupChats.set(group.id, group);
+            if (game.user.isGM) await DataManager.saveGroupChats();
             UIManager.updatePlayerHub();
             UIManager.updateGroupManager();
             
-            ui.notifications.info(game.i18n.format('CYPHUR.GroupCreated', { name: group.name }));
+            if (isInvited) {
+                this._notifyGroupInvite(group, group.createdBy);
+            } else if (DataManager.isActorConversation(group)) {
+                UIManager.updateGMModWindow();
+                if (group.members.includes(game.user.id)) {
+                    ui.notifications.info(game.i18n.format('CYPHUR.NpcInbox.Started', {
+                        player: game.users.get(group.createdBy)?.name ?? '?',
+                        actor: group.name
+                    }));
+                }
+            } else {
+                ui.notifications.info(game.i18n.format('CYPHUR.GroupCreated', { name: group.name }));
+            }
         }
     }
 
-    static async _handleGroupUpdate(payload) {
+    static async _handleGroupUpdate(payload, senderId) {
         const { groupId, updates } = payload;
         const group = DataManager.groupChats.get(groupId);
-        
-        if (group) {
-            Object.assign(group, updates);
+        if (!group) return;
+
+        const previousMembers = [...group.members];
+        Object.assign(group, updates);
+
+        // Kicked, or our invitation was withdrawn
+        const me = game.user.id;
+        if (!game.user.isGM && !group.members.includes(me) && !group.invited?.includes(me)) {
+            DataManager.groupChats.delete(groupId);
+            UIManager.closeChatWindow(groupId, 'group');
+            if (previousMembers.includes(me)) {
+                ui.notifications.warn(game.i18n.format('CYPHUR.GroupRoles.Removed', {
+                    name: game.users.get(senderId)?.name ?? '?',
+                    group: group.name
+                }));
+            }
             UIManager.updatePlayerHub();
-            UIManager.updateGroupManager();
-            UIManager.updateChatWindow(groupId, 'group');
+            return;
+        }
+
+        // A new keyring may unlock messages we could not read before
+        if (updates.keyring) await DataManager.decryptHistory(group.history, group.keyring, groupId);
+
+        // Hand the key, and the history if we hold it, to members who just accepted
+        const joined = group.members.filter(id => !previousMembers.includes(id));
+        if (joined.length && this._isKeyHolder(group)) await this._admitMembers(group, joined);
+
+        if (game.user.isGM) await DataManager.saveGroupChats();
+
+        UIManager.updatePlayerHub();
+        UIManager.updateGroupManager();
+        UIManager.updateChatWindow(groupId, 'group');
+    }
+
+    /**
+     * Receive an invitation to a group we may not have known about yet
+     */
+    static async _handleGroupInvite(payload) {
+        const { group, userId, invitedBy } = payload;
+        if (!group?.id || userId !== game.user.id) return;
+
+        const local = DataManager.groupChats.get(group.id);
+        if (local?.members.includes(userId)) return;
+
+        if (local) {
+            Object.assign(local, { ...group, history: local.history });
+        } else {
+            DataManager.groupChats.set(group.id, { ...group, history: [] });
         }
+
+        this._notifyGroupInvite(group, invitedBy);
+        UIManager.updatePlayerHub();
+    }
+
+    /**
+     * Tell the user they were invited to a group
+     * @param {object} group - Group object
+     * @param {string} invitedBy - Inviting user
+     */
+    static _notifyGroupInvite(group, invitedBy) {
+        ui.notifications.info(game.i18n.format('CYPHUR.GroupRoles.InvitedNotice', {
+            name: game.users.get(invitedBy)?.name ?? '?',
+            group: group.name
+        }));
+    }
+
+    /**
+     * Whether this client admits new group members
+     * The active GM does; without one, the first online owner or moderator does.
+     * @param {object} group - Group object
+     * @returns {boolean}
+     */
+    static _isKeyHolder(group) {
+        const gm = Utils.getActiveGM();
+        if (gm) return gm.id === game.user.id;
+
+        const manager = group.members
+            .filter(id => game.users.get(id)?.active && DataManager.canManageGroup(group, id))
+            .sort()[0];
+        return manager === game.user.id;
     }
 
     static async _handleGroupDelete(payload) {
@@ -343,42 +997,234 @@ export class SocketHandler {
         UIManager.updateGroupManager();
     }
 
-    static async _handleGroupSync(payload) {
-        const { groups } = payload;
-        if (!Array.isArray(groups)) return;
-        
-        for (const group of groups) {
-            if (group.members.includes(game.user.id)) {
-                DataManager.groupChats.set(group.id, group);
+    /**
+     * Apply a channel join or leave
+     * The active GM also hands the conversation key and history to new members.
+     */
+    static async _handleChannelUpdate(payload) {
+        const { channelId, action, userId } = payload;
+        const channel = DataManager.groupChats.get(channelId);
+        const user = game.users.get(userId);
+        if (!DataManager.isChannel(channel) || !user) return;
+        if (action === 'join' && !DataManager.canAccessChannel(channel, user)) return;
+
+        if (!DataManager.applyChannelMembership(channelId, action, userId)) return;
+
+        if (game.user.isGM) {
+            if (action === 'join' && Utils.getActiveGM()?.id === game.user.id) {
+                await this._admitMembers(channel, [userId]);
             }
+            await DataManager.saveGroupChats();
         }
-        
+
         UIManager.updatePlayerHub();
         UIManager.updateGroupManager();
+        UIManager.updateChatWindow(channelId, 'group');
     }
 
-    static async _handlePrivateSync(payload) {
-        const { chats } = payload;
-        if (!chats || typeof chats !== 'object') return;
-        
-        for (const [chatKey, chat] of Object.entries(chats)) {
-            if (chat.users.includes(game.user.id)) {
-                DataManager.privateChats.set(chatKey, chat);
-            }
+    /**
+     * Wrap the conversation key for new members of a group or channel
+     * GMs also send them its history.
+     * @param {object} group - Group or channel
+     * @param {Array<string>} userIds - New members
+     */
+    static async _admitMembers(group, userIds) {
+        if (group.keyring && CryptoManager.isReady) {
+            const keyring = await CryptoManager.extendKeyring(
+                group.id, group.keyring, [...group.members, ...CryptoManager.getGMIds()]
+            );
+            if (keyring && keyring !== group.keyring) {
+                group.keyring = keyring;
+                this.broadcastGroupUpdate(group.id, { keyring });
+            }
+        }
+
+        if (!game.user.isGM) return;
+        this.emit(SOCKET_EVENTS.GROUP_SYNC, {
+            groups: [DataManager.serializeChat(group)]
+        }, { recipients: userIds });
+        if (DataManager.isIntercepted(group.id)) this.broadcastIntercept(group.id, true, true, userIds);
+    }
+
+    static async _handleChannelInvite(payload) {
+        const { channel, userId, invitedBy } = payload;
+        if (!channel?.id || !game.users.get(userId)) return;
+
+        // Invitees may not have known about a hidden channel yet
+        if (!DataManager.groupChats.has(channel.id)) {
+            if (userId !== game.user.id && !game.user.isGM) return;
+            DataManager.groupChats.set(channel.id, { ...channel, history: [] });
+        }
+
+        if (!DataManager.applyChannelMembership(channel.id, 'invite', userId)) return;
+        if (game.user.isGM) await DataManager.saveGroupChats();
+
+        if (userId === game.user.id) {
+            ui.notifications.info(game.i18n.format('CYPHUR.Channels.InvitedNotice', {
+                name: game.users.get(invitedBy)?.name ?? '?',
+                channel: channel.name
+            }));
+        }
+
+        UIManager.updatePlayerHub();
+        UIManager.updateGroupManager();
+    }
+
+    static async _handleGroupSync(payload) {
+        const { groups, groupIds } = payload;
+        if (!Array.isArray(groups)) return;
+
+        // Drop groups that were deleted while we were away
+        if (Array.isArray(groupIds) && !game.user.isGM) {
+            for (const groupId of [...DataManager.groupChats.keys()]) {
+                if (!groupIds.includes(groupId)) DataManager.groupChats.delete(groupId);
+            }
+        }
+        
+        for (const group of groups) {
+            const isInvited = group.invited?.includes(game.user.id);
+            if (!group.members.includes(game.user.id) && !isInvited && !DataManager.canAccessChannel(group, game.user)) continue;
+
+            await DataManager.decryptHistory(group.history, group.keyring, group.id);
+            const local = DataManager.groupChats.get(group.id);
+            if (local) {
+                const { history, ...meta } = group;
+                Object.assign(local, meta);
+                await DataManager.decryptHistory(local.history, local.keyring, group.id);
+                this._applySyncedMessages(group.id, true, DataManager.mergeHistory(local, history));
+            } else {
+                DataManager.groupChats.set(group.id, group);
+                this._applySyncedMessages(group.id, true, group.history || []);
+            }
+            await DataManager.restoreHeldCopies(group.id, true);
+        }
+        
+        UIManager.updatePlayerHub();
+        UIManager.updateGroupManager();
+    }
+
+    static async _handlePrivateSync(payload) {
+        const { chats } = payload;
+        if (!chats || typeof chats !== 'object') return;
+        
+        for (const [chatKey, chat] of Object.entries(chats)) {
+            if (!chat.users?.includes(game.user.id)) continue;
+
+            await DataManager.decryptHistory(chat.history, null, chatKey);
+            const local = DataManager.privateChats.get(chatKey);
+            if (local) {
+                this._applySyncedMessages(chatKey, false, DataManager.mergeHistory(local, chat.history));
+            } else {
+                DataManager.privateChats.set(chatKey, chat);
+                this._applySyncedMessages(chatKey, false, chat.history || []);
+            }
+            await DataManager.restoreHeldCopies(chatKey, false);
         }
         
         UIManager.updatePlayerHub();
     }
 
+    /**
+     * Acknowledge, count and display messages that arrived through a sync
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is group chat
+     * @param {Array} added - Messages new to this client
+     */
+    static _applySyncedMessages(conversationId, isGroup, added) {
+        const lastRead = DataManager.lastRead.get(conversationId) || 0;
+        const bySender = new Map();
+
+        for (const msg of added) {
+            if (msg.senderId === game.user.id) continue;
+            if (!bySender.has(msg.senderId)) bySender.set(msg.senderId, []);
+            bySender.get(msg.senderId).push(msg.id);
+            if ((msg.timestamp || 0) > lastRead) DataManager.incrementUnread(conversationId);
+        }
+
+        for (const [senderId, messageIds] of bySender) this._acknowledge(senderId, messageIds);
+        if (added.length) UIManager.updateConversation(conversationId, isGroup);
+    }
+
     static _handleBackgroundShare(payload) {
         const { userId, path } = payload;
         UIManager.updateBackgroundForUser(userId, path);
     }
 
-    static _handleMessageRead(payload) {
-        const { conversationId, userId } = payload;
-        // Could be used to show read receipts in the future
-        console.debug(`Cyphur | ${userId} read messages in ${conversationId}`);
+    static async _handleImpersonationReveal(payload) {
+        const { conversationId, messageId, isGroup, gmId } = payload;
+        const gm = game.users.get(gmId);
+        if (!gm?.isGM) return;
+
+        const message = DataManager.getMessage(conversationId, messageId, isGroup);
+        if (!message) return;
+
+        message.impersonation = { revealed: true, gmName: gm.name };
+        if (game.user.isGM) {
+            if (isGroup) await DataManager.saveGroupChats();
+            else await DataManager.savePrivateChats();
+        }
+        UIManager.updateConversation(conversationId, isGroup);
+    }
+
+    static async _handleMessageDecipher(payload) {
+        const { conversationId, messageId, isGroup, userIds } = payload;
+        const message = DataManager.getMessage(conversationId, messageId, isGroup);
+        if (!message || !Array.isArray(userIds)) return;
+
+        message.decipheredBy = [...new Set([...(message.decipheredBy ?? []), ...userIds])];
+        if (game.user.isGM) {
+            if (isGroup) await DataManager.saveGroupChats();
+            else await DataManager.savePrivateChats();
+        }
+        LanguageManager.refresh(conversationId, isGroup);
+    }
+
+    /**
+     * A GM hid or revealed attachments, re-sealing the message
+     * Revealed attachments arrive in the new cipher; hidden ones leave it.
+     * @param {object} payload - { conversationId, messageId, isGroup, cipher, hiddenCipher, hiddenAttachments, attachments }
+     */
+    static async _handleAttachmentVisibility(payload) {
+        const { conversationId, messageId, isGroup, hiddenAttachments } = payload;
+        const message = DataManager.getMessage(conversationId, messageId, isGroup);
+        if (!message || message.deleted || !Array.isArray(hiddenAttachments)) return;
+
+        if (hiddenAttachments.length) message.hiddenAttachments = hiddenAttachments;
+        else delete message.hiddenAttachments;
+        for (const field of ['cipher', 'hiddenCipher', 'attachments']) {
+            if (payload[field]) message[field] = payload[field];
+            else delete message[field];
+        }
+
+        const keyring = isGroup ? DataManager.groupChats.get(conversationId)?.keyring : null;
+        if (message.cipher) {
+            if (await CryptoManager.open(message, keyring)) message.messageContent = Utils.parseRichContent(message.messageContent);
+        } else {
+            await CryptoManager.openHidden(message);
+        }
+
+        if (game.user.isGM) {
+            if (isGroup) await DataManager.saveGroupChats();
+            else await DataManager.savePrivateChats();
+        }
+        UIManager.updateConversation(conversationId, isGroup);
+        UIManager.updatePlayerHub();
+    }
+
+    static _handleMessageRead(payload, senderId) {
+        const { conversationId, userId, messageId, timestamp } = payload;
+        if (!conversationId || !userId || !messageId) return;
+        // Users only report their own reading
+        if (userId !== senderId) return;
+
+        const group = DataManager.groupChats.get(conversationId);
+        const isGroup = Boolean(group);
+        const participants = isGroup ? DataManager.getAudience(group) : DataManager.privateChats.get(conversationId)?.users;
+        if (!participants?.includes(userId)) return;
+
+        if (!DataManager.setReadPosition(conversationId, userId, { messageId, timestamp: Number(timestamp) || 0 })) return;
+        DataManager.saveUnreadData();
+        UIManager.updateConversation(conversationId, isGroup);
     }
 
     // ════════════════════════════════════════════════════════════════════════════
@@ -387,51 +1233,136 @@ export class SocketHandler {
 
     /**
      * Send a private message
+     * The message is queued in the outbox and delivered as soon as the
+     * recipient (or a GM, for store-and-forward) is reachable.
      * @param {string} recipientId - Recipient user ID
-     * @param {object} messageData - Message data
+     * @param {object} messageData - Message data (sealed wire copy)
      */
     static sendPrivateMessage(recipientId, messageData) {
         const recipientUser = game.users.get(recipientId);
-        const recipients = [recipientId];
-        
         console.debug(`Cyphur | Sending private message to ${recipientId} (${recipientUser?.name || 'Unknown'})`);
         
-        // Send to recipient
-        this.emit(SOCKET_EVENTS.PRIVATE_MESSAGE, {
-            recipientId,
-            message: messageData
-        }, { recipients });
-
-        // If both are non-GMs, relay to GM for monitoring
-        if (!game.user.isGM && recipientUser && !recipientUser.isGM) {
-            const gm = game.users.find(u => u.isGM && u.active);
-            if (gm) {
-                this.emit(SOCKET_EVENTS.PRIVATE_MESSAGE, {
-                    recipientId: gm.id,
-                    message: messageData,
-                    isRelay: true,
-                    originalSenderId: game.user.id,
-                    originalRecipientId: recipientId
-                }, { recipients: [gm.id] });
-            }
-        }
+        // With signal lag on, the message travels for a while before it is sent. Players
+        // hand it to the GM, who enforces the link; their own delay is only an estimate
+        const chatKey = DataManager.getPrivateChatKey(game.user.id, recipientId);
+        const deliverAt = DataManager.isSignalLagEnabled()
+            ? Date.now() + DataManager.getSignalLatency(chatKey) * 1000
+            : null;
+        DataManager.queueOutgoing('private', chatKey, messageData, [recipientId], deliverAt);
+        this.flushOutbox();
     }
 
     /**
      * Send a group message
      * @param {string} groupId - Group ID
-     * @param {object} messageData - Message data
+     * @param {object} messageData - Message data (sealed wire copy)
      */
     static sendGroupMessage(groupId, messageData) {
         const group = DataManager.groupChats.get(groupId);
         if (!group) return;
         
         const recipients = group.members.filter(id => id !== game.user.id);
-        
-        this.emit(SOCKET_EVENTS.GROUP_MESSAGE, {
-            groupId,
-            message: messageData
-        }, { recipients });
+        DataManager.queueOutgoing('group', groupId, messageData, recipients);
+        this.flushOutbox();
+    }
+
+    /**
+     * GM: Deliver a message sent as another user
+     * Recipients get it as a normal message. The impersonated user gets it
+     * through a sync so it lands in their history like one of their own.
+     * Offline participants pick it up from the GM on their next sync.
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {object} message - Sealed wire copy
+     * @param {boolean} isGroup - Is this a group chat?
+     */
+    static deliverAs(conversationId, message, isGroup) {
+        if (!game.user.isGM) return;
+
+        if (isGroup) {
+            const group = DataManager.groupChats.get(conversationId);
+            if (!group) return;
+            const event = DataManager.isChannel(group) ? SOCKET_EVENTS.CHANNEL_MESSAGE : SOCKET_EVENTS.GROUP_MESSAGE;
+            const recipients = group.members.filter(id => id !== message.senderId && id !== game.user.id);
+            if (recipients.length) this.emit(event, { groupId: conversationId, message }, { recipients });
+            this.emit(SOCKET_EVENTS.GROUP_SYNC, {
+                groups: [DataManager.serializeChat({ ...group, history: [message] })]
+            }, { recipients: [message.senderId] });
+            return;
+        }
+
+        const users = conversationId.split('-');
+        const recipientId = users.find(id => id !== message.senderId);
+        if (recipientId !== game.user.id) {
+            this.emit(SOCKET_EVENTS.PRIVATE_MESSAGE, { recipientId, message }, { recipients: [recipientId] });
+        }
+        this.emit(SOCKET_EVENTS.PRIVATE_SYNC, {
+            chats: { [conversationId]: { users, history: [message] } }
+        }, { recipients: [message.senderId] });
+    }
+
+    /**
+     * Hand a scheduled message to the active GM, who holds it until it is due
+     * @param {object} record - { id, conversationId, isGroup, trigger, expiry, message } with the message sealed and stripped
+     * @returns {boolean} Whether a GM was online to take it
+     */
+    static scheduleMessage(record) {
+        const gm = Utils.getActiveGM();
+        if (!gm) return false;
+
+        this.emit(SOCKET_EVENTS.MESSAGE_SCHEDULE, record, { recipients: [gm.id] });
+        return true;
+    }
+
+    /**
+     * GM: Tell a conversation's participants who really sent a message
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {string} gmId - GM who sent the message
+     */
+    static revealImpersonation(conversationId, messageId, isGroup, gmId) {
+        this.emit(SOCKET_EVENTS.IMPERSONATION_REVEAL, {
+            conversationId,
+            messageId,
+            isGroup,
+            gmId
+        }, { recipients: this._getChangeRecipients(conversationId, isGroup) });
+    }
+
+    /**
+     * GM: Let users read a message written in a language they do not know
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {Array<string>} userIds - Users who may now read it
+     */
+    static decipherMessage(conversationId, messageId, isGroup, userIds) {
+        this.emit(SOCKET_EVENTS.MESSAGE_DECIPHER, {
+            conversationId,
+            messageId,
+            isGroup,
+            userIds
+        }, { recipients: [...new Set([...this._getChangeRecipients(conversationId, isGroup), ...userIds])].filter(id => id !== game.user.id) });
+    }
+
+    /**
+     * GM: Send a conversation a message re-sealed after its attachments were hidden or revealed
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {string} messageId - Message ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {object} message - The message, sealed and stripped
+     */
+    static setAttachmentVisibility(conversationId, messageId, isGroup, message) {
+        const { cipher, hiddenCipher, hiddenAttachments, attachments } = message;
+        this.emit(SOCKET_EVENTS.ATTACHMENT_VISIBILITY, {
+            conversationId,
+            messageId,
+            isGroup,
+            cipher,
+            hiddenCipher,
+            hiddenAttachments: hiddenAttachments ?? [],
+            attachments
+        }, { recipients: this._getChangeRecipients(conversationId, isGroup) });
     }
 
     /**
@@ -466,7 +1397,7 @@ export class SocketHandler {
      * @param {object} group - Group object
      */
     static broadcastGroupCreate(group) {
-        const recipients = group.members.filter(id => id !== game.user.id);
+        const recipients = DataManager.getAudience(group).filter(id => id !== game.user.id);
         this.emit(SOCKET_EVENTS.GROUP_CREATE, { group }, { recipients });
     }
 
@@ -474,15 +1405,58 @@ export class SocketHandler {
      * Broadcast group update
      * @param {string} groupId - Group ID
      * @param {object} updates - Updates to apply
+     * @param {Array<string>} formerAudience - Users the update removed, who still need to hear about it
      */
-    static broadcastGroupUpdate(groupId, updates) {
+    static broadcastGroupUpdate(groupId, updates, formerAudience = []) {
         const group = DataManager.groupChats.get(groupId);
         if (!group) return;
         
-        const recipients = group.members.filter(id => id !== game.user.id);
+        const recipients = [...new Set([...DataManager.getAudience(group), ...formerAudience])]
+            .filter(id => id !== game.user.id);
         this.emit(SOCKET_EVENTS.GROUP_UPDATE, { groupId, updates }, { recipients });
     }
 
+    /**
+     * Send a group invitation, with the group itself so the invitee can list it
+     * @param {object} group - Group object
+     * @param {string} userId - Invited user
+     */
+    static sendGroupInvite(group, userId) {
+        this.emit(SOCKET_EVENTS.GROUP_INVITE, {
+            group: DataManager.serializeChat({ ...group, history: [] }),
+            userId,
+            invitedBy: game.user.id
+        }, { recipients: [userId] });
+    }
+
+    /**
+     * Broadcast a channel join or leave
+     * @param {string} channelId - Channel ID
+     * @param {string} action - 'join' or 'leave'
+     * @param {string} userId - Affected user
+     */
+    static broadcastChannelUpdate(channelId, action, userId) {
+        const channel = DataManager.groupChats.get(channelId);
+        if (!channel) return;
+
+        const recipients = DataManager.getAudience(channel).filter(id => id !== game.user.id);
+        this.emit(SOCKET_EVENTS.CHANNEL_UPDATE, { channelId, action, userId }, { recipients });
+    }
+
+    /**
+     * Invite a user to a channel
+     * @param {object} channel - Channel object (invite already applied locally)
+     * @param {string} userId - Invited user
+     */
+    static sendChannelInvite(channel, userId) {
+        const recipients = DataManager.getAudience(channel).filter(id => id !== game.user.id);
+        this.emit(SOCKET_EVENTS.CHANNEL_INVITE, {
+            channel: DataManager.serializeChat({ ...channel, history: [] }),
+            userId,
+            invitedBy: game.user.id
+        }, { recipients });
+    }
+
     /**
      * Broadcast group deletion
      * @param {string} groupId - Group ID
@@ -497,26 +1471,17 @@ export class SocketHandler {
      * Broadcast message edit
      * @param {string} conversationId - Conversation ID
      * @param {string} messageId - Message ID
-     * @param {string} newContent - New content
+     * @param {object} edit - New { messageContent, links, mentions }
      * @param {boolean} isGroup - Is group chat
+     * @param {object} cipher - Encrypted envelope of the edit, sent instead of the plain edit
      */
-    static broadcastEditMessage(conversationId, messageId, newContent, isGroup) {
-        let recipients;
-        
-        if (isGroup) {
-            const group = DataManager.groupChats.get(conversationId);
-            recipients = group?.members.filter(id => id !== game.user.id) || [];
-        } else {
-            const parts = conversationId.split('-');
-            recipients = parts.filter(id => id !== game.user.id);
-        }
-        
-        this.emit(SOCKET_EVENTS.EDIT_MESSAGE, {
+    static broadcastEditMessage(conversationId, messageId, edit, isGroup, cipher = null) {
+        this._broadcastChange(SOCKET_EVENTS.EDIT_MESSAGE, {
             conversationId,
             messageId,
-            newContent,
-            isGroup
-        }, { recipients });
+            isGroup,
+            ...(cipher ? { cipher } : { edit })
+        });
     }
 
     /**
@@ -526,21 +1491,72 @@ export class SocketHandler {
      * @param {boolean} isGroup - Is group chat
      */
     static broadcastDeleteMessage(conversationId, messageId, isGroup) {
-        let recipients;
-        
-        if (isGroup) {
-            const group = DataManager.groupChats.get(conversationId);
-            recipients = group?.members.filter(id => id !== game.user.id) || [];
-        } else {
-            const parts = conversationId.split('-');
-            recipients = parts.filter(id => id !== game.user.id);
-        }
-        
-        this.emit(SOCKET_EVENTS.DELETE_MESSAGE, {
+        this._broadcastChange(SOCKET_EVENTS.DELETE_MESSAGE, {
             conversationId,
             messageId,
             isGroup
-        }, { recipients });
+        });
+    }
+
+    /**
+     * Users to tell about a change to a conversation or its messages: the other
+     * participants, and online GMs so the change is stored and its original kept for review
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is group chat
+     * @returns {Array<string>}
+     */
+    static _getChangeRecipients(conversationId, isGroup) {
+        const participants = isGroup
+            ? DataManager.groupChats.get(conversationId)?.members || []
+            : conversationId.split('-');
+        const gmIds = game.users.filter(u => u.isGM && u.active).map(u => u.id);
+        return [...new Set([...participants, ...gmIds])].filter(id => id !== game.user.id);
+    }
+
+    /**
+     * Send a change to a conversation or its messages
+     * Without a GM online nobody would store it, so players keep it for the next GM.
+     * @param {string} type - Event type
+     * @param {object} payload - Event payload with { conversationId, isGroup }
+     */
+    static _broadcastChange(type, payload) {
+        this.emit(type, payload, { recipients: this._getChangeRecipients(payload.conversationId, payload.isGroup) });
+        if (!game.user.isGM && !Utils.getActiveGM()) DataManager.queueChange(type, payload);
+    }
+
+    /**
+     * Send the active GM the changes made while no GM was online
+     */
+    static flushPendingChanges() {
+        const gm = Utils.getActiveGM();
+        if (!gm || gm.id === game.user.id || !DataManager.pendingChanges.length) return;
+
+        for (const { type, payload } of DataManager.pendingChanges) {
+            this.emit(type, payload, { recipients: [gm.id] });
+        }
+        DataManager.pendingChanges = [];
+        DataManager.savePendingChanges();
+    }
+
+    /**
+     * Tell the conversation that burn-after-reading messages were read
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is group chat
+     * @param {Array<string>} messageIds - Messages whose clock started
+     * @param {number} startedAt - When they were read
+     */
+    static broadcastBurn(conversationId, isGroup, messageIds, startedAt) {
+        this._broadcastChange(SOCKET_EVENTS.MESSAGE_BURN, { conversationId, isGroup, messageIds, startedAt });
+    }
+
+    /**
+     * Broadcast a conversation's new message timer
+     * @param {string} conversationId - Conversation ID
+     * @param {boolean} isGroup - Is group chat
+     * @param {number|null} expiry - Seconds, 0 for burn after reading, null for off
+     */
+    static broadcastConversationExpiry(conversationId, isGroup, expiry) {
+        this._broadcastChange(SOCKET_EVENTS.CONVERSATION_EXPIRY, { conversationId, isGroup, expiry });
     }
 
     /**
@@ -570,6 +1586,340 @@ export class SocketHandler {
         }, { recipients });
     }
 
+    // ════════════════════════════════════════════════════════════════════════════
+    // DELIVERY & STORE-AND-FORWARD
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Tell every other client this user's Cyphur is running
+     * @param {object} presence - Own presence, so others can show it right away
+     */
+    static announceOnline(presence = null) {
+        this.emit(SOCKET_EVENTS.CLIENT_ONLINE, { isReply: false, presence });
+    }
+
+    /**
+     * Another client's Cyphur is running
+     * @param {object} payload - { isReply, presence }
+     * @param {string} userId - User who emitted the event, as reported by Foundry
+     */
+    static async _handleClientOnline(payload, userId) {
+        const { isReply, presence } = payload;
+        if (!userId || userId === game.user.id) return;
+
+        this.reachable.add(userId);
+        if (presence) this._handlePresenceUpdate({ presence }, userId);
+
+        if (!isReply) {
+            this.emit(SOCKET_EVENTS.CLIENT_ONLINE, {
+                isReply: true,
+                presence: { ...DataManager.getPresence(game.user.id), lastSeen: Date.now() }
+            }, { recipients: [userId] });
+        }
+
+        // Hand the GM what changed while no GM was online, then catch up on
+        // whatever it stored while we were away
+        if (Utils.getActiveGM()?.id === userId) {
+            this.flushPendingChanges();
+            this.requestMessageSync();
+        }
+
+        this.flushOutbox();
+    }
+
+    /**
+     * Send a read receipt
+     * @param {string} conversationId - Conversation ID
+     * @param {object} position - { messageId, timestamp } of the last message read
+     * @param {Array<string>} recipients - Other participants
+     */
+    static sendReadReceipt(conversationId, position, recipients) {
+        this.emit(SOCKET_EVENTS.MESSAGE_READ, {
+            conversationId,
+            userId: game.user.id,
+            ...position
+        }, { recipients });
+    }
+
+    /**
+     * Broadcast own presence
+     * @param {object} presence - { status, text, auto, lastSeen }
+     */
+    static broadcastPresence(presence) {
+        this.emit(SOCKET_EVENTS.PRESENCE_UPDATE, { presence });
+    }
+
+    /**
+     * Another user's presence changed
+     * @param {object} payload - { presence }
+     * @param {string} userId - User who emitted the event, as reported by Foundry
+     */
+    static _handlePresenceUpdate(payload, userId) {
+        const { presence } = payload;
+        if (!userId || userId === game.user.id || !presence) return;
+
+        const { status, text, auto, lastSeen } = presence;
+        DataManager.setPresence(userId, { status, text: String(text ?? '').slice(0, 80), auto, lastSeen });
+        UIManager.updatePresence(userId);
+    }
+
+    /**
+     * Get a reachable GM that can store messages for offline users
+     * @returns {User|null}
+     */
+    static _getReachableGM() {
+        for (const userId of this.reachable) {
+            const user = game.users.get(userId);
+            if (user?.isGM && user.active) return user;
+        }
+        return null;
+    }
+
+    /**
+     * Emit every outbox entry that has a reachable recipient, or hand it to a GM for storage
+     */
+    static flushOutbox() {
+        let changed = false;
+
+        for (const entry of DataManager.outbox.values()) {
+            // Messages that disappeared before anyone could receive them are dropped
+            if (entry.message.expiresAt && entry.message.expiresAt <= Date.now()) {
+                DataManager.outbox.delete(entry.id);
+                changed = true;
+                continue;
+            }
+
+            if (entry.state === DELIVERY_STATE.TRANSMITTING) {
+                // The GM carries players' messages and decides when they arrive
+                if (!game.user.isGM) {
+                    this._transmit(entry);
+                    continue;
+                }
+
+                const transit = this._getTransit(entry);
+                if (transit === 'lost') {
+                    DataManager.loseMessage(entry);
+                    changed = true;
+                    UIManager.updateConversation(entry.conversationId, false);
+                    continue;
+                }
+                if (transit !== 'arrived') continue;
+                entry.state = DELIVERY_STATE.QUEUED;
+                changed = true;
+                UIManager.updateConversation(entry.conversationId, false);
+            }
+
+            if (!game.user.isGM && DataManager.isIntercepted(entry.conversationId)) {
+                if (!this._hold(entry)) continue;
+            } else {
+                const targets = entry.pending.filter(id => this.reachable.has(id) && game.users.get(id)?.active);
+                const gm = entry.stored ? null : this._getReachableGM();
+                if (!targets.length && !gm) continue;
+
+                this._deliver(entry, targets, gm);
+            }
+
+            if (entry.state === DELIVERY_STATE.QUEUED) {
+                entry.state = DELIVERY_STATE.SENT;
+                changed = true;
+                UIManager.updateConversation(entry.conversationId, entry.type === 'group');
+            }
+        }
+
+        if (changed) DataManager.saveOutbox();
+    }
+
+    /**
+     * Where a message held by signal lag is
+     * @param {object} entry - Outbox entry in the TRANSMITTING state
+     * @returns {string} 'arrived', 'lost' on a dropped link, or 'transit' while delayed or jammed
+     */
+    static _getTransit(entry) {
+        if (!DataManager.isSignalLagEnabled()) return 'arrived';
+
+        const { state } = DataManager.getSignalLink(entry.conversationId);
+        if (state === SIGNAL_LINK_STATES.DROPPED) return 'lost';
+        if (state === SIGNAL_LINK_STATES.JAMMED || (entry.deliverAt ?? 0) > Date.now()) return 'transit';
+        return 'arrived';
+    }
+
+    /**
+     * GM: Flush the outbox when a message held by signal lag arrives or is lost
+     */
+    static _checkTransmissions() {
+        if (!game.user.isGM) return;
+        for (const entry of DataManager.outbox.values()) {
+            if (entry.state === DELIVERY_STATE.TRANSMITTING && this._getTransit(entry) !== 'transit') {
+                this.flushOutbox();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Emit an outbox entry
+     * @param {object} entry - Outbox entry
+     * @param {Array<string>} targets - Reachable recipients
+     * @param {User|null} gm - GM to relay to for storage and monitoring
+     */
+    static _deliver(entry, targets, gm) {
+        const { message, conversationId } = entry;
+
+        if (entry.type === 'group') {
+            const event = DataManager.isChannel(DataManager.groupChats.get(conversationId))
+                ? SOCKET_EVENTS.CHANNEL_MESSAGE
+                : SOCKET_EVENTS.GROUP_MESSAGE;
+            if (targets.length) {
+                this.emit(event, { groupId: conversationId, message }, { recipients: targets });
+            }
+            if (gm && !targets.includes(gm.id)) {
+                this.emit(event, {
+                    groupId: conversationId,
+                    message,
+                    isRelay: true
+                }, { recipients: [gm.id] });
+            }
+            return;
+        }
+
+        const recipientId = conversationId.split('-').find(id => id !== game.user.id) ?? game.user.id;
+        if (targets.includes(recipientId)) {
+            this.emit(SOCKET_EVENTS.PRIVATE_MESSAGE, { recipientId, message }, { recipients: [recipientId] });
+        }
+
+        // Relay to GM for storage and monitoring
+        if (gm && gm.id !== recipientId) {
+            this.emit(SOCKET_EVENTS.PRIVATE_MESSAGE, {
+                recipientId: gm.id,
+                message,
+                isRelay: true,
+                originalSenderId: game.user.id,
+                originalRecipientId: recipientId
+            }, { recipients: [gm.id] });
+        }
+    }
+
+    /**
+     * GM: Tell a conversation's participants whether its messages are held for review
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} isGroup - Is group chat
+     * @param {boolean} intercepted - Hold its messages?
+     * @param {Array<string>|null} recipients - These users only, or every participant and GM
+     */
+    static broadcastIntercept(conversationId, isGroup, intercepted, recipients = null) {
+        this.emit(SOCKET_EVENTS.INTERCEPT_UPDATE, {
+            conversations: { [conversationId]: intercepted }
+        }, { recipients: recipients ?? this._getChangeRecipients(conversationId, isGroup) });
+        UIManager.updateGMModWindow();
+    }
+
+    /**
+     * GM: Tell a user which of their conversations are held for review
+     * @param {string} userId - User to tell
+     */
+    static sendInterceptState(userId) {
+        if (!game.user.isGM) return;
+
+        const conversations = {};
+        for (const conversationId of Object.keys(StorageManager.getIntercepted())) {
+            const group = DataManager.groupChats.get(conversationId);
+            const participants = group ? group.members : conversationId.split('-');
+            if (participants.includes(userId)) conversations[conversationId] = true;
+        }
+        this.emit(SOCKET_EVENTS.INTERCEPT_UPDATE, { conversations, replace: true }, { recipients: [userId] });
+    }
+
+    /**
+     * The GM started or stopped holding conversations for review
+     * @param {object} payload - { conversations: { [conversationId]: boolean }, replace }
+     */
+    static _handleInterceptUpdate(payload) {
+        const { conversations, replace } = payload;
+        if (!conversations || typeof conversations !== 'object') return;
+
+        if (!game.user.isGM) DataManager.applyIntercepted(conversations, Boolean(replace));
+        this.flushOutbox();
+        UIManager.updateGMModWindow();
+    }
+
+    /**
+     * Hand a message from an intercepted conversation to the active GM instead of its recipients
+     * @param {object} entry - Outbox entry
+     * @returns {boolean} Whether the GM was reachable
+     */
+    static _hold(entry) {
+        const gm = Utils.getActiveGM();
+        if (!gm || !this.reachable.has(gm.id)) return false;
+
+        this.emit(SOCKET_EVENTS.MESSAGE_HOLD, {
+            conversationId: entry.conversationId,
+            isGroup: entry.type === 'group',
+            message: entry.message
+        }, { recipients: [gm.id] });
+        return true;
+    }
+
+    /**
+     * Hand a message held by signal lag to the active GM to carry across the link
+     * @param {object} entry - Outbox entry in the TRANSMITTING state
+     */
+    static _transmit(entry) {
+        const gm = Utils.getActiveGM();
+        if (!gm || !this.reachable.has(gm.id)) return;
+
+        this.emit(SOCKET_EVENTS.MESSAGE_TRANSMIT, {
+            conversationId: entry.conversationId,
+            message: entry.message
+        }, { recipients: [gm.id] });
+    }
+
+    /**
+     * Confirm receipt of messages to their sender
+     * @param {string} senderId - Original sender
+     * @param {Array<string>} messageIds - Received message IDs
+     * @param {boolean} isRelay - Received only for storage, not as a recipient
+     */
+    static _acknowledge(senderId, messageIds, isRelay = false) {
+        if (!senderId || senderId === game.user.id || !messageIds.length) return;
+
+        this.emit(SOCKET_EVENTS.MESSAGE_DELIVERED, {
+            messageIds,
+            stored: game.user.isGM,
+            isRelay
+        }, { recipients: [senderId] });
+    }
+
+    /**
+     * Someone confirmed receiving our messages
+     * Only GMs store messages, receive relays, hold messages for review or carry them across lagged links.
+     * @param {object} payload - { messageIds, stored, isRelay, held, transit, lost }
+     * @param {string} senderId - User who received them
+     */
+    static _handleMessageDelivered(payload, senderId) {
+        const { messageIds } = payload;
+        const isGM = Boolean(game.users.get(senderId)?.isGM);
+        const ack = {
+            userId: senderId,
+            stored: isGM && Boolean(payload.stored),
+            isRelay: isGM && Boolean(payload.isRelay),
+            held: isGM && Boolean(payload.held),
+            transit: isGM && Boolean(payload.transit),
+            lost: isGM && Boolean(payload.lost)
+        };
+        const touched = new Map();
+
+        for (const messageId of Array.isArray(messageIds) ? messageIds : []) {
+            const entry = DataManager.acknowledgeDelivery(messageId, ack);
+            if (entry) touched.set(entry.conversationId, entry.type === 'group');
+        }
+        if (!touched.size) return;
+
+        DataManager.saveOutbox();
+        for (const [conversationId, isGroup] of touched) {
+            UIManager.updateConversation(conversationId, isGroup);
+        }
+    }
+
     // ════════════════════════════════════════════════════════════════════════════
     // IMAGE SHARING
     // ════════════════════════════════════════════════════════════════════════════
@@ -658,49 +2008,128 @@ export class SocketHandler {
      */
 
     /**
-     * Request sync of all messages from GM (for new GM connections)
+     * Ask the active GM for a page of archived messages older than those shown
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {number} before - Timestamp of the oldest message already shown
+     * @returns {Promise<object|null>} { messages, hasMore } with the messages sealed, or null if no GM answered
+     */
+    static requestOlderMessages(conversationId, isGroup, before) {
+        const gm = Utils.getActiveGM();
+        if (!gm) {
+            ui.notifications.warn(game.i18n.localize('CYPHUR.Storage.OlderNeedsGM'));
+            return Promise.resolve(null);
+        }
+
+        const requestId = foundry.utils.randomID();
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this._olderRequests.delete(requestId);
+                resolve(null);
+            }, OLDER_MESSAGES_TIMEOUT);
+            this._olderRequests.set(requestId, reply => {
+                clearTimeout(timer);
+                resolve(reply);
+            });
+            this.emit(SOCKET_EVENTS.OLDER_MESSAGES_REQUEST, { requestId, conversationId, isGroup, before }, { recipients: [gm.id] });
+        });
+    }
+
+    /**
+     * Active GM: Send a participant a page of archived messages, still sealed
+     * @param {object} payload - { requestId, conversationId, isGroup, before }
+     * @param {string} userId - User who asked, as reported by Foundry
+     */
+    static _handleOlderMessagesRequest(payload, userId) {
+        if (Utils.getActiveGM()?.id !== game.user.id) return;
+
+        const { requestId, conversationId } = payload;
+        const before = Number(payload.before) || 0;
+        const messages = StorageManager.getMessagesBefore(conversationId, before);
+        const hasMore = messages.length > 0 && StorageManager.hasMessagesBefore(conversationId, messages[0].timestamp || 0);
+        this.emit(SOCKET_EVENTS.OLDER_MESSAGES, { requestId, messages, hasMore }, { recipients: [userId] });
+    }
+
+    static _handleOlderMessages(payload) {
+        const { requestId, messages, hasMore } = payload;
+        this._olderRequests.get(requestId)?.({ messages: Array.isArray(messages) ? messages : [], hasMore: Boolean(hasMore) });
+        this._olderRequests.delete(requestId);
+    }
+
+    /**
+     * Ask the active GM for every message stored since our newest known message
      */
     static requestMessageSync() {
         if (game.user.isGM) return; // GM doesn't need to request
         
-        const gm = game.users.find(u => u.isGM && u.active);
+        const gm = Utils.getActiveGM();
         if (!gm) return;
         
-        this.emit('SYNC_REQUEST', {
-            userId: game.user.id,
-            type: 'all'
+        this.emit(SOCKET_EVENTS.SYNC_REQUEST, {
+            cursors: DataManager.getSyncCursors()
         }, { recipients: [gm.id] });
     }
 
     /**
-     * GM: Broadcast sync data to a requesting user
+     * Active GM: Send a user what they are missing
+     * @param {object} payload - { cursors }
+     * @param {string} userId - User who asked, as reported by Foundry
+     */
+    static _handleSyncRequest(payload, userId) {
+        const { cursors } = payload;
+        if (!game.users.get(userId)) return;
+        if (Utils.getActiveGM()?.id !== game.user.id) return;
+
+        console.debug(`Cyphur | Sync requested by ${userId}`);
+        this.sendSyncToUser(userId, cursors);
+        this.sendInterceptState(userId);
+    }
+
+    /**
+     * GM: Send stored conversations to a user
+     * With cursors only the messages the user is missing are sent, and
+     * conversations with nothing new are skipped.
      * @param {string} userId - User requesting sync
+     * @param {object|null} cursors - Result of DataManager.getSyncCursors() on the requesting client
      */
-    static sendSyncToUser(userId) {
+    static sendSyncToUser(userId, cursors = null) {
         if (!game.user.isGM) return;
+
+        const deltaOf = (chat, cursor) => {
+            const history = DataManager.getHistorySince(chat.history, cursors ? cursor : null);
+            return DataManager.serializeChat({ ...chat, history });
+        };
         
         // Send relevant private chats
         const privateChats = {};
         for (const [chatKey, chat] of DataManager.privateChats.entries()) {
-            if (chat.users.includes(userId)) {
-                privateChats[chatKey] = chat;
-            }
+            if (!chat.users.includes(userId)) continue;
+
+            const cursor = cursors?.private?.[chatKey];
+            const delta = deltaOf(chat, cursor);
+            if (cursors && chatKey in cursors.private && !delta.history.length) continue;
+            privateChats[chatKey] = delta;
         }
         
         this.emit(SOCKET_EVENTS.PRIVATE_SYNC, {
             chats: privateChats
         }, { recipients: [userId] });
         
-        // Send relevant group chats
+        // Send relevant group chats, always with current metadata
         const groups = [];
+        const user = game.users.get(userId);
         for (const group of DataManager.groupChats.values()) {
             if (group.members.includes(userId)) {
-                groups.push(group);
+                groups.push(deltaOf(group, cursors?.groups?.[group.id]));
+            } else if (group.invited?.includes(userId) || DataManager.canAccessChannel(group, user)) {
+                // Pending invitations and channels the user has not joined: metadata only
+                groups.push(DataManager.serializeChat({ ...group, history: [] }));
             }
         }
         
         this.emit(SOCKET_EVENTS.GROUP_SYNC, {
-            groups: groups
+            groups: groups,
+            groupIds: [...DataManager.groupChats.keys()]
         }, { recipients: [userId] });
     }
 }
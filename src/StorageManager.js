@@ -0,0 +1,584 @@
+/**
+ * RNK Cyphur - Storage Manager
+ * Per-conversation persistence in a hidden archive JournalEntry
+ *
+ * Conversation metadata lives in the archive's flags, keyed by conversation
+ * ID. Messages are stored in JournalEntryPages of up to PAGE_SIZE messages
+ * each, so saving only rewrites the pages whose messages actually changed.
+ * Pages keep messages that were trimmed from memory by the history cap;
+ * those are read back on demand when a chat window loads older history.
+ */
+
+import { MODULE_ID } from './Constants.js';
+
+const PAGE_SIZE = 50;
+const ARCHIVE_VERSION = 1;
+const META_KEYS = { private: 'private', group: 'groups' };
+
+// Whether a message's disappearing timer has run out
+const isExpired = (msg, now) => Boolean(msg?.expiresAt && msg.expiresAt <= now);
+
+export class StorageManager {
+    static PAGE_SIZE = PAGE_SIZE;
+
+    /** Message IDs deleted in memory that must also leave the archive, per conversation */
+    static _removed = new Map();
+
+    /** Conversations cleared in memory whose archived pages must all go */
+    static _cleared = new Set();
+
+    /** Pending write, so diffs are never computed against an in-flight save */
+    static _writeQueue = Promise.resolve();
+
+    /**
+     * The archive JournalEntry, if one exists
+     * @returns {JournalEntry|null}
+     */
+    static get archive() {
+        return game.journal?.find(j => j.getFlag(MODULE_ID, 'archive')) ?? null;
+    }
+
+    /**
+     * Whether conversations are stored in the archive rather than the legacy settings
+     * @returns {boolean}
+     */
+    static get isActive() {
+        return Boolean(this.archive);
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // INITIALIZATION & MIGRATION
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * GM: create the archive and move conversations out of the legacy world settings
+     */
+    static async initialize() {
+        if (!game.user.isGM || this.isActive) return;
+
+        try {
+            await JournalEntry.create({
+                name: game.i18n.localize('CYPHUR.Storage.ArchiveName'),
+                ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+                flags: { [MODULE_ID]: { archive: true, version: ARCHIVE_VERSION, private: {}, groups: {} } }
+            });
+        } catch (e) {
+            console.error('Cyphur | Failed to create message archive:', e);
+            return;
+        }
+
+        await this._migrateSetting('private', 'privateChats');
+        await this._migrateSetting('group', 'groupChats');
+    }
+
+    /**
+     * Copy a legacy conversation setting into the archive, then empty it
+     * @param {string} type - 'private' or 'group'
+     * @param {string} settingKey - Legacy world setting
+     */
+    static async _migrateSetting(type, settingKey) {
+        const legacy = game.settings.get(MODULE_ID, settingKey) || {};
+        if (!Object.keys(legacy).length) return;
+
+        try {
+            for (const chat of Object.values(legacy)) {
+                chat.history = chat?.history ?? chat?.messages ?? [];
+                delete chat.messages;
+            }
+            await this.write(type, legacy);
+            await game.settings.set(MODULE_ID, settingKey, {});
+            console.debug(`Cyphur | Migrated ${Object.keys(legacy).length} ${type} conversations to the message archive`);
+        } catch (e) {
+            console.error(`Cyphur | Failed to migrate ${settingKey}:`, e);
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // READING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Read every conversation of a type, with full archived history
+     * @param {string} type - 'private' or 'group'
+     * @returns {object} Conversations keyed by ID
+     */
+    static read(type) {
+        const archive = this.archive;
+        if (!archive) return {};
+
+        const metas = archive.getFlag(MODULE_ID, META_KEYS[type]) || {};
+        const data = {};
+        for (const [id, meta] of Object.entries(metas)) {
+            data[id] = { ...foundry.utils.deepClone(meta), history: this.getMessages(id) };
+        }
+        return data;
+    }
+
+    /**
+     * All archived messages of a conversation, oldest first
+     * @param {string} conversationId - Conversation ID
+     * @returns {Array}
+     */
+    static getMessages(conversationId) {
+        const seen = new Set();
+        const messages = [];
+        for (const page of this._getPages(conversationId)) {
+            for (const msg of page.getFlag(MODULE_ID, 'messages') || []) {
+                if (!msg?.id || seen.has(msg.id)) continue;
+                seen.add(msg.id);
+                messages.push(foundry.utils.deepClone(msg));
+            }
+        }
+        return messages.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    }
+
+    /**
+     * Archived messages older than a timestamp, newest page-worth only
+     * Expired messages not yet purged are left out.
+     * @param {string} conversationId - Conversation ID
+     * @param {number} before - Exclusive upper timestamp bound
+     * @param {number} limit - Maximum number of messages
+     * @returns {Array}
+     */
+    static getMessagesBefore(conversationId, before, limit = PAGE_SIZE) {
+        const now = Date.now();
+        const seen = new Set();
+        const older = [];
+        for (const page of this._getPages(conversationId)) {
+            for (const msg of page.getFlag(MODULE_ID, 'messages') || []) {
+                if (!msg?.id || seen.has(msg.id) || (msg.timestamp || 0) >= before || isExpired(msg, now)) continue;
+                seen.add(msg.id);
+                older.push(msg);
+            }
+        }
+        // Clone only what is returned
+        return older.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+            .slice(-limit)
+            .map(msg => foundry.utils.deepClone(msg));
+    }
+
+    /**
+     * Whether any archived message is older than a timestamp
+     * Reads the pages in place, oldest first, without copying them.
+     * @param {string} conversationId - Conversation ID
+     * @param {number} before - Exclusive upper timestamp bound
+     * @returns {boolean}
+     */
+    static hasMessagesBefore(conversationId, before) {
+        const now = Date.now();
+        return this._getPages(conversationId)
+            .some(page => (page.getFlag(MODULE_ID, 'messages') || []).some(m => (m?.timestamp || 0) < before && !isExpired(m, now)));
+    }
+
+    /**
+     * Pages of a conversation in write order
+     * @param {string} conversationId - Conversation ID
+     * @returns {Array<JournalEntryPage>}
+     */
+    static _getPages(conversationId) {
+        const archive = this.archive;
+        if (!archive) return [];
+        return archive.pages
+            .filter(p => p.getFlag(MODULE_ID, 'conversationId') === conversationId)
+            .sort((a, b) => (a.getFlag(MODULE_ID, 'index') ?? 0) - (b.getFlag(MODULE_ID, 'index') ?? 0));
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // GM AUDIT
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Audit record of a message a GM sent as another user
+     * Kept on the archive, which players have no permission to view.
+     * @param {string} messageId - Message ID
+     * @returns {object|null} { gmId, userId, conversationId, isGroup, timestamp, revealed }
+     */
+    static getImpersonation(messageId) {
+        return this.archive?.getFlag(MODULE_ID, 'impersonations')?.[messageId] ?? null;
+    }
+
+    /**
+     * Store or update an impersonation audit record
+     * @param {string} messageId - Message ID
+     * @param {object} record - Fields to store
+     */
+    static async recordImpersonation(messageId, record) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            await archive.setFlag(MODULE_ID, `impersonations.${messageId}`, record);
+        } catch (e) {
+            console.error('Cyphur | Failed to record impersonation:', e);
+        }
+    }
+
+    /**
+     * Original of a deleted message, kept for GM review
+     * @param {string} messageId - Message ID
+     * @returns {object|null} { conversationId, isGroup, deletedBy, deletedAt, message }
+     */
+    static getDeletion(messageId) {
+        return this.archive?.getFlag(MODULE_ID, 'deletions')?.[messageId] ?? null;
+    }
+
+    /**
+     * Every recorded deletion, keyed by message ID
+     * @returns {object}
+     */
+    static getDeletions() {
+        return this.archive?.getFlag(MODULE_ID, 'deletions') ?? {};
+    }
+
+    /**
+     * Store the original of a deleted message
+     * Sealed messages are stored as their envelope only.
+     * @param {string} messageId - Message ID
+     * @param {object} record - { conversationId, isGroup, deletedBy, deletedAt, message }
+     */
+    static async recordDeletion(messageId, record) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            await archive.setFlag(MODULE_ID, `deletions.${messageId}`, record);
+        } catch (e) {
+            console.error('Cyphur | Failed to record deletion:', e);
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // SCHEDULED MESSAGES
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Every message waiting for its delivery time, keyed by message ID
+     * Sealed messages are stored as their envelope only.
+     * @returns {object} { [id]: { id, conversationId, isGroup, trigger, expiry, message, scheduledBy, createdAt } }
+     */
+    static getScheduled() {
+        return this.archive?.getFlag(MODULE_ID, 'scheduled') ?? {};
+    }
+
+    /**
+     * Store or replace a scheduled message
+     * @param {string} messageId - Message ID
+     * @param {object} record - { id, conversationId, isGroup, trigger, expiry, message, scheduledBy, createdAt }
+     */
+    static async recordScheduled(messageId, record) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            // Replace rather than merge, so fields dropped by an edit do not linger
+            await archive.update({ [`flags.${MODULE_ID}.scheduled.-=${messageId}`]: null });
+            await archive.setFlag(MODULE_ID, `scheduled.${messageId}`, record);
+        } catch (e) {
+            console.error('Cyphur | Failed to record scheduled message:', e);
+        }
+    }
+
+    /**
+     * Remove a scheduled message
+     * @param {string} messageId - Message ID
+     */
+    static async removeScheduled(messageId) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            await archive.update({ [`flags.${MODULE_ID}.scheduled.-=${messageId}`]: null });
+        } catch (e) {
+            console.error('Cyphur | Failed to remove scheduled message:', e);
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // HELD MESSAGES
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Every message held for GM review, keyed by message ID
+     * Sealed messages are stored as their envelope only.
+     * @returns {object} { [id]: { id, conversationId, isGroup, expiry, message, heldAt } }
+     */
+    static getHeld() {
+        return this.archive?.getFlag(MODULE_ID, 'held') ?? {};
+    }
+
+    /**
+     * Store or replace a held message
+     * @param {string} messageId - Message ID
+     * @param {object} record - { id, conversationId, isGroup, expiry, message, heldAt }
+     */
+    static async recordHeld(messageId, record) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            await archive.update({ [`flags.${MODULE_ID}.held.-=${messageId}`]: null });
+            await archive.setFlag(MODULE_ID, `held.${messageId}`, record);
+        } catch (e) {
+            console.error('Cyphur | Failed to record held message:', e);
+        }
+    }
+
+    /**
+     * Remove a held message
+     * @param {string} messageId - Message ID
+     */
+    static async removeHeld(messageId) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            await archive.update({ [`flags.${MODULE_ID}.held.-=${messageId}`]: null });
+        } catch (e) {
+            console.error('Cyphur | Failed to remove held message:', e);
+        }
+    }
+
+    /**
+     * Conversations whose messages are held for GM review
+     * Kept here rather than in a world setting so players cannot read the list.
+     * @returns {object} { [conversationId]: true }
+     */
+    static getIntercepted() {
+        return this.archive?.getFlag(MODULE_ID, 'intercepted') ?? {};
+    }
+
+    /**
+     * Start or stop holding a conversation's messages
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} intercepted - Hold its messages?
+     */
+    static async setIntercepted(conversationId, intercepted) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            if (intercepted) await archive.setFlag(MODULE_ID, `intercepted.${conversationId}`, true);
+            else await archive.update({ [`flags.${MODULE_ID}.intercepted.-=${conversationId}`]: null });
+        } catch (e) {
+            console.error('Cyphur | Failed to update intercepted conversations:', e);
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // SIGNAL LAG
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * The GM's controls for each private link
+     * Kept here rather than in a world setting so players cannot read them.
+     * @returns {object} { [chatKey]: { state, latency } }
+     */
+    static getSignalLinks() {
+        return this.archive?.getFlag(MODULE_ID, 'signalLinks') ?? {};
+    }
+
+    /**
+     * Store or remove the controls for a private link
+     * @param {string} chatKey - Private chat key
+     * @param {object|null} link - { state, latency }, or null to remove
+     */
+    static async setSignalLink(chatKey, link) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            if (link) await archive.setFlag(MODULE_ID, `signalLinks.${chatKey}`, link);
+            else await archive.update({ [`flags.${MODULE_ID}.signalLinks.-=${chatKey}`]: null });
+        } catch (e) {
+            console.error('Cyphur | Failed to update signal link:', e);
+        }
+    }
+
+    /**
+     * Every private message the GM is carrying across a lagged link, keyed by message ID
+     * Sealed messages are stored as their envelope only.
+     * @returns {object} { [id]: { id, conversationId, isGroup, expiry, message, deliverAt, sentAt, lost } }
+     */
+    static getInTransit() {
+        return this.archive?.getFlag(MODULE_ID, 'transit') ?? {};
+    }
+
+    /**
+     * Store or replace a message in transit
+     * @param {string} messageId - Message ID
+     * @param {object} record - { id, conversationId, isGroup, expiry, message, deliverAt, sentAt, lost }
+     */
+    static async recordInTransit(messageId, record) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            await archive.update({ [`flags.${MODULE_ID}.transit.-=${messageId}`]: null });
+            await archive.setFlag(MODULE_ID, `transit.${messageId}`, record);
+        } catch (e) {
+            console.error('Cyphur | Failed to record message in transit:', e);
+        }
+    }
+
+    /**
+     * Remove a message in transit
+     * @param {string} messageId - Message ID
+     */
+    static async removeInTransit(messageId) {
+        const archive = this.archive;
+        if (!archive) return;
+        try {
+            await archive.update({ [`flags.${MODULE_ID}.transit.-=${messageId}`]: null });
+        } catch (e) {
+            console.error('Cyphur | Failed to remove message in transit:', e);
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // WRITING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Record that a message was deleted, so the next write removes it from the archive
+     * Messages merely missing from memory are assumed trimmed and are kept.
+     * @param {string} conversationId - Conversation ID
+     * @param {string} messageId - Message ID
+     */
+    static forget(conversationId, messageId) {
+        if (!this._removed.has(conversationId)) this._removed.set(conversationId, new Set());
+        this._removed.get(conversationId).add(messageId);
+    }
+
+    /**
+     * Record that a conversation was cleared, so the next write empties its archived pages
+     * An empty history alone is not enough: older messages may only be in the archive.
+     * @param {string} conversationId - Conversation ID
+     */
+    static clear(conversationId) {
+        this._cleared.add(conversationId);
+        this._removed.delete(conversationId);
+    }
+
+    /**
+     * Persist every conversation of a type, writing only what changed
+     * @param {string} type - 'private' or 'group'
+     * @param {object} data - Serialized conversations keyed by ID (from DataManager.serializeChat)
+     * @returns {Promise}
+     */
+    static write(type, data) {
+        const run = this._writeQueue.then(() => this._write(type, data));
+        this._writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Drop expired messages from every archived page
+     * Messages trimmed from memory by the history cap only live here, so
+     * expiring the in-memory history never reaches them.
+     * @param {number} now - Current time
+     * @returns {Promise}
+     */
+    static purgeExpired(now = Date.now()) {
+        const run = this._writeQueue.then(() => this._purgeExpired(now));
+        this._writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    static async _purgeExpired(now) {
+        const archive = this.archive;
+        if (!archive) return;
+
+        const pageUpdates = [];
+        const pageDeletes = [];
+        for (const page of archive.pages) {
+            const messages = page.getFlag(MODULE_ID, 'messages');
+            if (!messages?.some(m => isExpired(m, now))) continue;
+
+            const kept = messages.filter(m => !isExpired(m, now));
+            if (kept.length) pageUpdates.push({ _id: page.id, [`flags.${MODULE_ID}.messages`]: kept });
+            else pageDeletes.push(page.id);
+        }
+
+        if (pageUpdates.length) await archive.updateEmbeddedDocuments('JournalEntryPage', pageUpdates);
+        if (pageDeletes.length) await archive.deleteEmbeddedDocuments('JournalEntryPage', pageDeletes);
+    }
+
+    static async _write(type, data) {
+        const archive = this.archive;
+        if (!archive) return;
+
+        const metaKey = META_KEYS[type];
+        const storedMetas = archive.getFlag(MODULE_ID, metaKey) || {};
+        const entryUpdate = {};
+        const pageUpdates = [];
+        const pageCreates = [];
+        const pageDeletes = [];
+
+        for (const [id, chat] of Object.entries(data)) {
+            const { history, ...meta } = chat;
+            if (JSON.stringify(storedMetas[id]) !== JSON.stringify(meta)) {
+                entryUpdate[`flags.${MODULE_ID}.${metaKey}.${id}`] = meta;
+            }
+            this._diffPages(id, history || [], { pageUpdates, pageCreates, pageDeletes });
+        }
+
+        // Conversations deleted from memory
+        for (const id of Object.keys(storedMetas)) {
+            if (id in data) continue;
+            entryUpdate[`flags.${MODULE_ID}.${metaKey}.-=${id}`] = null;
+            pageDeletes.push(...this._getPages(id).map(p => p.id));
+        }
+
+        if (Object.keys(entryUpdate).length) await archive.update(entryUpdate);
+        if (pageUpdates.length) await archive.updateEmbeddedDocuments('JournalEntryPage', pageUpdates);
+        if (pageCreates.length) await archive.createEmbeddedDocuments('JournalEntryPage', pageCreates);
+        if (pageDeletes.length) await archive.deleteEmbeddedDocuments('JournalEntryPage', pageDeletes);
+    }
+
+    /**
+     * Work out the page changes needed to store a conversation's in-memory history
+     * @param {string} conversationId - Conversation ID
+     * @param {Array} history - In-memory history, serialized
+     * @param {object} changes - Accumulators: { pageUpdates, pageCreates, pageDeletes }
+     */
+    static _diffPages(conversationId, history, changes) {
+        const removed = this._removed.get(conversationId) ?? new Set();
+        const cleared = this._cleared.delete(conversationId);
+        this._removed.delete(conversationId);
+
+        const current = new Map(history.map(m => [m.id, m]));
+        const pages = this._getPages(conversationId).map(page => {
+            const original = page.getFlag(MODULE_ID, 'messages') || [];
+            return { page, original, messages: [...original] };
+        });
+
+        // Update, drop deleted and find which messages are already archived
+        const archived = new Set();
+        for (const entry of pages) {
+            entry.messages = entry.messages
+                .filter(m => !cleared && !removed.has(m.id))
+                .map(m => {
+                    archived.add(m.id);
+                    return current.get(m.id) ?? m;
+                });
+        }
+
+        // Append new messages to the last page, opening pages as they fill
+        let index = pages.length ? (pages[pages.length - 1].page.getFlag(MODULE_ID, 'index') ?? 0) : -1;
+        let tail = pages[pages.length - 1] ?? null;
+        for (const msg of history) {
+            if (archived.has(msg.id)) continue;
+            if (!tail || tail.messages.length >= PAGE_SIZE) {
+                index += 1;
+                tail = { page: null, index, original: [], messages: [] };
+                pages.push(tail);
+            }
+            tail.messages.push(msg);
+        }
+
+        for (const entry of pages) {
+            if (!entry.page) {
+                changes.pageCreates.push({
+                    name: `${conversationId} #${entry.index + 1}`,
+                    type: 'text',
+                    flags: { [MODULE_ID]: { conversationId, index: entry.index, messages: entry.messages } }
+                });
+            } else if (!entry.messages.length) {
+                changes.pageDeletes.push(entry.page.id);
+            } else if (JSON.stringify(entry.original) !== JSON.stringify(entry.messages)) {
+                changes.pageUpdates.push({ _id: entry.page.id, [`flags.${MODULE_ID}.messages`]: entry.messages });
+            }
+        }
+    }
+}
@@ -4,7 +4,8 @@
  */
 
 import { DataManager } from './DataManager.js';
-import { THEMES } from './Constants.js';
+import { Utils } from './Utils.js';
+import { THEMES, SCHEDULE_TRIGGERS } from './Constants.js';
 
 export class UIManager {
     // Window tracking
@@ -39,10 +40,14 @@ export class UIManager {
     /**
      * Open a private chat window
      * @param {string} userId - Other user's ID
+     * @param {object} options - { messageId } to scroll to and highlight
      */
-    static async openChatFor(userId) {
+    static async openChatFor(userId, { messageId = null } = {}) {
         const existingWindow = this.openPrivateChatWindows.get(userId);
-        if (existingWindow?.rendered) return existingWindow.render(true);
+        if (existingWindow?.rendered) {
+            existingWindow._focusMessageId = messageId;
+            return existingWindow.render(true);
+        }
 
         const chatKey = DataManager.getPrivateChatKey(game.user.id, userId);
         if (!DataManager.privateChats.has(chatKey)) {
@@ -54,6 +59,7 @@ export class UIManager {
 
         const { CyphurWindow } = await import('./CyphurWindow.js');
         const window = new CyphurWindow({ otherUserId: userId });
+        window._focusMessageId = messageId;
         this.openPrivateChatWindows.set(userId, window);
         return window.render(true);
     }
@@ -61,8 +67,9 @@ export class UIManager {
     /**
      * Open a group chat window
      * @param {string} groupId - Group ID
+     * @param {object} options - { messageId } to scroll to and highlight
      */
-    static async openGroupChat(groupId) {
+    static async openGroupChat(groupId, { messageId = null } = {}) {
         const group = DataManager.groupChats.get(groupId);
         if (!group) return;
         
@@ -73,14 +80,30 @@ export class UIManager {
         }
         
         const existingWindow = this.openGroupChatWindows.get(groupId);
-        if (existingWindow?.rendered) return existingWindow.render(true);
+        if (existingWindow?.rendered) {
+            existingWindow._focusMessageId = messageId;
+            return existingWindow.render(true);
+        }
 
         const { CyphurWindow } = await import('./CyphurWindow.js');
         const window = new CyphurWindow({ groupId: groupId });
+        window._focusMessageId = messageId;
         this.openGroupChatWindows.set(groupId, window);
         return window.render(true);
     }
 
+    /**
+     * Open the window of a conversation at a specific message
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} isGroup - Is this a group chat?
+     * @param {string} messageId - Message to scroll to and highlight
+     */
+    static async openMessage(conversationId, isGroup, messageId) {
+        if (isGroup) return this.openGroupChat(conversationId, { messageId });
+        const otherUserId = conversationId.split('-').find(id => id !== game.user.id);
+        if (otherUserId) return this.openChatFor(otherUserId, { messageId });
+    }
+
     /**
      * Open the Group Manager window (GM only)
      */
@@ -180,6 +203,20 @@ export class UIManager {
         }
     }
 
+    /**
+     * Re-render the window showing a conversation, addressed by conversation ID
+     * @param {string} conversationId - Private chat key or group ID
+     * @param {boolean} isGroup - Is this a group chat?
+     */
+    static updateConversation(conversationId, isGroup) {
+        if (isGroup) {
+            this.updateChatWindow(conversationId, 'group');
+            return;
+        }
+        const otherUserId = conversationId.split('-').find(id => id !== game.user.id);
+        if (otherUserId) this.updateChatWindow(otherUserId, 'private');
+    }
+
     /**
      * Update typing indicator in a window
      * @param {string} id - User ID or Group ID
@@ -195,6 +232,16 @@ export class UIManager {
         }
     }
 
+    /**
+     * Refresh everything that shows a user's presence
+     * @param {string} userId - User ID
+     */
+    static updatePresence(userId) {
+        this.updatePlayerHub();
+        const window = this.openPrivateChatWindows.get(userId);
+        if (window?.rendered) window.render(false);
+    }
+
     /**
      * Open chat window for new message (auto-open on incoming)
      * @param {string} id - User ID or Group ID
@@ -254,6 +301,86 @@ export class UIManager {
         }
     }
 
+    /**
+     * Update the GM Moderation window
+     */
+    static updateGMModWindow() {
+        const gmMod = Object.values(ui.windows).find(w => w.id === 'cyphur-gm-mod-window');
+        if (gmMod?.rendered) gmMod.render(true);
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // SCHEDULING
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Ask when a scheduled message should be delivered
+     * World times are entered as a day and time of day, day 1 starting at world time 0.
+     * @param {object} options - { trigger } to start from, { content } to also edit the message text
+     * @returns {Promise<object|null>} { trigger, content }, or null if cancelled or invalid
+     */
+    static async promptSchedule({ trigger = null, content } = {}) {
+        const localize = key => game.i18n.localize(`CYPHUR.Schedule.${key}`);
+        const worldNow = game.time.worldTime;
+        const isWorld = trigger?.type === SCHEDULE_TRIGGERS.WORLD;
+
+        // datetime-local inputs take local time without a zone
+        const realAt = trigger?.type === SCHEDULE_TRIGGERS.REAL ? trigger.at : Date.now() + 3600000;
+        const localAt = new Date(realAt - new Date(realAt).getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        const world = Utils.splitWorldTime(isWorld ? trigger.at : worldNow + 86400);
+
+        const messageField = content === undefined ? '' : `
+            <div class="form-group stacked">
+                <label>${localize('Message')}</label>
+                <textarea name="content" rows="4">${Utils.sanitizeHTML(content)}</textarea>
+            </div>`;
+
+        const result = await Dialog.prompt({
+            title: localize('Title'),
+            content: `
+                <form class="cyphur-schedule-form">
+                    ${messageField}
+                    <div class="form-group">
+                        <label><input type="radio" name="triggerType" value="${SCHEDULE_TRIGGERS.REAL}" ${isWorld ? '' : 'checked'}> ${localize('RealTime')}</label>
+                        <input type="datetime-local" name="realAt" value="${localAt}">
+                    </div>
+                    <div class="form-group">
+                        <label><input type="radio" name="triggerType" value="${SCHEDULE_TRIGGERS.WORLD}" ${isWorld ? 'checked' : ''}> ${localize('WorldTime')}</label>
+                        <div class="cyphur-schedule-world">
+                            <span>${localize('Day')}</span>
+                            <input type="number" name="worldDay" min="1" step="1" value="${world.day}">
+                            <input type="time" name="worldTime" value="${world.time}">
+                        </div>
+                    </div>
+                    <p class="notes">${game.i18n.format('CYPHUR.Schedule.WorldNow', { time: Utils.formatWorldTime(worldNow) })}</p>
+                </form>`,
+            label: localize('Schedule'),
+            callback: (html) => {
+                const type = html.find('[name="triggerType"]:checked').val();
+                let at;
+                if (type === SCHEDULE_TRIGGERS.WORLD) {
+                    const [hours, minutes] = (html.find('[name="worldTime"]').val() || '00:00').split(':').map(Number);
+                    at = (Number(html.find('[name="worldDay"]').val()) - 1) * 86400 + hours * 3600 + minutes * 60;
+                } else {
+                    at = new Date(html.find('[name="realAt"]').val()).getTime();
+                }
+                return { trigger: { type, at }, content: html.find('[name="content"]').val() };
+            },
+            rejectClose: false
+        });
+        if (!result) return null;
+
+        if (!DataManager.isValidScheduleTrigger(result.trigger)) {
+            ui.notifications.warn(localize('Invalid'));
+            return null;
+        }
+        if (DataManager.isScheduleDue(result.trigger)) {
+            ui.notifications.warn(localize('InPast'));
+            return null;
+        }
+        return result;
+    }
+
     // ════════════════════════════════════════════════════════════════════════════
     // THEMING
     // ════════════════════════════════════════════════════════════════════════════
@@ -3,7 +3,27 @@
  * Helper methods for common operations throughout the module
  */
 
-import { MODULE_ID } from './Constants.js';
+import { MODULE_ID, MESSAGE_TYPES } from './Constants.js';
+import { Markdown } from './Markdown.js';
+import { AttachmentManager } from './AttachmentManager.js';
+
+// Documents that can be linked from a message by name, e.g. @Actor[Fixer]
+const LINKABLE_COLLECTIONS = {
+    Actor: 'actors',
+    Item: 'items',
+    JournalEntry: 'journal',
+    Scene: 'scenes',
+    Macro: 'macros'
+};
+
+// Document types accepted when dropped onto the message box
+const DROPPABLE_TYPES = ['Actor', 'Item', 'JournalEntry', 'JournalEntryPage', 'Scene', 'Macro'];
+
+// @Name, @[Name With Spaces], @gm and @everyone - but not document references like @Actor[...]
+const MENTION_PATTERN = /(^|[\s(>])@(?:\[([^\]\n]+)\]|([\w-]+))(?![\w[])/g;
+
+// Word diffs larger than this many comparisons fall back to showing both versions whole
+const DIFF_LIMIT = 250000;
 
 export class Utils {
     
@@ -43,6 +63,28 @@ export class Utils {
         return date.toLocaleString();
     }
 
+    /**
+     * Format a world time as a day count and time of day, day 1 starting at world time 0
+     * @param {number} seconds - World time in seconds (game.time.worldTime)
+     * @returns {string} e.g. "Day 12, 08:30"
+     */
+    static formatWorldTime(seconds) {
+        const { day, time } = this.splitWorldTime(seconds);
+        return game.i18n.format('CYPHUR.Schedule.WorldTimeLabel', { day, time });
+    }
+
+    /**
+     * Split a world time into a day count and an "HH:MM" time of day
+     * @param {number} seconds - World time in seconds
+     * @returns {object} { day, time }
+     */
+    static splitWorldTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        const minutes = Math.floor((total % 86400) / 60);
+        const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        return { day: Math.floor(total / 86400) + 1, time };
+    }
+
     /**
      * Get user initials for avatar fallback
      * @param {string} name - User name
@@ -57,47 +99,6 @@ export class Utils {
         return (words[0][0] + words[words.length - 1][0]).toUpperCase();
     }
 
-    /**
-     * Parse mentions in message content (@username)
-     * @param {string} content - Message content
-     * @returns {Array} Array of mentioned user IDs
-     */
-    static parseMentions(content) {
-        if (!content) return [];
-        const mentionRegex = /@(\w+)/g;
-        const mentions = [];
-        let match;
-        
-        while ((match = mentionRegex.exec(content)) !== null) {
-            const username = match[1];
-            const user = game.users.find(u => u.name.toLowerCase() === username.toLowerCase());
-            if (user) mentions.push(user.id);
-        }
-        
-        return [...new Set(mentions)];
-    }
-
-    /**
-     * Highlight mentions in message content
-     * @param {string} content - Message content
-     * @returns {string} HTML with highlighted mentions
-     */
-    static highlightMentions(content) {
-        if (!content) return content;
-        
-        const mentionRegex = /@(\w+)/g;
-        return content.replace(mentionRegex, (match, username) => {
-            const user = game.users.find(u => u.name.toLowerCase() === username.toLowerCase());
-            if (user) {
-                const isCurrentUser = user.id === game.user.id;
-                const className = isCurrentUser ? 'cyphur-mention cyphur-mention-me' : 'cyphur-mention';
-                const safeName = this.sanitizeHTML(user.name || '');
-                return `<span class="${className}" data-user-id="${user.id}">@${safeName}</span>`;
-            }
-            return match;
-        });
-    }
-
     /**
      * Check if a message was sent by the current user
      * @param {string} senderId - Message sender ID
@@ -145,6 +146,41 @@ export class Utils {
         return user ? user.active : false;
     }
 
+    /**
+     * Get the GM responsible for storing shared data
+     * @returns {User|null}
+     */
+    static getActiveGM() {
+        return game.users.activeGM ?? game.users.find(u => u.isGM && u.active) ?? null;
+    }
+
+    /**
+     * Distance between two users' character tokens, in scene units
+     * Looks at the viewed scene first, then the active one, then every other scene.
+     * @param {string} userId1 - User ID
+     * @param {string} userId2 - User ID
+     * @returns {number|null} Null when either user has no character or they share no scene
+     */
+    static getCharacterDistance(userId1, userId2) {
+        const actorId1 = game.users.get(userId1)?.character?.id;
+        const actorId2 = game.users.get(userId2)?.character?.id;
+        if (!actorId1 || !actorId2) return null;
+
+        const scenes = new Set([game.scenes.viewed, game.scenes.active, ...game.scenes].filter(Boolean));
+        for (const scene of scenes) {
+            const token1 = scene.tokens.find(t => t.actorId === actorId1);
+            const token2 = scene.tokens.find(t => t.actorId === actorId2);
+            if (!token1 || !token2) continue;
+
+            // Measure centre to centre; token width and height are in grid squares
+            const size = scene.grid.size;
+            const dx = (token1.x + token1.width * size / 2) - (token2.x + token2.width * size / 2);
+            const dy = (token1.y + token1.height * size / 2) - (token2.y + token2.height * size / 2);
+            return Math.hypot(dx, dy) / size * scene.grid.distance;
+        }
+        return null;
+    }
+
     /**
      * Parse rich content in messages (URLs, dice rolls, etc.)
      * @param {string} content - Raw message content
@@ -152,30 +188,295 @@ export class Utils {
      */
     static parseRichContent(content) {
         if (!content) return content;
+
+        // Generated markup is set aside behind placeholders so Markdown never touches it
+        const protectedHTML = [];
+        const protect = (html) => `\uE000${protectedHTML.push(html) - 1}\uE000`;
         
         // First sanitize
-        let enriched = this.sanitizeHTML(content);
+        let enriched = this.sanitizeHTML(content.replace(/\uE000/g, ''));
+
+        // Code is shown literally
+        enriched = Markdown.extractCode(enriched, protect);
         
         // Parse URLs into clickable links
         const urlRegex = /(https?:\/\/[^\s<]+)/g;
-        enriched = enriched.replace(urlRegex, '<a href="$1" target="_blank" rel="noopener" class="cyphur-link">$1</a>');
+        enriched = enriched.replace(urlRegex, (url) => {
+            return protect(`<a href="${this.escapeAttribute(url)}" target="_blank" rel="noopener" class="cyphur-link">${url}</a>`);
+        });
         
         // Parse dice notation [[1d20]] style
         const diceRegex = /\[\[([^\]]+)\]\]/g;
-        enriched = enriched.replace(diceRegex, '<span class="cyphur-dice-roll" data-formula="$1">🎲 $1</span>');
-        
-        // Parse item links @Item[name]
-        const itemLinkRegex = /@Item\[([^\]]+)\]/g;
-        enriched = enriched.replace(itemLinkRegex, '<span class="cyphur-item-link" data-name="$1">📦 $1</span>');
-        
-        // Parse actor links @Actor[name]
-        const actorLinkRegex = /@Actor\[([^\]]+)\]/g;
-        enriched = enriched.replace(actorLinkRegex, '<span class="cyphur-actor-link" data-name="$1">👤 $1</span>');
+        enriched = enriched.replace(diceRegex, (match, formula) => {
+            return protect(`<span class="cyphur-dice-roll" data-formula="${this.escapeAttribute(formula)}">🎲 ${formula}</span>`);
+        });
         
-        // Parse line breaks
-        enriched = enriched.replace(/\n/g, '<br>');
+        // @UUID[...]{label} document links stay as text and are enriched on display
+        enriched = enriched.replace(/@\w+\[[^\]]+\](?:\{[^}]+\})?/g, protect);
+
+        // Markdown, which also turns line breaks into <br>
+        enriched = Markdown.render(enriched);
         
-        return enriched;
+        return enriched.replace(/\uE000(\d+)\uE000/g, (match, index) => protectedHTML[index]);
+    }
+
+    /**
+     * Escape already-escaped text for use inside a double-quoted attribute
+     * @param {string} text - Text escaped by sanitizeHTML
+     * @returns {string}
+     */
+    static escapeAttribute(text) {
+        return String(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Parse markup into a detached document
+     * DOMParser documents are inert, so stored markup never executes here.
+     * @param {string} html - HTML string
+     * @returns {Document}
+     */
+    static parseHTML(html) {
+        return new DOMParser().parseFromString(html, 'text/html');
+    }
+
+    /**
+     * Convert content rendered by parseRichContent back to its source text
+     * @param {string} html - Rendered content
+     * @returns {string} Source text
+     */
+    static htmlToText(html) {
+        if (!html) return '';
+        const temp = this.parseHTML(html).body;
+        return Markdown.toSource(temp).replace(/^\n+|\n+$/g, '');
+    }
+
+    /**
+     * Word-level diff of two texts
+     * @param {string} before - Previous text
+     * @param {string} after - New text
+     * @returns {string} Escaped HTML with removals in <del> and additions in <ins>
+     */
+    static diffText(before, after) {
+        const a = (before || '').split(/(\s+)/).filter(Boolean);
+        const b = (after || '').split(/(\s+)/).filter(Boolean);
+        if (a.length * b.length > DIFF_LIMIT) {
+            return `<del>${this.sanitizeHTML(before)}</del><ins>${this.sanitizeHTML(after)}</ins>`;
+        }
+
+        // Longest common subsequence lengths of every pair of suffixes
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let html = '';
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                html += this.sanitizeHTML(a[i++]);
+                j++;
+            } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+                html += `<del>${this.sanitizeHTML(a[i++])}</del>`;
+            } else {
+                html += `<ins>${this.sanitizeHTML(b[j++])}</ins>`;
+            }
+        }
+        return html.replace(/<\/del><del>|<\/ins><ins>/g, '');
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // MENTIONS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * Resolve a mentioned name to the users it notifies
+     * Actors notify the players who own them.
+     * @param {string} name - Name after the @
+     * @param {Array<string>} participantIds - Conversation members, for @everyone
+     * @returns {object|null} { name, userIds, userId }
+     */
+    static resolveMention(name, participantIds = null) {
+        const key = name.trim().toLowerCase();
+        if (key === 'gm') {
+            return { name: 'gm', userIds: game.users.filter(u => u.isGM).map(u => u.id) };
+        }
+        if (key === 'everyone') {
+            return { name: 'everyone', userIds: participantIds ?? game.users.map(u => u.id) };
+        }
+
+        const user = game.users.find(u => u.name.toLowerCase() === key);
+        if (user) return { name: user.name, userIds: [user.id], userId: user.id };
+
+        const actor = game.actors?.find(a => a.name.toLowerCase() === key);
+        if (actor) {
+            const owners = game.users.filter(u => !u.isGM && actor.testUserPermission(u, 'OWNER'));
+            return { name: actor.name, userIds: owners.map(u => u.id) };
+        }
+        return null;
+    }
+
+    /**
+     * How a name is written as a mention
+     * @param {string} name - User or actor name
+     * @returns {string}
+     */
+    static formatMention(name) {
+        return /^[\w-]+$/.test(name) ? `@${name}` : `@[${name}]`;
+    }
+
+    /**
+     * Users mentioned in message text
+     * @param {string} content - Message source text
+     * @param {Array<string>} participantIds - Conversation members; others are never notified
+     * @returns {Array<string>} Mentioned user IDs
+     */
+    static parseMentions(content, participantIds = null) {
+        if (!content) return [];
+        const mentions = new Set();
+        for (const match of content.matchAll(MENTION_PATTERN)) {
+            this.resolveMention(match[2] ?? match[3], participantIds)?.userIds.forEach(id => mentions.add(id));
+        }
+        return [...mentions].filter(id => !participantIds || participantIds.includes(id));
+    }
+
+    /**
+     * Highlight mentions in rendered message content
+     * @param {string} html - Rendered content
+     * @param {Array<string>} participantIds - Conversation members, for @everyone
+     * @returns {string} HTML with highlighted mentions
+     */
+    static highlightMentions(html, participantIds = null) {
+        if (!html?.includes('@')) return html;
+
+        const doc = this.parseHTML(html);
+        const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.textContent.includes('@') && !node.parentElement.closest('code, pre, a')) nodes.push(node);
+        }
+
+        for (const node of nodes) {
+            const text = node.textContent;
+            const fragment = doc.createDocumentFragment();
+            let last = 0;
+            for (const match of text.matchAll(MENTION_PATTERN)) {
+                const mention = this.resolveMention(match[2] ?? match[3], participantIds);
+                if (!mention) continue;
+
+                const start = match.index + match[1].length;
+                const span = doc.createElement('span');
+                span.className = mention.userIds.includes(game.user.id) ? 'cyphur-mention cyphur-mention-me' : 'cyphur-mention';
+                if (mention.userId) span.dataset.userId = mention.userId;
+                span.textContent = `@${mention.name}`;
+                fragment.append(text.slice(last, start), span);
+                last = match.index + match[0].length;
+            }
+            if (!last) continue;
+            fragment.append(text.slice(last));
+            node.replaceWith(fragment);
+        }
+        return doc.body.innerHTML;
+    }
+
+    // ════════════════════════════════════════════════════════════════════════════
+    // DOCUMENT LINKS
+    // ════════════════════════════════════════════════════════════════════════════
+
+    /**
+     * The TextEditor class for this Foundry version
+     * @returns {object}
+     */
+    static get textEditor() {
+        return foundry.applications?.ux?.TextEditor?.implementation ?? TextEditor;
+    }
+
+    /**
+     * Turn name-based links into UUID links and collect every linked document
+     * @param {string} content - Raw message text
+     * @returns {object} { content, links: [{ uuid, type, name }], type } where type is a MESSAGE_TYPES link type or null
+     */
+    static resolveDocumentLinks(content) {
+        const links = [];
+        if (!content) return { content, links, type: null };
+
+        const byName = new RegExp(`@(${Object.keys(LINKABLE_COLLECTIONS).join('|')})\\[([^\\]]+)\\](?:\\{([^}]+)\\})?`, 'g');
+        content = content.replace(byName, (match, type, target, label) => {
+            const collection = game[LINKABLE_COLLECTIONS[type]];
+            const doc = collection?.get(target) ?? collection?.getName(target);
+            if (!doc) return match;
+            return `@UUID[${doc.uuid}]{${label || doc.name}}`;
+        });
+
+        for (const [, uuid, label] of content.matchAll(/@UUID\[([^\]]+)\](?:\{([^}]+)\})?/g)) {
+            const doc = fromUuidSync(uuid, { strict: false });
+            links.push({ uuid, type: doc?.documentName ?? uuid.split('.').at(-2), name: label || doc?.name || uuid });
+        }
+
+        let type = null;
+        if (links.some(l => l.type === 'Actor')) type = MESSAGE_TYPES.ACTOR_LINK;
+        else if (links.some(l => l.type === 'Item')) type = MESSAGE_TYPES.ITEM_LINK;
+
+        return { content, links, type };
+    }
+
+    /**
+     * Enrich rendered message content so document links become clickable content links
+     * @param {string} html - Rendered message content
+     * @returns {Promise<string>}
+     */
+    static async enrichContent(html) {
+        if (!html?.includes('@') && !html?.includes('cyphur-item-link') && !html?.includes('cyphur-actor-link')) return html;
+
+        // Messages stored before links were enriched hold inert name spans
+        const body = this.parseHTML(html).body;
+        body.querySelectorAll('.cyphur-item-link').forEach(el => el.replaceWith(`@Item[${el.dataset.name}]`));
+        body.querySelectorAll('.cyphur-actor-link').forEach(el => el.replaceWith(`@Actor[${el.dataset.name}]`));
+
+        // The enricher inserts link labels and names as markup, and they are user text
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const walker = body.ownerDocument.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (!node.textContent.includes('@')) continue;
+            node.textContent = node.textContent.replace(/@(\w+)\[([^\]]+)\](?:\{([^}]+)\})?/g, (match, type, target, label) =>
+                `@${type}[${target.replace(/[<>]/g, '')}]${label ? `{${escape(label)}}` : ''}`);
+        }
+
+        try {
+            return await this.textEditor.enrichHTML(body.innerHTML, {
+                async: true,
+                documents: true,
+                links: false,
+                rolls: false,
+                secrets: false
+            });
+        } catch (e) {
+            console.warn('Cyphur | Failed to enrich message content:', e);
+            return html;
+        }
+    }
+
+    /**
+     * Build a link for a document dragged from the sidebar or a compendium
+     * @param {DragEvent} event - Drop event
+     * @returns {Promise<string|null>} @UUID link text
+     */
+    static async getDroppedDocumentLink(event) {
+        let data;
+        try {
+            data = JSON.parse(event.dataTransfer?.getData('text/plain') || '{}');
+        } catch {
+            return null;
+        }
+        if (!data.uuid || !DROPPABLE_TYPES.includes(data.type)) return null;
+
+        const doc = await fromUuid(data.uuid);
+        if (!doc) return null;
+        return `@UUID[${doc.uuid}]{${doc.name}}`;
     }
 
     /**
@@ -189,6 +490,10 @@ export class Utils {
         const senderUser = game.users.get(message.senderId);
         const senderName = message.senderName || senderUser?.name || 'Unknown';
         
+        if (message.deleted) {
+            return { senderName, preview: game.i18n.localize('CYPHUR.Revisions.Deleted'), messageId: message.id };
+        }
+
         // Truncate preview to reasonable length
         let preview = (message.messageContent || '').replace(/<[^>]*>/g, '').substring(0, 80);
         if (message.messageContent && message.messageContent.length > 80) {
@@ -326,7 +631,8 @@ export class Utils {
         const lines = messages.map(msg => {
             const time = this.formatFullTimestamp(msg.timestamp);
             const sender = msg.senderName || 'Unknown';
-            const content = (msg.messageContent || '').replace(/<[^>]*>/g, '');
+            const content = [(msg.messageContent || '').replace(/<[^>]*>/g, ''), AttachmentManager.describe(msg)]
+                .filter(Boolean).join(' ');
             return `[${time}] ${sender}: ${content}`;
         });
 